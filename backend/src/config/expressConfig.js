@@ -10,11 +10,17 @@ const corsOptions = {
   origin: process.env.FRONTEND_SERVER,
   methods: 'GET, POST, PUT, DELETE, PATCH, HEAD, OPTIONS',
   allowedHeaders: ['Content-Type', 'Authorization'],
-  exposedHeaders: ['Set-Cookie'],
+  exposedHeaders: ['Set-Cookie', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After'],
   credentials: true,
 };
 
 const expressConfig = async (app) => {
+  // Needed behind a reverse proxy so req.ip holds the client address (hop count, 'true' or a list of subnets)
+  const trustProxy = process.env.TRUST_PROXY;
+  if (trustProxy) {
+    app.set('trust proxy', trustProxy === 'true' ? true : isNaN(trustProxy) ? trustProxy : Number(trustProxy));
+  }
+
   app.use(express.json());
   app.use(express.urlencoded({ extended: true }));
   app.use(cookieParser());
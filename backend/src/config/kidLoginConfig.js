@@ -0,0 +1,22 @@
+// Pictures a kid can pick from for a picture password. The frontend shows them by these IDs.
+export const kidLoginPictures = [
+  'apple',
+  'ball',
+  'bear',
+  'car',
+  'cat',
+  'dog',
+  'fish',
+  'flower',
+  'house',
+  'moon',
+  'star',
+  'sun',
+];
+
+export const kidLoginRules = {
+  usernamePattern: /^[a-z0-9_.-]{3,20}$/,
+  pinPattern: /^\d{4,6}$/,
+  minPictures: 3,
+  maxPictures: 6,
+};
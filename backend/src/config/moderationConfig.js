@@ -0,0 +1,102 @@
+// Content safety rules for kid accounts. Parents pick one of the strictness levels per kid. Blocked categories reject
+// the whole text, redacted ones are replaced with a placeholder.
+export const strictnessLevels = {
+  relaxed: {
+    block: ['sexual', 'selfHarm'],
+    redact: ['pii'],
+  },
+  standard: {
+    block: ['sexual', 'selfHarm', 'drugs'],
+    redact: ['pii', 'profanity'],
+  },
+  strict: {
+    block: ['sexual', 'selfHarm', 'drugs', 'violence', 'profanity'],
+    redact: ['pii'],
+  },
+};
+
+export const DEFAULT_STRICTNESS = 'standard';
+
+export const redactionPlaceholders = {
+  pii: '[скрито]',
+  profanity: '***',
+};
+
+// Terms are matched as whole words, case-insensitive. A trailing * also matches any word ending, so stems cover the
+// inflected forms. Words common in school material (e.g. "убийство" in history lessons or "sex cells" and "сексуално
+// размножаване" in biology) are left out on purpose, and self-harm and threats are matched by phrases so literature
+// about them is not blocked.
+export const keywordRules = {
+  sexual: ['порно*', 'проститу*', 'porn*', 'sexy', 'xxx', 'nude*', 'nudes', 'hentai'],
+  selfHarm: [
+    'да се самоубия',
+    'ще се самоубия',
+    'искам да умра',
+    'да се нарежа',
+    'да се обеся',
+    'самонараня*',
+    'kill myself',
+    'want to die',
+    'cut myself',
+    'self-harm',
+    'self harm',
+  ],
+  drugs: [
+    'наркотик*',
+    'дрога',
+    'дроги',
+    'кокаин*',
+    'хероин*',
+    'марихуан*',
+    'канабис*',
+    'амфетамин*',
+    'екстази',
+    'cocaine',
+    'heroin',
+    'meth',
+    'marijuana',
+  ],
+  violence: [
+    'ще те убия',
+    'ще те пребия',
+    'ще те застрелям',
+    'застреля*',
+    'заколя*',
+    'бомба',
+    'взрив*',
+    'kill you',
+    'shoot you',
+    'school shooting',
+    'stab',
+    'stabbed',
+    'stabbing',
+    'bomb',
+    'bombs',
+  ],
+  profanity: [
+    'путк*',
+    'пичк*',
+    'мамка ти',
+    'мамицата',
+    'еба*',
+    'копел*',
+    'курв*',
+    'лайно',
+    'лайна',
+    'fuck*',
+    'shit*',
+    'bitch*',
+    'cunt*',
+    'asshole*',
+  ],
+};
+
+// Personal data that kids should not send to the assistant or get back from it. Patterns with a validator are only
+// counted when the validator passes, which keeps ordinary numbers in homework from being redacted.
+export const piiRules = [
+  { name: 'email', pattern: /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}.-]+\.[\p{L}]{2,}/gu },
+  { name: 'phone', pattern: /(?<!\d)(?:\+359|00359|0)[\s-]?(?:8[789]\d|2)(?:[\s-]?\d){6,7}(?!\d)/g },
+  { name: 'egn', pattern: /(?<!\d)\d{10}(?!\d)/g, validate: 'egn' },
+  { name: 'card', pattern: /(?<!\d)\d(?:[\s-]?\d){12,18}(?!\d)/g, validate: 'luhn' },
+  { name: 'iban', pattern: /\bBG\d{2}\s?[A-Z]{4}(?:\s?[A-Z0-9]){14}\b/gi },
+];
@@ -0,0 +1,37 @@
+// Password rules per account type. Kids get a gentler policy so they can remember their password. The minimum
+// lengths can be overridden with PASSWORD_MIN_LENGTH and KID_PASSWORD_MIN_LENGTH.
+const passwordPolicies = {
+  default: {
+    minLength: 10,
+    requireLowercase: true,
+    requireUppercase: true,
+    requireDigit: true,
+    requireSymbol: false,
+    denyCommon: true,
+    denyPersonalInfo: true,
+  },
+  kid: {
+    minLength: 6,
+    requireLowercase: false,
+    requireUppercase: false,
+    requireDigit: false,
+    requireSymbol: false,
+    denyCommon: true,
+    denyPersonalInfo: true,
+  },
+};
+
+const minLengthEnv = {
+  default: 'PASSWORD_MIN_LENGTH',
+  kid: 'KID_PASSWORD_MIN_LENGTH',
+};
+
+export const getPasswordPolicy = (role) => {
+  const type = role === 'kid' ? 'kid' : 'default';
+  const policy = passwordPolicies[type];
+
+  return {
+    ...policy,
+    minLength: Number(process.env[minLengthEnv[type]]) || policy.minLength,
+  };
+};
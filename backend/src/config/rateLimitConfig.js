@@ -0,0 +1,31 @@
+// Limits per route group. Each can be overridden with RATE_LIMIT_<GROUP>_MAX and RATE_LIMIT_<GROUP>_WINDOW_MINUTES,
+// e.g. RATE_LIMIT_LOGIN_MAX=20.
+const rateLimitGroups = {
+  // Safety net for every API route
+  api: { windowMinutes: 1, max: 300, keyBy: 'ip' },
+  login: { windowMinutes: 15, max: 20, keyBy: 'ip' },
+  passwordReset: { windowMinutes: 60, max: 5, keyBy: 'ip' },
+  magicLink: { windowMinutes: 60, max: 5, keyBy: 'ip' },
+  verification: { windowMinutes: 60, max: 5, keyBy: 'ip' },
+  contactEmail: { windowMinutes: 60, max: 5, keyBy: 'ip' },
+  // Each request is sent to OpenAI, so it is limited per account
+  fileProcess: { windowMinutes: 60, max: 30, keyBy: 'user' },
+  // Building an archive pulls every file of the account from S3
+  dataExport: { windowMinutes: 24 * 60, max: 3, keyBy: 'user' },
+};
+
+const toEnvName = (group) => group.replace(/[A-Z]/g, (letter) => `_${letter}`).toUpperCase();
+
+export const getRateLimitConfig = (group) => {
+  const defaults = rateLimitGroups[group];
+
+  if (!defaults) {
+    throw new Error(`Unknown rate limit group "${group}".`);
+  }
+
+  const envName = toEnvName(group);
+  const windowMinutes = Number(process.env[`RATE_LIMIT_${envName}_WINDOW_MINUTES`]) || defaults.windowMinutes;
+  const max = Number(process.env[`RATE_LIMIT_${envName}_MAX`]) || defaults.max;
+
+  return { windowMs: windowMinutes * 60 * 1000, max, keyBy: defaults.keyBy };
+};
@@ -2,14 +2,52 @@ import { Router } from 'express';
 import mongoose from 'mongoose';
 
 import HttpError from '../utils/httpError.js';
-import { generateTokens } from '../utils/jwt.js';
-import { auth, checkRole } from '../middleware/authMiddleware.js';
+import { getClientInfo } from '../utils/clientInfo.js';
+import { hashToken } from '../utils/tokenHash.js';
+import { assertPasswordPolicy } from '../utils/passwordPolicy.js';
+import { auth, authWithoutParentalControls, checkRole, denyImpersonation } from '../middleware/authMiddleware.js';
+import { rateLimit } from '../middleware/rateLimit.js';
 import userModel from '../models/userModel.js';
+import { kidLoginPictures, kidLoginRules } from '../config/kidLoginConfig.js';
 import * as authService from '../services/authService.js';
 import * as googleAuthService from '../services/googleAuthService.js';
 import * as emailService from '../services/emailService.js';
+import * as sessionService from '../services/sessionService.js';
+import * as accountDeletionService from '../services/accountDeletionService.js';
+import * as dataExportService from '../services/dataExportService.js';
 
 const authController = Router();
+
+const kidLoginLimits = { minPictures: kidLoginRules.minPictures, maxPictures: kidLoginRules.maxPictures };
+
+const refreshCookieOptions = {
+  httpOnly: true,
+  secure: true,
+  sameSite: 'strict',
+  maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
+};
+
+const sendLoginResponse = (res, { user, accessToken, refreshToken, mfaRequired, mfaToken }) => {
+  // Two-factor accounts get a challenge token that must be exchanged at /login/mfa
+  if (mfaRequired) {
+    return res.json({ mfaRequired, mfaToken });
+  }
+
+  res.cookie('refreshToken', refreshToken, refreshCookieOptions);
+
+  res.json({
+    _id: user._id,
+    fullName: user.fullName,
+    email: user.email,
+    imageUrl: user.imageUrl,
+    phone: user.phone,
+    role: user.role,
+    isEmailVerified: user.isEmailVerified,
+    created_at: user.created_at,
+    updated_at: user.updated_at,
+    accessToken,
+  });
+};
 authController.post('/register', async (req, res, next) => {
   const { fullName, email, password, repeatPassword } = req.body;
 
@@ -39,36 +77,94 @@ authController.post('/register', async (req, res, next) => {
   }
 });
 
-authController.post('/login', async (req, res, next) => {
+authController.post('/login', rateLimit('login'), async (req, res, next) => {
   const { email, password } = req.body;
 
   try {
-    const { user, accessToken, refreshToken } = await authService.login(email, password);
+    const loginResult = await authService.login(email, password, getClientInfo(req));
 
-    res.cookie('refreshToken', refreshToken, {
-      httpOnly: true,
-      secure: true,
-      sameSite: 'strict',
-      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-    });
+    sendLoginResponse(res, loginResult);
+  } catch (error) {
+    next(error);
+  }
+});
+
+authController.post('/login/mfa', rateLimit('login'), async (req, res, next) => {
+  const { mfaToken, code, recoveryCode } = req.body;
+
+  try {
+    if (!mfaToken || (!code && !recoveryCode)) {
+      throw new HttpError({
+        status: 400,
+        message: 'MFA token and authentication or recovery code are required!',
+      });
+    }
+
+    const loginResult = await authService.verifyLoginMfa(mfaToken, { code, recoveryCode }, getClientInfo(req));
+
+    sendLoginResponse(res, loginResult);
+  } catch (error) {
+    next(error);
+  }
+});
+
+authController.post('/kid-login', rateLimit('login'), async (req, res, next) => {
+  const { familyCode, username, pin, pictureSequence } = req.body;
+
+  try {
+    const loginResult = await authService.kidLogin(familyCode, username, { pin, pictureSequence }, getClientInfo(req));
+
+    sendLoginResponse(res, loginResult);
+  } catch (error) {
+    next(error);
+  }
+});
+
+authController.get('/kid-login/pictures', (req, res) => {
+  res.json({ pictures: kidLoginPictures, ...kidLoginLimits });
+});
+
+authController.post('/magic-link', rateLimit('magicLink'), async (req, res, next) => {
+  const { email } = req.body;
+
+  try {
+    if (!email) {
+      throw new HttpError({
+        status: 400,
+        message: 'Email is required!',
+      });
+    }
+
+    await authService.requestMagicLink(email);
 
     res.json({
-      _id: user._id,
-      fullName: user.fullName,
-      email: user.email,
-      imageUrl: user.imageUrl,
-      phone: user.phone,
-      role: user.role,
-      isEmailVerified: user.isEmailVerified,
-      created_at: user.created_at,
-      updated_at: user.updated_at,
-      accessToken,
+      success: true,
+      message: 'If an account with this email exists, a sign-in link has been sent!',
     });
   } catch (error) {
     next(error);
   }
 });
 
+authController.post('/magic-link/verify', rateLimit('login'), async (req, res, next) => {
+  const { token } = req.body;
+
+  try {
+    if (!token) {
+      throw new HttpError({
+        status: 400,
+        message: 'Invalid or expired sign-in link!',
+      });
+    }
+
+    const loginResult = await authService.verifyMagicLink(token, getClientInfo(req));
+
+    sendLoginResponse(res, loginResult);
+  } catch (error) {
+    next(error);
+  }
+});
+
 authController.post('/refresh', async (req, res, next) => {
   try {
     const refreshToken = req.cookies.refreshToken;
@@ -80,14 +176,9 @@ authController.post('/refresh', async (req, res, next) => {
       });
     }
 
-    const { accessToken, refreshToken: newRefreshToken } = await authService.refresh(refreshToken);
+    const { accessToken, refreshToken: newRefreshToken } = await authService.refresh(refreshToken, getClientInfo(req));
 
-    res.cookie('refreshToken', newRefreshToken, {
-      httpOnly: true,
-      secure: true,
-      sameSite: 'strict',
-      maxAge: 7 * 24 * 60 * 60 * 1000,
-    });
+    res.cookie('refreshToken', newRefreshToken, refreshCookieOptions);
 
     res.json({ accessToken });
   } catch (error) {
@@ -109,9 +200,9 @@ authController.get('/check', auth, async (req, res, next) => {
   }
 });
 
-authController.post('/logout', auth, async (req, res, next) => {
+authController.post('/logout', authWithoutParentalControls, async (req, res, next) => {
   try {
-    await authService.logout(req.user.userId);
+    await authService.logout(req.user.userId, req.user.sessionId, req.token);
 
     res.clearCookie('refreshToken');
     res.json({ message: 'Logout successful!' });
@@ -120,6 +211,217 @@ authController.post('/logout', auth, async (req, res, next) => {
   }
 });
 
+authController.delete('/me', auth, denyImpersonation, async (req, res, next) => {
+  try {
+    const { scheduledDeletionAt, confirmationRequired } = await accountDeletionService.requestAccountDeletion(
+      req.user.userId,
+      req.body.password,
+    );
+
+    if (confirmationRequired) {
+      return res.status(202).json({
+        success: true,
+        message: 'Use the link sent to your email to confirm the deletion of your account.',
+        confirmationRequired,
+      });
+    }
+
+    res.clearCookie('refreshToken');
+    res.json({
+      success: true,
+      message: 'Your account is scheduled for deletion! Use the link sent to your email to cancel.',
+      scheduledDeletionAt,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+authController.post('/me/export', auth, denyImpersonation, rateLimit('dataExport'), async (req, res, next) => {
+  try {
+    const dataExport = await dataExportService.requestDataExport(req.user.userId);
+
+    res.status(202).json({
+      success: true,
+      message: 'Your data export has started! We will email you a download link when it is ready.',
+      dataExport,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+authController.get('/me/export/:id', auth, denyImpersonation, async (req, res, next) => {
+  try {
+    const dataExport = await dataExportService.getDataExportStatus(req.user.userId, req.params.id);
+
+    res.json(dataExport);
+  } catch (error) {
+    next(error);
+  }
+});
+
+authController.post('/account-deletion/confirm/:token', rateLimit('passwordReset'), async (req, res, next) => {
+  try {
+    const { scheduledDeletionAt } = await accountDeletionService.confirmAccountDeletion(req.params.token);
+
+    res.clearCookie('refreshToken');
+    res.json({
+      success: true,
+      message: 'Your account is scheduled for deletion! Use the link sent to your email to cancel.',
+      scheduledDeletionAt,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+authController.post('/account-deletion/cancel/:token', rateLimit('passwordReset'), async (req, res, next) => {
+  try {
+    await accountDeletionService.cancelAccountDeletion(req.params.token);
+
+    res.json({
+      success: true,
+      message: 'Account deletion cancelled! You can log in again.',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+authController.get('/sessions', authWithoutParentalControls, async (req, res, next) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user.userId, req.user.sessionId);
+
+    res.json(sessions);
+  } catch (error) {
+    next(error);
+  }
+});
+
+authController.delete('/sessions/:id', authWithoutParentalControls, denyImpersonation, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    await sessionService.revokeSession(req.user.userId, id);
+
+    if (id === req.user.sessionId) {
+      res.clearCookie('refreshToken');
+    }
+
+    res.json({ message: 'Session revoked successfully!' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Signs out every device except the one making the request
+authController.delete('/sessions', authWithoutParentalControls, denyImpersonation, async (req, res, next) => {
+  try {
+    const { revokedCount } = await sessionService.revokeOtherSessions(req.user.userId, req.user.sessionId);
+
+    res.json({ message: 'Signed out from all other devices!', revokedCount });
+  } catch (error) {
+    next(error);
+  }
+});
+
+authController.get('/kids/:kidId/sessions', auth, checkRole(['parent']), async (req, res, next) => {
+  try {
+    const sessions = await sessionService.listKidSessions(req.user.userId, req.params.kidId);
+
+    res.json(sessions);
+  } catch (error) {
+    next(error);
+  }
+});
+
+authController.delete('/kids/:kidId/sessions/:id', auth, checkRole(['parent']), async (req, res, next) => {
+  try {
+    const { kidId, id } = req.params;
+
+    await sessionService.revokeKidSession(req.user.userId, kidId, id);
+
+    res.json({ message: 'Session revoked successfully!' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+authController.delete('/kids/:kidId/sessions', auth, checkRole(['parent']), async (req, res, next) => {
+  try {
+    const { revokedCount } = await sessionService.revokeAllKidSessions(req.user.userId, req.params.kidId);
+
+    res.json({ message: 'Kid signed out from all devices!', revokedCount });
+  } catch (error) {
+    next(error);
+  }
+});
+
+authController.post('/2fa/setup', auth, checkRole(['parent']), async (req, res, next) => {
+  try {
+    const { secret, otpauthUri } = await authService.setupTwoFactor(req.user.userId);
+
+    // The otpauth URI is the payload for the QR code shown to the parent
+    res.json({ secret, otpauthUri });
+  } catch (error) {
+    next(error);
+  }
+});
+
+authController.post('/2fa/confirm', auth, checkRole(['parent']), async (req, res, next) => {
+  try {
+    const { recoveryCodes } = await authService.confirmTwoFactor(req.user.userId, req.body.code);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled!',
+      recoveryCodes,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+authController.post('/2fa/disable', auth, checkRole(['parent']), async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    await authService.disableTwoFactor(req.user.userId, password, { code, recoveryCode });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled!',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+authController.get('/2fa/recovery-codes', auth, checkRole(['parent']), async (req, res, next) => {
+  try {
+    const { remaining } = await authService.getRecoveryCodesStatus(req.user.userId);
+
+    res.json({ remaining });
+  } catch (error) {
+    next(error);
+  }
+});
+
+authController.post('/2fa/recovery-codes', auth, checkRole(['parent']), async (req, res, next) => {
+  try {
+    const { recoveryCodes } = await authService.regenerateRecoveryCodes(req.user.userId, req.body.password);
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated! The previous codes no longer work.',
+      recoveryCodes,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 authController.post('/google', async (req, res, next) => {
   try {
     const { code } = req.body;
@@ -132,14 +434,13 @@ authController.post('/google', async (req, res, next) => {
       });
     }
 
-    const userData = await googleAuthService.handleGoogleLogin(code);
+    const userData = await googleAuthService.handleGoogleLogin(code, getClientInfo(req));
 
-    res.cookie('refreshToken', userData.refreshToken, {
-      httpOnly: true,
-      secure: true,
-      sameSite: 'strict',
-      maxAge: 7 * 24 * 60 * 60 * 1000,
-    });
+    if (userData.mfaRequired) {
+      return res.json({ mfaRequired: userData.mfaRequired, mfaToken: userData.mfaToken });
+    }
+
+    res.cookie('refreshToken', userData.refreshToken, refreshCookieOptions);
 
     res.json({
       _id: userData._id,
@@ -173,14 +474,17 @@ authController.get('/google/callback', async (req, res, next) => {
       });
     }
 
-    const { accessToken, refreshToken } = await googleAuthService.handleGoogleCallback(code);
+    const { accessToken, refreshToken, mfaRequired, mfaToken } = await googleAuthService.handleGoogleCallback(
+      code,
+      getClientInfo(req),
+    );
 
-    res.cookie('refreshToken', refreshToken, {
-      httpOnly: true,
-      secure: true,
-      sameSite: 'strict',
-      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-    });
+    if (mfaRequired) {
+      // Sent in the fragment, which browsers keep out of server logs and the Referer header
+      return res.redirect(`${process.env.FRONTEND_SERVER}/auth/callback#mfaToken=${mfaToken}`);
+    }
+
+    res.cookie('refreshToken', refreshToken, refreshCookieOptions);
 
     // Redirect to frontend with token
     res.redirect(`${process.env.FRONTEND_SERVER}/auth/callback?token=${accessToken}`);
@@ -228,12 +532,23 @@ authController.get('/my-profile', auth, async (req, res, next) => {
   }
 });
 
+authController.put('/notification-settings', auth, checkRole(['parent']), async (req, res, next) => {
+  try {
+    const { weeklyDigest, timezoneOffset } = req.body;
+    const settings = await authService.updateNotificationSettings(req.user.userId, { weeklyDigest, timezoneOffset });
+
+    res.json(settings);
+  } catch (error) {
+    next(error);
+  }
+});
+
 authController.get('/verify-email/:token', async (req, res, next) => {
   try {
     const { token } = req.params;
 
     const user = await userModel.findOne({
-      emailVerificationToken: token,
+      emailVerificationToken: hashToken(token),
     });
 
     if (!user) {
@@ -256,38 +571,16 @@ authController.get('/verify-email/:token', async (req, res, next) => {
     user.emailVerificationExpires = undefined;
     await user.save();
 
-    // Generate new tokens using the imported function
-    const { accessToken, refreshToken } = generateTokens(user._id);
+    // Sign the verified user in
+    const loginResult = await authService.completeLogin(user, getClientInfo(req));
 
-    // Save refresh token
-    user.refreshToken = refreshToken;
-    await user.save();
-
-    res.cookie('refreshToken', refreshToken, {
-      httpOnly: true,
-      secure: true,
-      sameSite: 'strict',
-      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-    });
-
-    res.json({
-      _id: user._id,
-      fullName: user.fullName,
-      email: user.email,
-      imageUrl: user.imageUrl,
-      phone: user.phone,
-      role: user.role,
-      isEmailVerified: user.isEmailVerified,
-      created_at: user.created_at,
-      updated_at: user.updated_at,
-      accessToken,
-    });
+    sendLoginResponse(res, loginResult);
   } catch (error) {
     next(error);
   }
 });
 
-authController.post('/resend-verification', async (req, res, next) => {
+authController.post('/resend-verification', rateLimit('verification'), async (req, res, next) => {
   const { email } = req.body;
 
   try {
@@ -334,7 +627,7 @@ authController.post('/resend-verification', async (req, res, next) => {
   }
 });
 
-authController.post('/forgot-password', async (req, res, next) => {
+authController.post('/forgot-password', rateLimit('passwordReset'), async (req, res, next) => {
   try {
     const { email } = req.body;
     const user = await userModel.findOne({ email });
@@ -367,7 +660,7 @@ authController.get('/reset-password/:token', async (req, res, next) => {
     const { token } = req.params;
 
     const user = await userModel.findOne({
-      passwordResetToken: token,
+      passwordResetToken: hashToken(token),
       passwordResetExpires: { $gt: Date.now() },
     });
 
@@ -387,7 +680,7 @@ authController.get('/reset-password/:token', async (req, res, next) => {
   }
 });
 
-authController.post('/reset-password/:token', async (req, res, next) => {
+authController.post('/reset-password/:token', rateLimit('passwordReset'), async (req, res, next) => {
   try {
     const { token } = req.params;
     const { password, repeatPassword } = req.body;
@@ -400,7 +693,7 @@ authController.post('/reset-password/:token', async (req, res, next) => {
     }
 
     const user = await userModel.findOne({
-      passwordResetToken: token,
+      passwordResetToken: hashToken(token),
       passwordResetExpires: { $gt: Date.now() },
     });
 
@@ -411,11 +704,17 @@ authController.post('/reset-password/:token', async (req, res, next) => {
       });
     }
 
+    assertPasswordPolicy(password, user);
+    await authService.assertPasswordNotReused(user, password);
+
     user.password = password;
     user.passwordResetToken = undefined;
     user.passwordResetExpires = undefined;
     await user.save();
 
+    // Whoever knew the old password must not stay signed in anywhere
+    await sessionService.revokeOtherSessions(user._id);
+
     res.json({
       success: true,
       message: 'Password changed successfully!',
@@ -425,7 +724,20 @@ authController.post('/reset-password/:token', async (req, res, next) => {
   }
 });
 
-authController.post('/change-password', auth, async (req, res, next) => {
+authController.post('/unlock-account/:token', rateLimit('passwordReset'), async (req, res, next) => {
+  try {
+    await authService.unlockAccount(req.params.token);
+
+    res.json({
+      success: true,
+      message: 'Account unlocked! You can log in again.',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+authController.post('/change-password', auth, denyImpersonation, async (req, res, next) => {
   try {
     const { currentPassword, newPassword, repeatPassword } = req.body;
 
@@ -436,7 +748,7 @@ authController.post('/change-password', auth, async (req, res, next) => {
       });
     }
 
-    await authService.changePassword(req.user.userId, currentPassword, newPassword);
+    await authService.changePassword(req.user.userId, currentPassword, newPassword, req.user.sessionId);
 
     res.json({
       success: true,
@@ -0,0 +1,484 @@
+import { Router } from 'express';
+import { auth } from '../middleware/authMiddleware.js';
+import * as conversationService from '../services/conversationService.js';
+import * as conversationExportService from '../services/conversationExportService.js';
+
+const conversationController = Router();
+
+conversationController.use(auth);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Conversation:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Unique id of the conversation. Passed as conversationId to /files/process.
+ *         owner:
+ *           type: string
+ *           description: The user the conversation belongs to
+ *         title:
+ *           type: string
+ *           description: Display title, up to 100 characters
+ *         created_at:
+ *           type: string
+ *         updated_at:
+ *           type: string
+ *     Message:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         role:
+ *           type: string
+ *           description: Either 'user' or 'assistant'
+ *         content:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *               text:
+ *                 type: string
+ *         created_at:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /conversations:
+ *   post:
+ *     tags:
+ *       - Conversations
+ *     summary: Starts a new conversation.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 example: "Домашна по математика"
+ *     responses:
+ *       201:
+ *         description: The new conversation.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Conversation'
+ */
+
+conversationController.post('/', async (req, res, next) => {
+  try {
+    const conversation = await conversationService.createConversation(req.user.userId, { title: req.body.title });
+
+    res.status(201).json(conversation);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /conversations:
+ *   get:
+ *     tags:
+ *       - Conversations
+ *     summary: Lists conversations, newest first.
+ *     description: Lists the user's own conversations. Parents can pass a kid's ID as owner to list the kid's ones.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: owner
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: cursor
+ *         description: The nextCursor returned with the previous page.
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: A page of conversations.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 conversations:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Conversation'
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ */
+
+conversationController.get('/', async (req, res, next) => {
+  try {
+    const result = await conversationService.listConversations(req.user.userId, {
+      ownerId: req.query.owner,
+      limit: req.query.limit,
+      cursor: req.query.cursor,
+    });
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /conversations/search:
+ *   get:
+ *     tags:
+ *       - Conversations
+ *     summary: Searches messages by text.
+ *     description: Searches the user's own conversations and, for parents, the ones of their kids. Results are
+ *       ordered by relevance and contain snippets with the character ranges of the matched words.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         description: Words to search for. Use quotes for a phrase and a leading minus to exclude a word.
+ *         schema:
+ *           type: string
+ *           example: "дроби"
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [user, assistant]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: conversation
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: owner
+ *         description: Limits the search to one kid.
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: A page of matching messages.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       role:
+ *                         type: string
+ *                       conversation:
+ *                         $ref: '#/components/schemas/Conversation'
+ *                       created_at:
+ *                         type: string
+ *                       score:
+ *                         type: number
+ *                       snippets:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             text:
+ *                               type: string
+ *                             highlights:
+ *                               type: array
+ *                               items:
+ *                                 type: object
+ *                                 properties:
+ *                                   start:
+ *                                     type: integer
+ *                                   end:
+ *                                     type: integer
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 hasMore:
+ *                   type: boolean
+ */
+
+conversationController.get('/search', async (req, res, next) => {
+  try {
+    const result = await conversationService.searchMessages(req.user.userId, {
+      query: req.query.q,
+      role: req.query.role,
+      from: req.query.from,
+      to: req.query.to,
+      conversationId: req.query.conversation,
+      ownerId: req.query.owner,
+      page: req.query.page,
+      limit: req.query.limit,
+    });
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /conversations/{id}:
+ *   get:
+ *     tags:
+ *       - Conversations
+ *     summary: Gets a conversation.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The conversation.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Conversation'
+ */
+
+conversationController.get('/:id', async (req, res, next) => {
+  try {
+    const conversation = await conversationService.findAccessibleConversation(req.user.userId, req.params.id);
+
+    res.json(conversation);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /conversations/{id}:
+ *   patch:
+ *     tags:
+ *       - Conversations
+ *     summary: Renames a conversation.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The renamed conversation.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Conversation'
+ */
+
+conversationController.patch('/:id', async (req, res, next) => {
+  try {
+    const conversation = await conversationService.renameConversation(req.user.userId, req.params.id, req.body.title);
+
+    res.json(conversation);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /conversations/{id}:
+ *   delete:
+ *     tags:
+ *       - Conversations
+ *     summary: Deletes a conversation with all of its messages.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The conversation was deleted.
+ */
+
+conversationController.delete('/:id', async (req, res, next) => {
+  try {
+    await conversationService.deleteConversation(req.user.userId, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Conversation deleted successfully!',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /conversations/{id}/messages:
+ *   get:
+ *     tags:
+ *       - Conversations
+ *     summary: Gets the message history of a conversation.
+ *     description: The first page holds the newest messages. Each page is ordered oldest first, pass nextCursor to
+ *       load the older ones.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: A page of messages.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 messages:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Message'
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ */
+
+conversationController.get('/:id/messages', async (req, res, next) => {
+  try {
+    const result = await conversationService.listMessages(req.user.userId, req.params.id, {
+      limit: req.query.limit,
+      cursor: req.query.cursor,
+    });
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /conversations/{id}/export:
+ *   get:
+ *     tags:
+ *       - Conversations
+ *     summary: Downloads a conversation as PDF, Markdown or plain text.
+ *     description: Contains every message in order with the author and the time it was sent. Available to the owner
+ *       of the conversation and their parents.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [pdf, md, txt]
+ *           default: pdf
+ *       - in: query
+ *         name: timezoneOffset
+ *         description: Minutes as returned by Date.getTimezoneOffset(), used for the message times.
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: The exported conversation as a file download.
+ */
+
+conversationController.get('/:id/export', async (req, res, next) => {
+  try {
+    const { fileName, contentType, body } = await conversationExportService.exportConversation(
+      req.user.userId,
+      req.params.id,
+      { format: req.query.format, timezoneOffset: req.query.timezoneOffset },
+    );
+
+    res.attachment(fileName);
+    res.type(contentType);
+    res.send(body);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default conversationController;
@@ -1,6 +1,7 @@
 import { Router } from 'express';
 
 import { validateContactForm } from '../utils/validation.js';
+import { rateLimit } from '../middleware/rateLimit.js';
 import * as emailService from '../services/emailService.js';
 
 const emailController = Router();
@@ -50,7 +51,7 @@ const emailController = Router();
  *         description: Internal server error
  */
 
-emailController.post('/', async (req, res, next) => {
+emailController.post('/', rateLimit('contactEmail'), async (req, res, next) => {
   const { name, email, subject, message } = req.body;
 
   try {
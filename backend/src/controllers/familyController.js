@@ -0,0 +1,1240 @@
+import { Router } from 'express';
+import { auth, checkRole } from '../middleware/authMiddleware.js';
+import { avatarUpload } from '../middleware/avatarUpload.js';
+import * as authService from '../services/authService.js';
+import * as impersonationService from '../services/impersonationService.js';
+import * as guardianService from '../services/guardianService.js';
+import * as parentalControlService from '../services/parentalControlService.js';
+import * as activityService from '../services/activityService.js';
+import * as oversightService from '../services/oversightService.js';
+import * as moderationService from '../services/moderationService.js';
+import HttpError from '../utils/httpError.js';
+
+const familyController = Router();
+
+// Every family route is managed by the parent account
+familyController.use(auth, checkRole(['parent']));
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Kid:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Unique id of the kid account
+ *         fullName:
+ *           type: string
+ *           description: The kid's name
+ *         email:
+ *           type: string
+ *           description: Optional email of the kid
+ *         city:
+ *           type: string
+ *         years:
+ *           type: string
+ *           description: The kid's age
+ *         class:
+ *           type: string
+ *           description: School class, e.g. "3B"
+ *         imageUrl:
+ *           type: string
+ *           description: Avatar URL
+ */
+
+/**
+ * @swagger
+ * /family/kids:
+ *   post:
+ *     tags:
+ *       - Family
+ *     summary: Creates a kid account.
+ *     description: Creates a kid account linked to the logged in parent.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               fullName:
+ *                 type: string
+ *                 example: "Ivan Petrov"
+ *               password:
+ *                 type: string
+ *                 example: "Rocket7"
+ *                 description: Optional for kids who will sign in with a PIN or a picture sequence.
+ *               email:
+ *                 type: string
+ *               city:
+ *                 type: string
+ *               years:
+ *                 type: string
+ *               class:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: The new kid account.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Kid'
+ */
+
+familyController.post('/kids', async (req, res, next) => {
+  const { fullName, email, password, city, years } = req.body;
+
+  try {
+    const kid = await authService.createKid({
+      fullName,
+      email,
+      password,
+      city,
+      years,
+      class: req.body.class,
+      parent: req.user.userId,
+    });
+
+    res.status(201).json(kid);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /family/kids:
+ *   get:
+ *     tags:
+ *       - Family
+ *     summary: Lists the parent's kids.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The kid accounts of the logged in parent.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Kid'
+ */
+
+familyController.get('/kids', async (req, res, next) => {
+  try {
+    const kids = await authService.getKids(req.user.userId);
+
+    res.json(kids);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /family/kids/{id}:
+ *   get:
+ *     tags:
+ *       - Family
+ *     summary: Gets a kid account with its files.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The kid account.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Kid'
+ */
+
+familyController.get('/kids/:id', async (req, res, next) => {
+  try {
+    const kid = await authService.getKidById(req.user.userId, req.params.id);
+
+    res.json(kid);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /family/kids/{id}:
+ *   put:
+ *     tags:
+ *       - Family
+ *     summary: Updates a kid's profile.
+ *     description: Updates the profile fields and optionally the avatar of a kid.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               fullName:
+ *                 type: string
+ *               city:
+ *                 type: string
+ *               age:
+ *                 type: string
+ *               class:
+ *                 type: string
+ *               avatar:
+ *                 type: string
+ *                 format: binary
+ *                 description: Optional new avatar image.
+ *     responses:
+ *       200:
+ *         description: The updated kid profile.
+ */
+
+familyController.put('/kids/:id', avatarUpload, async (req, res, next) => {
+  try {
+    const kid = await authService.updateKidProfile(req.user.userId, { ...req.body, kidId: req.params.id }, req.file);
+
+    res.json(kid);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /family/kids/{id}/password:
+ *   put:
+ *     tags:
+ *       - Family
+ *     summary: Changes a kid's password.
+ *     description: Requires the parent's own password as confirmation.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               parentPassword:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *               repeatPassword:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The password was changed.
+ */
+
+familyController.put('/kids/:id/password', async (req, res, next) => {
+  const { parentPassword, password, repeatPassword } = req.body;
+
+  try {
+    if (!parentPassword || !password) {
+      throw new HttpError({
+        status: 400,
+        message: 'Parent password and new password are required!',
+      });
+    }
+
+    if (password !== repeatPassword) {
+      throw new HttpError({
+        status: 400,
+        message: 'Passwords do not match!',
+      });
+    }
+
+    await authService.changeKidPassword(req.user.userId, req.params.id, parentPassword, password);
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully!',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /family/kids/{id}/login:
+ *   put:
+ *     tags:
+ *       - Family
+ *     summary: Sets a kid's username, PIN and/or picture password.
+ *     description: Kids sign in at /auth/kid-login with the family code, this username and the PIN or picture sequence.
+ *       Setting new details also unlocks a kid locked out by failed attempts.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               username:
+ *                 type: string
+ *                 example: "ivan"
+ *               pin:
+ *                 type: string
+ *                 example: "4071"
+ *               pictureSequence:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["cat", "sun", "star"]
+ *     responses:
+ *       200:
+ *         description: The kid's login details.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 username:
+ *                   type: string
+ *                 familyCode:
+ *                   type: string
+ *                   example: "K7PX3M9A"
+ *                 hasPin:
+ *                   type: boolean
+ *                 hasPictureSequence:
+ *                   type: boolean
+ */
+
+familyController.put('/kids/:id/login', async (req, res, next) => {
+  const { username, pin, pictureSequence } = req.body;
+
+  try {
+    const credentials = await authService.setKidLoginCredentials(req.user.userId, req.params.id, {
+      username,
+      pin,
+      pictureSequence,
+    });
+
+    res.json(credentials);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /family/kids/{id}/targets:
+ *   put:
+ *     tags:
+ *       - Family
+ *     summary: Sets a kid's daily and weekly reading targets.
+ *     description: Targets are counted in activities, i.e. processed files and readings.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               dailyTarget:
+ *                 type: integer
+ *                 example: 2
+ *               weeklyTarget:
+ *                 type: integer
+ *                 example: 10
+ *     responses:
+ *       200:
+ *         description: The saved targets.
+ */
+
+familyController.put('/kids/:id/targets', async (req, res, next) => {
+  const { dailyTarget, weeklyTarget } = req.body;
+
+  try {
+    const { newTargets } = await authService.setKidTargets(req.user.userId, req.params.id, dailyTarget, weeklyTarget);
+
+    res.json(newTargets);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /family/kids/{id}/progress:
+ *   get:
+ *     tags:
+ *       - Family
+ *     summary: Gets a kid's progress towards the reading targets.
+ *     description: Returns today's and this week's activity counts versus the targets, the previous week for
+ *       comparison and the current and longest daily streaks, calculated in the caller's timezone.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: timezoneOffset
+ *         description: Minutes as returned by Date.getTimezoneOffset(), e.g. -120 for UTC+2.
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: The progress summary.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 today:
+ *                   type: object
+ *                   properties:
+ *                     count:
+ *                       type: integer
+ *                     target:
+ *                       type: integer
+ *                     percent:
+ *                       type: integer
+ *                       nullable: true
+ *                 week:
+ *                   type: object
+ *                   properties:
+ *                     count:
+ *                       type: integer
+ *                     target:
+ *                       type: integer
+ *                     percent:
+ *                       type: integer
+ *                       nullable: true
+ *                 previousWeek:
+ *                   type: object
+ *                   properties:
+ *                     count:
+ *                       type: integer
+ *                     change:
+ *                       type: integer
+ *                 streak:
+ *                   type: object
+ *                   properties:
+ *                     current:
+ *                       type: integer
+ *                     longest:
+ *                       type: integer
+ */
+
+familyController.get('/kids/:id/progress', async (req, res, next) => {
+  try {
+    const progress = await activityService.getKidProgress(req.user.userId, req.params.id, req.query.timezoneOffset);
+
+    res.json(progress);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ParentalControls:
+ *       type: object
+ *       properties:
+ *         enabled:
+ *           type: boolean
+ *         timezoneOffset:
+ *           type: integer
+ *           description: Minutes as returned by Date.getTimezoneOffset() on the kid's device, e.g. -120 for UTC+2
+ *         dailyMinutes:
+ *           type: integer
+ *           nullable: true
+ *           description: Daily time budget. Null means unlimited.
+ *         schedule:
+ *           type: array
+ *           description: Allowed time windows. Empty means any time, otherwise days without a window are blocked.
+ *           items:
+ *             type: object
+ *             properties:
+ *               weekday:
+ *                 type: integer
+ *                 description: 1 (Monday) to 7 (Sunday)
+ *               start:
+ *                 type: string
+ *                 example: "15:00"
+ *               end:
+ *                 type: string
+ *                 example: "19:30"
+ */
+
+/**
+ * @swagger
+ * /family/kids/{id}/controls:
+ *   get:
+ *     tags:
+ *       - Family
+ *     summary: Gets a kid's parental controls and today's usage.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The parental controls with a usage object (date, minutes, remainingMinutes).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ParentalControls'
+ */
+
+familyController.get('/kids/:id/controls', async (req, res, next) => {
+  try {
+    const controls = await parentalControlService.getParentalControls(req.user.userId, req.params.id);
+
+    res.json(controls);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /family/kids/{id}/controls:
+ *   put:
+ *     tags:
+ *       - Family
+ *     summary: Sets a kid's allowed hours and daily time limit.
+ *     description: When enabled, the kid's requests outside the schedule or over the daily limit are rejected with 403
+ *       and a reason of "outsideSchedule" or "dailyLimitReached".
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ParentalControls'
+ *     responses:
+ *       200:
+ *         description: The saved parental controls.
+ */
+
+familyController.put('/kids/:id/controls', async (req, res, next) => {
+  const { enabled, timezoneOffset, dailyMinutes, schedule } = req.body;
+
+  try {
+    const controls = await parentalControlService.setParentalControls(req.user.userId, req.params.id, {
+      enabled,
+      timezoneOffset,
+      dailyMinutes,
+      schedule,
+    });
+
+    res.json(controls);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /family/kids/{id}/impersonate:
+ *   post:
+ *     tags:
+ *       - Family
+ *     summary: Issues a short-lived access token to act as a kid.
+ *     description: The token carries the parent's ID, cannot be refreshed and every request made with it is recorded
+ *       in the kid's impersonation audit.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The impersonation token.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 accessToken:
+ *                   type: string
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ */
+
+familyController.post('/kids/:id/impersonate', async (req, res, next) => {
+  try {
+    const { accessToken, expiresAt } = await impersonationService.startImpersonation(req.user.userId, req.params.id);
+
+    res.json({ accessToken, expiresAt });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /family/kids/{id}/impersonation-audit:
+ *   get:
+ *     tags:
+ *       - Family
+ *     summary: Lists the requests made while acting as a kid.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: The newest audit entries first.
+ */
+
+familyController.get('/kids/:id/impersonation-audit', async (req, res, next) => {
+  try {
+    const entries = await impersonationService.listImpersonationAudit(req.user.userId, req.params.id, {
+      limit: req.query.limit,
+    });
+
+    res.json(entries);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /family/kids/{id}/conversations:
+ *   get:
+ *     tags:
+ *       - Family
+ *     summary: Lists the conversations of a kid.
+ *     description: Read-only view for the parents of the kid, newest first.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: A page of conversations and the cursor for the next one.
+ */
+
+familyController.get('/kids/:id/conversations', async (req, res, next) => {
+  try {
+    const conversations = await oversightService.listKidConversations(req.user.userId, req.params.id, {
+      limit: req.query.limit,
+      cursor: req.query.cursor,
+    });
+
+    res.json(conversations);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /family/kids/{id}/conversations/{conversationId}/messages:
+ *   get:
+ *     tags:
+ *       - Family
+ *     summary: Lists the messages of a kid's conversation.
+ *     description: Read-only. Each message includes the flag the parent set on it, if any.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: conversationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: A page of messages, oldest first, and the cursor for the older ones.
+ */
+
+familyController.get('/kids/:id/conversations/:conversationId/messages', async (req, res, next) => {
+  try {
+    const messages = await oversightService.listKidMessages(req.user.userId, req.params.id, req.params.conversationId, {
+      limit: req.query.limit,
+      cursor: req.query.cursor,
+    });
+
+    res.json(messages);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /family/kids/{id}/messages/{messageId}/flags:
+ *   post:
+ *     tags:
+ *       - Family
+ *     summary: Flags an assistant reply for review.
+ *     description: Only replies of the assistant in the kid's conversations can be flagged.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "The explanation is wrong"
+ *     responses:
+ *       201:
+ *         description: The flag.
+ */
+
+familyController.post('/kids/:id/messages/:messageId/flags', async (req, res, next) => {
+  try {
+    const flag = await oversightService.flagMessage(
+      req.user.userId,
+      req.params.id,
+      req.params.messageId,
+      req.body.reason,
+    );
+
+    res.status(201).json(flag);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /family/flags:
+ *   get:
+ *     tags:
+ *       - Family
+ *     summary: Lists the replies the parent flagged for review.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, resolved]
+ *           default: open
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: The newest flags first, with the message, kid and conversation.
+ */
+
+familyController.get('/flags', async (req, res, next) => {
+  try {
+    const flags = await oversightService.listFlags(req.user.userId, {
+      status: req.query.status,
+      limit: req.query.limit,
+    });
+
+    res.json(flags);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /family/flags/{flagId}/resolve:
+ *   post:
+ *     tags:
+ *       - Family
+ *     summary: Marks a flagged reply as reviewed.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: flagId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The resolved flag.
+ */
+
+familyController.post('/flags/:flagId/resolve', async (req, res, next) => {
+  try {
+    const flag = await oversightService.resolveFlag(req.user.userId, req.params.flagId);
+
+    res.json(flag);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /family/kids/{id}/content-filter:
+ *   get:
+ *     tags:
+ *       - Family
+ *     summary: Gets the content filter strictness of a kid.
+ *     description: Returns the strictness and which categories each level blocks or redacts.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The strictness and the available levels.
+ */
+
+familyController.get('/kids/:id/content-filter', async (req, res, next) => {
+  try {
+    const contentFilter = await moderationService.getContentFilter(req.user.userId, req.params.id);
+
+    res.json(contentFilter);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /family/kids/{id}/content-filter:
+ *   put:
+ *     tags:
+ *       - Family
+ *     summary: Sets the content filter strictness of a kid.
+ *     description: Applies to the files a kid processes and to the replies of the assistant.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               strictness:
+ *                 type: string
+ *                 enum: [relaxed, standard, strict]
+ *     responses:
+ *       200:
+ *         description: The saved strictness.
+ */
+
+familyController.put('/kids/:id/content-filter', async (req, res, next) => {
+  try {
+    const contentFilter = await moderationService.setContentFilter(req.user.userId, req.params.id, req.body.strictness);
+
+    res.json(contentFilter);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /family/kids/{id}/moderation-events:
+ *   get:
+ *     tags:
+ *       - Family
+ *     summary: Lists the content a kid's filter blocked or redacted.
+ *     description: Only the categories are logged, not the text.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: The newest events first.
+ */
+
+familyController.get('/kids/:id/moderation-events', async (req, res, next) => {
+  try {
+    const events = await moderationService.listModerationEvents(req.user.userId, req.params.id, {
+      limit: req.query.limit,
+    });
+
+    res.json(events);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /family/kids/{id}/guardians:
+ *   get:
+ *     tags:
+ *       - Family
+ *     summary: Lists the guardians of a kid.
+ *     description: Returns the owner and co-guardians. The owner also gets the pending invitations.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The guardians and pending invitations.
+ */
+
+familyController.get('/kids/:id/guardians', async (req, res, next) => {
+  try {
+    const guardians = await guardianService.listGuardians(req.user.userId, req.params.id);
+
+    res.json(guardians);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /family/kids/{id}/guardians/invitations:
+ *   post:
+ *     tags:
+ *       - Family
+ *     summary: Invites a co-guardian by email.
+ *     description: Only the owner of the kid account can invite. The invitee accepts with the emailed token while
+ *       logged in with the invited email.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: "grandma@test.com"
+ *     responses:
+ *       201:
+ *         description: The pending invitation.
+ */
+
+familyController.post('/kids/:id/guardians/invitations', async (req, res, next) => {
+  try {
+    const invitation = await guardianService.inviteGuardian(req.user.userId, req.params.id, req.body.email);
+
+    res.status(201).json(invitation);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /family/kids/{id}/guardians/invitations/{invitationId}:
+ *   delete:
+ *     tags:
+ *       - Family
+ *     summary: Revokes a pending guardian invitation.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The invitation was revoked.
+ */
+
+familyController.delete('/kids/:id/guardians/invitations/:invitationId', async (req, res, next) => {
+  try {
+    await guardianService.revokeInvitation(req.user.userId, req.params.id, req.params.invitationId);
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked successfully!',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /family/kids/{id}/guardians/{guardianId}:
+ *   delete:
+ *     tags:
+ *       - Family
+ *     summary: Removes a co-guardian.
+ *     description: The owner can remove any co-guardian. A co-guardian can remove themselves.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: guardianId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The guardian was removed.
+ */
+
+familyController.delete('/kids/:id/guardians/:guardianId', async (req, res, next) => {
+  try {
+    await guardianService.removeGuardian(req.user.userId, req.params.id, req.params.guardianId);
+
+    res.json({
+      success: true,
+      message: 'Guardian removed successfully!',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /family/invitations/{token}/accept:
+ *   post:
+ *     tags:
+ *       - Family
+ *     summary: Accepts a guardian invitation.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The kid that was added to the account.
+ */
+
+familyController.post('/invitations/:token/accept', async (req, res, next) => {
+  try {
+    const kid = await guardianService.acceptInvitation(req.user.userId, req.params.token);
+
+    res.json(kid);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /family/kids/{id}:
+ *   delete:
+ *     tags:
+ *       - Family
+ *     summary: Schedules a kid account for deletion.
+ *     description: Signs the kid out everywhere right away. The kid is deleted together with their files and
+ *       conversations once the grace period ends and can be restored until then. Only the owner of the kid account
+ *       can delete it.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The date when the kid account will be deleted.
+ */
+
+familyController.delete('/kids/:id', async (req, res, next) => {
+  try {
+    const { scheduledDeletionAt } = await authService.deleteKid(req.user.userId, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Kid account is scheduled for deletion!',
+      scheduledDeletionAt,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /family/kids/{id}/restore:
+ *   post:
+ *     tags:
+ *       - Family
+ *     summary: Cancels the deletion of a kid account.
+ *     description: Only possible during the grace period and only for the owner of the kid account.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The kid account was restored.
+ */
+
+familyController.post('/kids/:id/restore', async (req, res, next) => {
+  try {
+    await authService.restoreKid(req.user.userId, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Kid account restored successfully!',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default familyController;
@@ -1,9 +1,13 @@
 import { Router } from 'express';
 import { fileUpload } from '../middleware/fileUpload.js';
 import { auth, checkFileAccess, checkRole } from '../middleware/authMiddleware.js';
+import { rateLimit } from '../middleware/rateLimit.js';
 import * as storageService from '../services/storageService.js';
 import * as chatService from '../services/chatService.js';
 import { getChildInfoById } from '../services/authService.js';
+import { recordActivity } from '../services/activityService.js';
+import { assertOwnConversation, replaceReply } from '../services/conversationService.js';
+import * as moderationService from '../services/moderationService.js';
 import HttpError from '../utils/httpError.js';
 import { compressImage } from '../utils/compress.js';
 import { prompts } from '../utils/aiPrompts.js';
@@ -17,6 +21,9 @@ import {
 
 const fileController = Router();
 
+// Processing calls OpenAI, so it is limited per kid account
+const processLimit = rateLimit('fileProcess');
+
 /**
  * @swagger
  * components:
@@ -233,7 +240,9 @@ fileController.delete('/', auth, checkFileAccess, async (req, res, next) => {
  *     tags:
  *       - Files
  *     summary: Processes a user file depending on the selected mode.
- *     description: Saves the file. Extract its contents and uses the AI features to provide the requested help.
+ *     description: Saves the file. Extract its contents and uses the AI features to provide the requested help. The
+ *       content and the reply pass the content filter set by the parent, which redacts personal data and rejects unsafe
+ *       files with 400 and a reason of "unsafeContent".
  *     requestBody:
  *       required: true
  *       content:
@@ -251,7 +260,8 @@ fileController.delete('/', auth, checkFileAccess, async (req, res, next) => {
  *                 example: "homework"
  *               conversationId:
  *                 type: string
- *                 description: The ID of the ongoing conversation. Needed to provide context to the AI chatbot.
+ *                 description: The ID of the ongoing conversation, created with POST /conversations. Needed to provide
+ *                   context to the AI chatbot.
  *                 example: "675d955c980d685673d4bb60"
  *     responses:
  *       200:
@@ -275,7 +285,7 @@ fileController.delete('/', auth, checkFileAccess, async (req, res, next) => {
  *                   example: "files/7f1efbae-bff8-40a3-9dbf-902963b076df_IMG_20241202_220503.webp"
  */
 
-fileController.post('/process', auth, checkRole(['kid']), fileUpload, async (req, res, next) => {
+fileController.post('/process', auth, checkRole(['kid']), processLimit, fileUpload, async (req, res, next) => {
   const validModes = ['homework', 'lesson', 'summary', 'reading'];
 
   try {
@@ -302,6 +312,8 @@ fileController.post('/process', auth, checkRole(['kid']), fileUpload, async (req
       });
     }
 
+    await assertOwnConversation(req.user.userId, conversationId);
+
     if (!req.file) {
       throw new HttpError({
         status: 400,
@@ -363,6 +375,23 @@ fileController.post('/process', auth, checkRole(['kid']), fileUpload, async (req
       });
     }
 
+    // Personal data is redacted and unsafe content rejected before the text is used or stored in the conversation
+    const moderationContext = {
+      kidId: req.user.userId,
+      strictness: await moderationService.getKidStrictness(req.user.userId),
+      conversationId,
+      fileKey: uploadData.Key,
+    };
+
+    try {
+      fileTextContent = await moderationService.screenInput(fileTextContent, moderationContext);
+    } catch (error) {
+      // Rejected files are not kept
+      await storageService.deleteFileFromS3(uploadData.Key);
+      await storageService.deleteFileFromDB(uploadData.Key);
+      throw error;
+    }
+
     let response = {
       question: originalFileName,
       answer: '',
@@ -404,11 +433,18 @@ fileController.post('/process', auth, checkRole(['kid']), fileUpload, async (req
             });
           }
 
-          response.answer = textChatResponse.message.content;
+          const reply = textChatResponse.message.content;
+          response.answer = await moderationService.screenOutput(reply, moderationContext);
+
+          if (response.answer !== reply) {
+            await replaceReply(conversationId, reply, response.answer);
+          }
         }
         break;
     }
 
+    await recordActivity(req.user.userId, { type: mode, fileKey: uploadData.Key, conversation: conversationId });
+
     res.status(200).json(response);
   } catch (error) {
     next(error);
@@ -0,0 +1,14 @@
+import { purgeScheduledAccounts } from '../services/accountDeletionService.js';
+import { scheduleJob } from './scheduleJob.js';
+
+const getIntervalMinutes = () => Number(process.env.ACCOUNT_DELETION_INTERVAL_MINUTES) || 60;
+
+export const startAccountDeletionJob = () =>
+  scheduleJob(
+    'Account deletion',
+    async () => {
+      const purged = await purgeScheduledAccounts();
+      if (purged) console.log(`Purged ${purged} deleted accounts`);
+    },
+    getIntervalMinutes(),
+  );
@@ -0,0 +1,6 @@
+import { processPendingExports } from '../services/dataExportService.js';
+import { scheduleJob } from './scheduleJob.js';
+
+const getIntervalMinutes = () => Number(process.env.DATA_EXPORT_INTERVAL_MINUTES) || 15;
+
+export const startDataExportJob = () => scheduleJob('Data export', processPendingExports, getIntervalMinutes());
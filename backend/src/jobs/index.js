@@ -0,0 +1,11 @@
+import { startAccountDeletionJob } from './accountDeletionJob.js';
+import { startDataExportJob } from './dataExportJob.js';
+import { startWeeklyDigestJob } from './weeklyDigestJob.js';
+
+export const startJobs = () => {
+  if (process.env.JOBS_ENABLED === 'false') return;
+
+  startWeeklyDigestJob();
+  startAccountDeletionJob();
+  startDataExportJob();
+};
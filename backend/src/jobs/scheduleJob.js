@@ -0,0 +1,15 @@
+// Runs the task once at startup and then every intervalMinutes, so a restart does not delay it by a whole interval.
+// A failed run is logged and the next one tries again.
+export const scheduleJob = (name, task, intervalMinutes) => {
+  const run = async () => {
+    try {
+      await task();
+    } catch (error) {
+      console.error(`${name} job failed:`, error);
+    }
+  };
+
+  run();
+
+  return setInterval(run, intervalMinutes * 60 * 1000);
+};
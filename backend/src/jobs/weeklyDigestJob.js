@@ -0,0 +1,15 @@
+import { sendWeeklyDigests } from '../services/digestService.js';
+import { scheduleJob } from './scheduleJob.js';
+
+const getIntervalMinutes = () => Number(process.env.WEEKLY_DIGEST_INTERVAL_MINUTES) || 60;
+
+// Parents live in different timezones, so the job runs every hour and each run picks the parents for whom it is Monday
+export const startWeeklyDigestJob = () =>
+  scheduleJob(
+    'Weekly digest',
+    async () => {
+      const sent = await sendWeeklyDigests();
+      if (sent) console.log(`Weekly digest sent to ${sent} parents`);
+    },
+    getIntervalMinutes(),
+  );
@@ -3,33 +3,78 @@ import { verifyAccessToken } from '../utils/jwt.js';
 import userModel from '../models/userModel.js';
 import fileModel from '../models/fileModel.js';
 import { setLastActivity } from '../services/authService.js';
+import * as revocationService from '../services/revocationService.js';
+import { assertImpersonationActive, recordImpersonatedRequest } from '../services/impersonationService.js';
+import { enforceParentalControls } from '../services/parentalControlService.js';
 
-export const auth = async (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
+const authenticate =
+  ({ parentalControls }) =>
+  async (req, res, next) => {
+    let decoded;
 
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      throw new HttpError({
-        status: 401,
-        message: 'Invalid token!',
-      });
+    try {
+      const authHeader = req.headers.authorization;
+
+      if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        throw new HttpError({
+          status: 401,
+          message: 'Invalid token!',
+        });
+      }
+
+      const token = authHeader.split(' ')[1];
+      decoded = verifyAccessToken(token);
+    } catch (error) {
+      return next(
+        new HttpError({
+          status: 401,
+          message: 'Invalid token!',
+          details: error.message,
+        }),
+      );
     }
 
-    const token = authHeader.split(' ')[1];
-    const decoded = verifyAccessToken(token);
+    try {
+      await revocationService.assertAccessTokenActive(decoded);
 
-    req.user = { userId: decoded.userId };
-    await setLastActivity(decoded.userId);
-    next();
-  } catch (error) {
-    next(
+      req.user = { userId: decoded.userId, sessionId: decoded.sessionId, actingParentId: decoded.actingParentId };
+      req.token = { jti: decoded.jti, expiresAt: new Date(decoded.exp * 1000) };
+
+      // A parent acting as their kid is audited and does not count as the kid's own activity
+      if (decoded.actingParentId) {
+        await assertImpersonationActive(decoded);
+        res.on('finish', () => recordImpersonatedRequest(req.user, req.token, req, res));
+      } else {
+        const user = await setLastActivity(decoded.userId);
+
+        if (parentalControls && user?.role === 'kid') {
+          await enforceParentalControls(user);
+        }
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+export const auth = authenticate({ parentalControls: true });
+
+// For signing out and managing sessions, which must keep working while a kid is outside the allowed time
+export const authWithoutParentalControls = authenticate({ parentalControls: false });
+
+// For routes a parent must not use while acting as their kid, e.g. changing the kid's password
+export const denyImpersonation = (req, res, next) => {
+  if (req.user?.actingParentId) {
+    return next(
       new HttpError({
-        status: 401,
-        message: 'Invalid token!',
-        details: error.message,
+        status: 403,
+        message: 'This action is not allowed while acting as your kid!',
       }),
     );
   }
+
+  next();
 };
 
 export const checkRole = (roles) => {
@@ -63,7 +108,7 @@ export const checkFileAccess = async (req, res, next) => {
   try {
     const { key } = req.body;
 
-    const file = await fileModel.findOne({ key }).populate('owner', '_id parent');
+    const file = await fileModel.findOne({ key }).populate('owner', '_id parent guardians');
 
     if (!file) {
       throw new HttpError({
@@ -72,7 +117,10 @@ export const checkFileAccess = async (req, res, next) => {
       });
     }
 
-    if (file.owner._id != req.user.userId && file.owner.parent != req.user.userId) {
+    // Kids' files are also available to their owning parent and every co-guardian
+    const isGuardian = (file.owner.guardians || []).some((guardianId) => guardianId == req.user.userId);
+
+    if (file.owner._id != req.user.userId && file.owner.parent != req.user.userId && !isGuardian) {
       throw new HttpError({
         status: 403,
         message: 'You do not have access to this resource!',
@@ -13,6 +13,6 @@ const avatarFilter = (req, file, cb) => {
 
 export const avatarUpload = multer({
   storage,
-  avatarFilter,
+  fileFilter: avatarFilter,
   limits: { fileSize: 10 * 1024 * 1024 }, // 10 MB
 }).single('avatar');
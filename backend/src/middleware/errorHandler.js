@@ -43,7 +43,7 @@ export default function errorHandler(err, req, res) {
   console.error(
     `[${type}]: ${err.constructor.name}: ${req.method} >> ${req.originalUrl} >>`,
     `Message: ${message}`,
-    `Details: ${details}`,
+    `Details: ${typeof details === 'object' ? JSON.stringify(details) : details}`,
     `ErrorObject: ${JSON.stringify(error) || 'Not provided.'}`,
   );
 
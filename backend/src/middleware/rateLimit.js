@@ -0,0 +1,74 @@
+import HttpError from '../utils/httpError.js';
+import { getRateLimitConfig } from '../config/rateLimitConfig.js';
+import { createMemoryRateLimitStore } from '../stores/rateLimit/memoryRateLimitStore.js';
+import { createMongoRateLimitStore } from '../stores/rateLimit/mongoRateLimitStore.js';
+
+const storeFactories = {
+  memory: createMemoryRateLimitStore,
+  mongo: createMongoRateLimitStore,
+};
+
+let store = null;
+
+const getStore = () => {
+  if (!store) {
+    const type = process.env.RATE_LIMIT_STORE || 'memory';
+    const createStore = storeFactories[type];
+
+    if (!createStore) {
+      throw new Error(`Unknown rate limit store "${type}". Use one of: ${Object.keys(storeFactories).join(', ')}.`);
+    }
+
+    store = createStore();
+  }
+
+  return store;
+};
+
+// Per-user groups must run after the auth middleware, anonymous requests fall back to the IP
+const getClientKey = (req, keyBy) => {
+  if (keyBy === 'user' && req.user?.userId) {
+    return `user:${req.user.userId}`;
+  }
+
+  return `ip:${req.ip}`;
+};
+
+export const rateLimit = (group) => {
+  let config = null;
+
+  return async (req, res, next) => {
+    let result;
+
+    try {
+      config = config || getRateLimitConfig(group);
+      result = await getStore().increment(`${group}:${getClientKey(req, config.keyBy)}`, config.windowMs);
+    } catch (error) {
+      // Fail open - an unavailable store must not take the whole API down
+      console.error(`Rate limit store error for group "${group}":`, error.message);
+      return next();
+    }
+
+    const resetSeconds = Math.max(0, Math.ceil((new Date(result.resetAt).getTime() - Date.now()) / 1000));
+
+    res.set({
+      'RateLimit-Limit': String(config.max),
+      'RateLimit-Remaining': String(Math.max(0, config.max - result.count)),
+      'RateLimit-Reset': String(resetSeconds),
+    });
+
+    if (result.count > config.max) {
+      res.set('Retry-After', String(resetSeconds));
+
+      return next(
+        new HttpError({
+          status: 429,
+          message: 'Too many requests! Please try again later.',
+          details: { retryAfter: resetSeconds },
+        }),
+      );
+    }
+
+    next();
+  };
+};
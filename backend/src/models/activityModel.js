@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+// One entry per reading or processing event of a kid, used for target progress and streaks
+const activitySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Activity user is required!'],
+    },
+    type: {
+      type: String,
+      enum: ['homework', 'lesson', 'summary', 'reading'],
+      required: [true, 'Activity type is required!'],
+    },
+    fileKey: {
+      type: String,
+      default: '',
+    },
+    conversation: {
+      type: mongoose.Types.ObjectId,
+      ref: 'Conversation',
+    },
+  },
+  {
+    timestamps: {
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+    },
+  },
+);
+
+activitySchema.index({ user: 1, created_at: -1 });
+
+const activityModel = mongoose.model('Activity', activitySchema);
+
+export default activityModel;
@@ -11,6 +11,13 @@ const conversationSchema = new mongoose.Schema(
     owner: {
       type: mongoose.Types.ObjectId,
       ref: 'User',
+      index: true,
+    },
+    title: {
+      type: String,
+      trim: true,
+      default: '',
+      maxLength: [100, 'Title cannot be more than 100 characters!'],
     },
   },
   {
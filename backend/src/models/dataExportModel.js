@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+// A personal data archive requested by a user. The ZIP itself lives in S3 under exports/.
+const dataExportSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required!'],
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'processing', 'completed', 'failed'],
+      default: 'pending',
+    },
+    key: String,
+    size: Number,
+    startedAt: Date,
+    completedAt: Date,
+    // The archive is deleted from S3 after this date
+    expiresAt: Date,
+    error: String,
+  },
+  {
+    timestamps: {
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+    },
+  },
+);
+
+const dataExportModel = mongoose.model('DataExport', dataExportSchema);
+
+export default dataExportModel;
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+const guardianInvitationSchema = new mongoose.Schema(
+  {
+    kid: {
+      type: mongoose.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Kid is required!'],
+      index: true,
+    },
+    invitedBy: {
+      type: mongoose.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Inviting parent is required!'],
+    },
+    email: {
+      type: String,
+      required: [true, 'Email is required!'],
+      lowercase: true,
+      trim: true,
+      maxLength: [100, 'Email cannot be more than 100 characters!'],
+      match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Invalid email format!'],
+    },
+    // SHA-256 digest of the emailed token
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'revoked'],
+      default: 'pending',
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    acceptedBy: {
+      type: mongoose.Types.ObjectId,
+      ref: 'User',
+    },
+    acceptedAt: Date,
+    revokedAt: Date,
+  },
+  {
+    timestamps: {
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+    },
+  },
+);
+
+const guardianInvitationModel = mongoose.model('GuardianInvitation', guardianInvitationSchema);
+
+export default guardianInvitationModel;
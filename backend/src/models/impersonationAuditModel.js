@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+// One entry per request made by a parent acting as their kid
+const impersonationAuditSchema = new mongoose.Schema(
+  {
+    parent: {
+      type: mongoose.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Acting parent is required!'],
+      index: true,
+    },
+    kid: {
+      type: mongoose.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Impersonated kid is required!'],
+      index: true,
+    },
+    tokenId: {
+      type: String,
+      default: '',
+    },
+    method: {
+      type: String,
+      required: [true, 'Request method is required!'],
+    },
+    path: {
+      type: String,
+      required: [true, 'Request path is required!'],
+      maxLength: [2048, 'Request path cannot be more than 2048 characters!'],
+    },
+    status: Number,
+    ip: {
+      type: String,
+      default: '',
+      maxLength: [64, 'IP address cannot be more than 64 characters!'],
+    },
+    userAgent: {
+      type: String,
+      default: '',
+      maxLength: [512, 'User agent cannot be more than 512 characters!'],
+    },
+  },
+  {
+    timestamps: {
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+    },
+  },
+);
+
+const impersonationAuditModel = mongoose.model('ImpersonationAudit', impersonationAuditSchema);
+
+export default impersonationAuditModel;
@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+// An assistant reply a parent marked for review
+const messageFlagSchema = new mongoose.Schema(
+  {
+    message: {
+      type: mongoose.Types.ObjectId,
+      ref: 'Message',
+      required: [true, 'Message is required!'],
+    },
+    conversation: {
+      type: mongoose.Types.ObjectId,
+      ref: 'Conversation',
+      required: [true, 'Conversation is required!'],
+      index: true,
+    },
+    kid: {
+      type: mongoose.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Kid is required!'],
+      index: true,
+    },
+    flaggedBy: {
+      type: mongoose.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Flagging parent is required!'],
+    },
+    reason: {
+      type: String,
+      trim: true,
+      default: '',
+      maxLength: [500, 'Reason cannot be more than 500 characters!'],
+    },
+    status: {
+      type: String,
+      enum: ['open', 'resolved'],
+      default: 'open',
+    },
+    resolvedAt: Date,
+  },
+  {
+    timestamps: {
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+    },
+  },
+);
+
+// The review queue of a parent
+messageFlagSchema.index({ flaggedBy: 1, status: 1, created_at: -1 });
+messageFlagSchema.index({ message: 1, flaggedBy: 1 }, { unique: true });
+
+const messageFlagModel = mongoose.model('MessageFlag', messageFlagSchema);
+
+export default messageFlagModel;
@@ -32,6 +32,12 @@ const messageSchema = new mongoose.Schema(
   },
 );
 
+// Message history is read newest first and paginated by _id
+messageSchema.index({ conversation: 1, _id: -1 });
+
+// Used by message search. Stemming and stop words are disabled, because MongoDB has no Bulgarian language support.
+messageSchema.index({ 'content.text': 'text' }, { default_language: 'none', name: 'message_text_search' });
+
 const messageModel = mongoose.model('Message', messageSchema);
 
 export default messageModel;
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+// One entry per text the content filter blocked or redacted. The text itself is not stored, because it may contain
+// the personal data that was filtered out.
+const moderationEventSchema = new mongoose.Schema(
+  {
+    kid: {
+      type: mongoose.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Kid is required!'],
+    },
+    conversation: {
+      type: mongoose.Types.ObjectId,
+      ref: 'Conversation',
+    },
+    fileKey: {
+      type: String,
+      default: '',
+    },
+    stage: {
+      type: String,
+      enum: ['input', 'output'],
+      required: [true, 'Stage is required!'],
+    },
+    action: {
+      type: String,
+      enum: ['blocked', 'redacted'],
+      required: [true, 'Action is required!'],
+    },
+    categories: {
+      type: [String],
+      default: [],
+    },
+    strictness: String,
+    provider: String,
+  },
+  {
+    timestamps: {
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+    },
+  },
+);
+
+moderationEventSchema.index({ kid: 1, created_at: -1 });
+
+const moderationEventModel = mongoose.model('ModerationEvent', moderationEventSchema);
+
+export default moderationEventModel;
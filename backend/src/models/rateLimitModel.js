@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+const rateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Rate limit key is required!'],
+    unique: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  resetAt: {
+    type: Date,
+    required: [true, 'Rate limit reset time is required!'],
+  },
+});
+
+// Finished windows are removed by MongoDB automatically
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+const rateLimitModel = mongoose.model('RateLimit', rateLimitSchema);
+
+export default rateLimitModel;
@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+const revokedTokenSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: [true, 'Revoked token key is required!'],
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, 'Revoked token expiry is required!'],
+    },
+  },
+  {
+    timestamps: {
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+    },
+  },
+);
+
+// Entries are only needed until the revoked token would have expired on its own
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const revokedTokenModel = mongoose.model('RevokedToken', revokedTokenSchema);
+
+export default revokedTokenModel;
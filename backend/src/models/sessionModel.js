@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Session user is required!'],
+      index: true,
+    },
+    family: {
+      type: String,
+      required: [true, 'Token family is required!'],
+      index: true,
+    },
+    tokenId: {
+      type: String,
+      required: [true, 'Token ID is required!'],
+    },
+    deviceLabel: {
+      type: String,
+      default: '',
+      trim: true,
+      maxLength: [100, 'Device label cannot be more than 100 characters!'],
+    },
+    userAgent: {
+      type: String,
+      default: '',
+      maxLength: [512, 'User agent cannot be more than 512 characters!'],
+    },
+    ip: {
+      type: String,
+      default: '',
+      maxLength: [64, 'IP address cannot be more than 64 characters!'],
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    revokedAt: Date,
+    revokedReason: {
+      type: String,
+      enum: ['logout', 'reuse', 'revoked'],
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, 'Session expiry is required!'],
+    },
+  },
+  {
+    timestamps: {
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+    },
+  },
+);
+
+// Expired sessions are removed by MongoDB automatically
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const sessionModel = mongoose.model('Session', sessionSchema);
+
+export default sessionModel;
@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+// Minutes a kid spent in the app per local calendar day
+const usageSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Usage user is required!'],
+    },
+    // Local date in the kid's timezone, e.g. "2025-03-14"
+    date: {
+      type: String,
+      required: [true, 'Usage date is required!'],
+    },
+    minutes: {
+      type: Number,
+      default: 0,
+    },
+    lastSeenAt: Date,
+  },
+  {
+    timestamps: {
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+    },
+  },
+);
+
+usageSchema.index({ user: 1, date: 1 }, { unique: true });
+
+const usageModel = mongoose.model('Usage', usageSchema);
+
+export default usageModel;
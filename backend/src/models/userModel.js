@@ -1,6 +1,13 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcrypt';
 import crypto from 'crypto';
+import { base32Encode, verifyTotp } from '../utils/totp.js';
+import { hashToken } from '../utils/tokenHash.js';
+
+const normalizeRecoveryCode = (code) =>
+  String(code || '')
+    .replace(/[\s-]/g, '')
+    .toUpperCase();
 
 const userSchema = new mongoose.Schema(
   {
@@ -13,7 +20,13 @@ const userSchema = new mongoose.Schema(
     },
     email: {
       type: String,
-      required: [true, 'Email is required!'],
+      // Kids sign in through their parent's family and may not have an email
+      required: [
+        function () {
+          return this.role !== 'kid';
+        },
+        'Email is required!',
+      ],
       unique: true,
       sparse: true, // This allows multiple null values
       lowercase: true,
@@ -43,10 +56,6 @@ const userSchema = new mongoose.Schema(
       unique: true,
       maxLength: [100, 'Google ID cannot be more than 100 characters!'],
     },
-    refreshToken: {
-      type: String,
-      maxLength: [1024, 'Refresh token cannot be more than 1024 characters!'],
-    },
     isEmailVerified: {
       type: Boolean,
       default: false,
@@ -61,12 +70,56 @@ const userSchema = new mongoose.Schema(
       maxLength: [1024, 'Password reset token cannot be more than 1024 characters!'],
     },
     passwordResetExpires: Date,
+    // Kid sign-in without email: username unique within the family plus a PIN and/or picture sequence
+    username: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      maxLength: [20, 'Username cannot be more than 20 characters!'],
+    },
+    pinHash: String,
+    pictureSequenceHash: String,
+    // Parents share this code with their kids so the kid login can find the family
+    familyCode: {
+      type: String,
+      unique: true,
+      sparse: true,
+      uppercase: true,
+    },
+    loginAttempts: {
+      count: {
+        type: Number,
+        default: 0,
+      },
+      lastFailedAt: Date,
+      lockedUntil: Date,
+    },
+    accountUnlockToken: {
+      type: String,
+      maxLength: [1024, 'Account unlock token cannot be more than 1024 characters!'],
+    },
+    accountUnlockExpires: Date,
+    magicLinkToken: {
+      type: String,
+      maxLength: [1024, 'Magic link token cannot be more than 1024 characters!'],
+    },
+    magicLinkExpires: Date,
     years: {
       type: String,
       required: false,
       trim: true,
       maxLength: [50, 'Years field cannot be more than 50 characters!'],
     },
+    city: {
+      type: String,
+      trim: true,
+      maxLength: [50, 'City cannot be more than 50 characters!'],
+    },
+    class: {
+      type: String,
+      trim: true,
+      maxLength: [20, 'Class cannot be more than 20 characters!'],
+    },
     phone: {
       type: String,
       match: [/^[\d\s+()-]{8,20}$/, 'Invalid phone format!'],
@@ -86,10 +139,144 @@ const userSchema = new mongoose.Schema(
         ref: 'File',
       },
     ],
+    // Set on parents
+    kids: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+    // Set on kids: the owning parent and any co-guardians who accepted an invitation
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    guardians: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+    // Used for scheduled emails such as the weekly digest, in minutes as in Date.getTimezoneOffset()
+    timezoneOffset: {
+      type: Number,
+      default: 0,
+      min: [-840, 'Invalid timezone offset!'],
+      max: [720, 'Invalid timezone offset!'],
+    },
+    notificationSettings: {
+      weeklyDigest: {
+        type: Boolean,
+        default: true,
+      },
+    },
+    lastDigestSentAt: Date,
+    // Reading targets set on kids by their guardians, counted in activities (processed files and readings)
+    dailyTarget: {
+      type: Number,
+      default: 0,
+      min: [0, 'Daily target cannot be negative!'],
+    },
+    weeklyTarget: {
+      type: Number,
+      default: 0,
+      min: [0, 'Weekly target cannot be negative!'],
+    },
+    // Set on kids by their guardians. Times are local to timezoneOffset (minutes, as in Date.getTimezoneOffset()).
+    parentalControls: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      timezoneOffset: {
+        type: Number,
+        default: 0,
+        min: [-840, 'Invalid timezone offset!'],
+        max: [720, 'Invalid timezone offset!'],
+      },
+      // Empty means no limit
+      dailyMinutes: {
+        type: Number,
+        min: [0, 'Daily minutes cannot be negative!'],
+        max: [1440, 'Daily minutes cannot be more than 1440!'],
+      },
+      // Allowed time windows. Empty means any time, otherwise days without a window are blocked.
+      schedule: [
+        {
+          _id: false,
+          weekday: {
+            type: Number,
+            required: true,
+            min: [1, 'Weekday must be between 1 (Monday) and 7 (Sunday)!'],
+            max: [7, 'Weekday must be between 1 (Monday) and 7 (Sunday)!'],
+          },
+          start: {
+            type: String,
+            required: true,
+            match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Start must be in HH:mm format!'],
+          },
+          end: {
+            type: String,
+            required: true,
+            match: [/^([01]\d|2[0-3]):[0-5]\d$|^24:00$/, 'End must be in HH:mm format!'],
+          },
+        },
+      ],
+    },
+    // Content filter for the AI features of a kid, set by the parent
+    contentFilter: {
+      strictness: {
+        type: String,
+        enum: ['relaxed', 'standard', 'strict'],
+        default: 'standard',
+      },
+    },
     lastActive: {
       type: Date,
       default: Date.now,
     },
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
+    // Soft deletion. The account is purged by the account deletion job once scheduledDeletionAt has passed.
+    deletedAt: Date,
+    scheduledDeletionAt: {
+      type: Date,
+      index: { sparse: true },
+    },
+    deletionCancelToken: String,
+    // Accounts without a password confirm the deletion by email
+    deletionConfirmToken: {
+      type: String,
+      maxLength: [1024, 'Deletion confirmation token cannot be more than 1024 characters!'],
+    },
+    deletionConfirmExpires: Date,
+    // bcrypt hashes of previous passwords, newest first
+    passwordHistory: {
+      type: [String],
+      default: [],
+    },
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: String,
+      pendingSecret: String,
+      lastUsedStep: Number,
+      enabledAt: Date,
+    },
+    recoveryCodes: [
+      {
+        _id: false,
+        hash: {
+          type: String,
+          required: true,
+        },
+        usedAt: Date,
+      },
+    ],
   },
   {
     timestamps: {
@@ -99,28 +286,142 @@ const userSchema = new mongoose.Schema(
   },
 );
 
+// How many recent passwords (including the current one) cannot be reused
+const getPasswordHistorySize = () => {
+  const size = Number(process.env.PASSWORD_HISTORY_SIZE);
+  return Number.isInteger(size) && size >= 0 ? size : 5;
+};
+
+// Remember the stored hash so it can be moved to the history when the password changes
+userSchema.post('init', function () {
+  this.$locals.previousPassword = this.password;
+});
+
 // Hash password before saving
 userSchema.pre('save', async function (next) {
   if (!this.isModified('password')) return next();
 
   try {
+    if (!this.isNew && this.$locals.previousPassword) {
+      this.passwordHistory = [this.$locals.previousPassword, ...(this.passwordHistory || [])].slice(
+        0,
+        Math.max(getPasswordHistorySize() - 1, 0),
+      );
+    }
+
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
+    this.$locals.previousPassword = this.password;
     next();
   } catch (error) {
     next(error);
   }
 });
 
+// Invalidate issued access tokens when credentials or permissions change
+userSchema.pre('save', function (next) {
+  if (!this.isNew && (this.isModified('password') || this.isModified('role'))) {
+    this.tokenVersion = (this.tokenVersion || 0) + 1;
+  }
+
+  next();
+});
+
 // Compare password method
 userSchema.methods.comparePassword = async function (candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Check a candidate against the current password and the remembered history
+userSchema.methods.isRecentPassword = async function (candidatePassword) {
+  const size = getPasswordHistorySize();
+
+  if (size === 0) return false;
+
+  const hashes = [this.password, ...(this.passwordHistory || [])].filter(Boolean).slice(0, size);
+  const matches = await Promise.all(hashes.map((hash) => bcrypt.compare(candidatePassword, hash)));
+
+  return matches.some(Boolean);
+};
+
+// Picture sequences are compared in order, so "cat,sun,star" differs from "sun,cat,star"
+const serializePictureSequence = (sequence) => sequence.join(',');
+
+userSchema.methods.setKidPin = async function (pin) {
+  this.pinHash = await bcrypt.hash(String(pin), 10);
+};
+
+userSchema.methods.compareKidPin = async function (pin) {
+  if (!this.pinHash) return false;
+  return bcrypt.compare(String(pin), this.pinHash);
+};
+
+userSchema.methods.setPictureSequence = async function (sequence) {
+  this.pictureSequenceHash = await bcrypt.hash(serializePictureSequence(sequence), 10);
+};
+
+userSchema.methods.comparePictureSequence = async function (sequence) {
+  if (!this.pictureSequenceHash || !Array.isArray(sequence)) return false;
+  return bcrypt.compare(serializePictureSequence(sequence), this.pictureSequenceHash);
+};
+
+// Short code without easily confused characters (0/O, 1/I), e.g. "K7PX3M9A"
+userSchema.methods.generateFamilyCode = function () {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  this.familyCode = Array.from(crypto.randomBytes(8), (byte) => alphabet[byte % alphabet.length]).join('');
+  return this.familyCode;
+};
+
+// Verify a TOTP code against the active secret, rejecting codes that were already used
+userSchema.methods.verifyTwoFactorCode = function (code, secret = this.twoFactor?.secret) {
+  if (!secret) return false;
+
+  const step = verifyTotp(secret, code);
+
+  if (step === null || (this.twoFactor.lastUsedStep && step <= this.twoFactor.lastUsedStep)) {
+    return false;
+  }
+
+  this.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Replace all recovery codes. Only the hashes are stored, the plain codes are shown to the user once.
+userSchema.methods.generateRecoveryCodes = function (count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const code = base32Encode(crypto.randomBytes(7)).slice(0, 10);
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+
+  this.recoveryCodes = codes.map((code) => ({ hash: hashToken(normalizeRecoveryCode(code)) }));
+  return codes;
+};
+
+// Mark a recovery code as used with a single conditional update, so parallel requests cannot use the same code twice.
+// Returns the number of codes left, or null for unknown or already used codes.
+userSchema.statics.consumeRecoveryCode = async function (userId, code) {
+  const hash = hashToken(normalizeRecoveryCode(code));
+
+  const user = await this.findOneAndUpdate(
+    { _id: userId, recoveryCodes: { $elemMatch: { hash, usedAt: null } } },
+    { $set: { 'recoveryCodes.$.usedAt': Date.now() } },
+    { new: true, projection: { recoveryCodes: 1 } },
+  );
+
+  return user ? user.countRemainingRecoveryCodes() : null;
+};
+
+userSchema.methods.countRemainingRecoveryCodes = function () {
+  return this.recoveryCodes.filter((entry) => !entry.usedAt).length;
+};
+
+// One-time tokens are emailed in plaintext but only their SHA-256 digest is stored, so a database leak cannot be
+// used to take over accounts. Look them up with hashToken(token).
+
 // Generate email verification token
 userSchema.methods.generateEmailVerificationToken = function () {
   const token = crypto.randomBytes(32).toString('hex');
-  this.emailVerificationToken = token;
+  this.emailVerificationToken = hashToken(token);
   this.emailVerificationExpires = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
   return token;
 };
@@ -128,16 +429,48 @@ userSchema.methods.generateEmailVerificationToken = function () {
 // Generate password reset token
 userSchema.methods.generatePasswordResetToken = function () {
   const token = crypto.randomBytes(32).toString('hex');
-  this.passwordResetToken = token;
+  this.passwordResetToken = hashToken(token);
   this.passwordResetExpires = Date.now() + 1 * 60 * 60 * 1000; // 1 hour
   return token;
 };
 
-// New method to check if the user is a parent of a given kid
+// Generate account unlock token
+userSchema.methods.generateAccountUnlockToken = function () {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.accountUnlockToken = hashToken(token);
+  this.accountUnlockExpires = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
+  return token;
+};
+
+// Generate magic sign-in link token
+userSchema.methods.generateMagicLinkToken = function () {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expireMinutes = Number(process.env.MAGIC_LINK_EXPIRE_MINUTES) || 15;
+  this.magicLinkToken = hashToken(token);
+  this.magicLinkExpires = Date.now() + expireMinutes * 60 * 1000;
+  return token;
+};
+
+// Generate account deletion confirmation token
+userSchema.methods.generateDeletionConfirmToken = function () {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.deletionConfirmToken = hashToken(token);
+  this.deletionConfirmExpires = Date.now() + 1 * 60 * 60 * 1000; // 1 hour
+  return token;
+};
+
+// New method to check if the user is a parent of a given kid. Co-guardians get the kid added to their kids list
+// when accepting an invitation, so this covers every guardian.
 userSchema.methods.isParentOf = function (kidId) {
-  return this.kids.includes(kidId);
+  return (this.kids || []).some((id) => id.equals(kidId));
 };
 
+// Kid usernames only need to be unique within their family
+userSchema.index(
+  { parent: 1, username: 1 },
+  { unique: true, partialFilterExpression: { username: { $type: 'string' } } },
+);
+
 const userModel = mongoose.model('User', userSchema);
 
 export default userModel;
@@ -5,8 +5,11 @@ import authController from './controllers/authController.js';
 import chatController from './controllers/chatController.js';
 import ttsController from './controllers/ttsController.js';
 import fileController from './controllers/fileController.js';
+import familyController from './controllers/familyController.js';
+import conversationController from './controllers/conversationController.js';
 import readerController from './controllers/readerController.js';
 import errorHandler from './middleware/errorHandler.js';
+import { rateLimit } from './middleware/rateLimit.js';
 import emailController from './controllers/emailController.js';
 import { dynamicAudioRouter } from './utils/streamEndpointGenerator.js';
 
@@ -14,12 +17,17 @@ import swaggerRouter from './utils/swagger.js';
 
 const router = Router();
 
+// General per-IP limit. Sensitive routes add stricter groups in their controllers.
+router.use(rateLimit('api'));
+
 // Assign controllers to subroutes
 router.use('/auth', authController);
 router.use('/chat', chatController);
 router.use('/tts', ttsController);
 router.use('/audio', (req, res, next) => dynamicAudioRouter(req, res, next));
 router.use('/files', fileController);
+router.use('/family', familyController);
+router.use('/conversations', conversationController);
 router.use('/email', emailController);
 router.use('/reader', readerController);
 
@@ -0,0 +1,209 @@
+import crypto from 'crypto';
+import userModel from '../models/userModel.js';
+import fileModel from '../models/fileModel.js';
+import conversationModel from '../models/conversationModel.js';
+import messageModel from '../models/messageModel.js';
+import messageFlagModel from '../models/messageFlagModel.js';
+import moderationEventModel from '../models/moderationEventModel.js';
+import sessionModel from '../models/sessionModel.js';
+import activityModel from '../models/activityModel.js';
+import usageModel from '../models/usageModel.js';
+import guardianInvitationModel from '../models/guardianInvitationModel.js';
+import impersonationAuditModel from '../models/impersonationAuditModel.js';
+import dataExportModel from '../models/dataExportModel.js';
+import HttpError from '../utils/httpError.js';
+import { hashToken } from '../utils/tokenHash.js';
+import * as emailService from './emailService.js';
+import * as sessionService from './sessionService.js';
+import * as storageService from './storageService.js';
+
+const getGraceDays = () => Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+
+// Signs the user out everywhere. Bumping the token version also invalidates access tokens that are still valid.
+export const scheduleDeletion = async (user, deletedAt = new Date()) => {
+  user.deletedAt = deletedAt;
+  user.scheduledDeletionAt = new Date(deletedAt.getTime() + getGraceDays() * 24 * 60 * 60 * 1000);
+  user.tokenVersion = (user.tokenVersion || 0) + 1;
+  await user.save();
+
+  await sessionService.revokeOtherSessions(user._id);
+
+  return user.scheduledDeletionAt;
+};
+
+export const restoreAccount = async (user) => {
+  user.deletedAt = undefined;
+  user.scheduledDeletionAt = undefined;
+  user.deletionCancelToken = undefined;
+  await user.save();
+};
+
+const scheduleAccountDeletion = async (user) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  user.deletionCancelToken = hashToken(token);
+
+  const deletedAt = new Date();
+  const scheduledDeletionAt = await scheduleDeletion(user, deletedAt);
+
+  // Kids owned by the parent go with them. Co-guardians only lose their access when the account is purged.
+  const kids = await userModel.find({ parent: user._id, role: 'kid', deletedAt: null });
+
+  for (const kid of kids) {
+    await scheduleDeletion(kid, deletedAt);
+  }
+
+  try {
+    await emailService.sendAccountDeletionEmail(user.email, { token, scheduledDeletionAt });
+  } catch (error) {
+    // Without the email there is no way to cancel, so the accounts are restored
+    for (const account of [...kids, user]) {
+      await restoreAccount(account);
+    }
+
+    throw error;
+  }
+
+  return { scheduledDeletionAt };
+};
+
+export const requestAccountDeletion = async (userId, password) => {
+  const user = await userModel.findById(userId);
+
+  if (!user) {
+    throw new HttpError({
+      status: 404,
+      message: 'User not found!',
+    });
+  }
+
+  if (user.role === 'kid') {
+    throw new HttpError({
+      status: 403,
+      message: 'Ask your parent to delete your account!',
+    });
+  }
+
+  if (user.deletedAt) {
+    throw new HttpError({
+      status: 409,
+      message: 'Account is already scheduled for deletion!',
+    });
+  }
+
+  // Google accounts may not have a password, so they confirm with a link sent to their email instead
+  if (!user.password) {
+    const token = user.generateDeletionConfirmToken();
+    await user.save();
+    await emailService.sendAccountDeletionConfirmEmail(user.email, token);
+
+    return { confirmationRequired: true };
+  }
+
+  if (!(await user.comparePassword(password))) {
+    throw new HttpError({
+      status: 401,
+      message: 'Current password is incorrect!',
+    });
+  }
+
+  return scheduleAccountDeletion(user);
+};
+
+export const confirmAccountDeletion = async (token) => {
+  const user = await userModel.findOneAndUpdate(
+    {
+      deletionConfirmToken: hashToken(token),
+      deletionConfirmExpires: { $gt: Date.now() },
+      deletedAt: null,
+    },
+    { $unset: { deletionConfirmToken: 1, deletionConfirmExpires: 1 } },
+    { new: true },
+  );
+
+  if (!user) {
+    throw new HttpError({
+      status: 400,
+      message: 'Invalid or expired confirmation link!',
+    });
+  }
+
+  return scheduleAccountDeletion(user);
+};
+
+export const cancelAccountDeletion = async (token) => {
+  const user = await userModel.findOne({
+    deletionCancelToken: hashToken(token),
+    scheduledDeletionAt: { $gt: Date.now() },
+  });
+
+  if (!user) {
+    throw new HttpError({
+      status: 400,
+      message: 'Invalid or expired cancellation link!',
+    });
+  }
+
+  // Kids deleted by the parent themselves stay deleted, only the ones removed together with the account come back
+  const kids = await userModel.find({ parent: user._id, role: 'kid', deletedAt: user.deletedAt });
+
+  for (const kid of kids) {
+    await restoreAccount(kid);
+  }
+
+  await restoreAccount(user);
+
+  return true;
+};
+
+const getAvatarKey = (imageUrl) => imageUrl?.match(/avatars\/.*$/)?.[0];
+
+export const purgeAccount = async (user) => {
+  const files = await fileModel.find({ owner: user._id }, { key: 1 }).lean();
+  await Promise.all(files.map((file) => storageService.deleteFileFromS3(file.key)));
+  await fileModel.deleteMany({ owner: user._id });
+
+  const avatarKey = getAvatarKey(user.imageUrl);
+
+  if (avatarKey) {
+    await storageService.deleteFileFromS3(avatarKey);
+  }
+
+  const conversations = await conversationModel.find({ owner: user._id }, { _id: 1 }).lean();
+  const conversationIds = conversations.map((conversation) => conversation._id);
+  await messageModel.deleteMany({ conversation: { $in: conversationIds } });
+  await messageFlagModel.deleteMany({ $or: [{ kid: user._id }, { flaggedBy: user._id }] });
+  await conversationModel.deleteMany({ owner: user._id });
+
+  const dataExports = await dataExportModel.find({ user: user._id, key: { $ne: null } }, { key: 1 }).lean();
+  await Promise.all(dataExports.map((dataExport) => storageService.deleteFileFromS3(dataExport.key)));
+  await dataExportModel.deleteMany({ user: user._id });
+
+  await sessionModel.deleteMany({ user: user._id });
+  await activityModel.deleteMany({ user: user._id });
+  await usageModel.deleteMany({ user: user._id });
+  await moderationEventModel.deleteMany({ kid: user._id });
+  await guardianInvitationModel.deleteMany({ $or: [{ kid: user._id }, { invitedBy: user._id }] });
+  await impersonationAuditModel.deleteMany({ $or: [{ kid: user._id }, { parent: user._id }] });
+
+  await userModel.updateMany({ kids: user._id }, { $pull: { kids: user._id } });
+  await userModel.updateMany({ guardians: user._id }, { $pull: { guardians: user._id } });
+  await userModel.deleteOne({ _id: user._id });
+};
+
+// Called by the account deletion job for accounts whose grace period has ended
+export const purgeScheduledAccounts = async () => {
+  const users = await userModel.find({ scheduledDeletionAt: { $lte: Date.now() } }, { imageUrl: 1, role: 1 }).lean();
+
+  let purged = 0;
+
+  for (const user of users) {
+    try {
+      await purgeAccount(user);
+      purged++;
+    } catch (error) {
+      console.error(`Failed to purge account ${user._id}:`, error);
+    }
+  }
+
+  return purged;
+};
@@ -0,0 +1,125 @@
+import moment from 'moment';
+import mongoose from 'mongoose';
+import activityModel from '../models/activityModel.js';
+import userModel from '../models/userModel.js';
+import HttpError from '../utils/httpError.js';
+import {
+  getDaysBeforeUTC,
+  getStartOfCurrentWeekUTC,
+  getStartOfPreviousWeekUTC,
+  getStartOfTodayUTC,
+} from '../utils/time.js';
+
+// How far back streaks are calculated
+const STREAK_LOOKBACK_DAYS = 365;
+
+// Progress tracking must never break the request that produced the activity
+export const recordActivity = async (userId, { type, fileKey, conversation }) => {
+  try {
+    await activityModel.create({ user: userId, type, fileKey, conversation });
+  } catch (error) {
+    console.error('Failed to record activity:', error);
+  }
+};
+
+const toLocalDate = (date, timezoneOffset) =>
+  moment(date).utc().subtract(timezoneOffset, 'minutes').format('YYYY-MM-DD');
+
+const getPercent = (count, target) => (target > 0 ? Math.min(Math.round((count / target) * 100), 100) : null);
+
+// A day counts towards a streak when it reaches the daily target, or has any activity when there is no target
+const getStreaks = (countsByDay, dailyTarget, timezoneOffset) => {
+  const goal = Math.max(dailyTarget || 0, 1);
+  const today = moment().utc().subtract(timezoneOffset, 'minutes').startOf('day');
+  const isMet = (day) => (countsByDay.get(day.format('YYYY-MM-DD')) || 0) >= goal;
+
+  let longest = 0;
+  let running = 0;
+
+  for (let daysBefore = STREAK_LOOKBACK_DAYS; daysBefore >= 0; daysBefore--) {
+    running = isMet(today.clone().subtract(daysBefore, 'days')) ? running + 1 : 0;
+    longest = Math.max(longest, running);
+  }
+
+  // Today still counts as in progress, so an unmet today does not break the streak yet
+  let current = 0;
+  const day = isMet(today) ? today.clone() : today.clone().subtract(1, 'days');
+
+  while (current <= STREAK_LOOKBACK_DAYS && isMet(day)) {
+    current++;
+    day.subtract(1, 'days');
+  }
+
+  return { current, longest };
+};
+
+export const getKidProgress = async (parentId, kidId, timezoneOffset = 0) => {
+  if (!mongoose.Types.ObjectId.isValid(kidId)) {
+    throw new HttpError({
+      status: 400,
+      message: 'Invalid ID format!',
+    });
+  }
+
+  const offset = Number(timezoneOffset);
+
+  if (!Number.isInteger(offset) || offset < -840 || offset > 720) {
+    throw new HttpError({
+      status: 400,
+      message: 'Invalid timezone offset!',
+      details: 'Use minutes as returned by Date.getTimezoneOffset(), e.g. -120 for UTC+2.',
+    });
+  }
+
+  const parent = await userModel.findById(parentId);
+
+  if (!parent || !parent.isParentOf(kidId)) {
+    throw new HttpError({
+      status: 403,
+      message: 'Access denied! You can only view your own kids.',
+    });
+  }
+
+  const kid = await userModel.findById(kidId, { role: 1, dailyTarget: 1, weeklyTarget: 1 }).lean();
+
+  if (!kid || kid.role !== 'kid') {
+    throw new HttpError({
+      status: 404,
+      message: 'Kid not found!',
+    });
+  }
+
+  const [startOfToday, startOfWeek, startOfPreviousWeek, lookbackStart] = await Promise.all([
+    getStartOfTodayUTC(offset),
+    getStartOfCurrentWeekUTC(offset),
+    getStartOfPreviousWeekUTC(offset),
+    getDaysBeforeUTC(offset, STREAK_LOOKBACK_DAYS),
+  ]);
+
+  const activities = await activityModel
+    .find({ user: kid._id, created_at: { $gte: lookbackStart } })
+    .select({ created_at: 1 })
+    .lean();
+
+  const countSince = (start, end = null) =>
+    activities.filter((activity) => activity.created_at >= start && (!end || activity.created_at < end)).length;
+
+  const countsByDay = new Map();
+  activities.forEach((activity) => {
+    const day = toLocalDate(activity.created_at, offset);
+    countsByDay.set(day, (countsByDay.get(day) || 0) + 1);
+  });
+
+  const dailyTarget = kid.dailyTarget || 0;
+  const weeklyTarget = kid.weeklyTarget || 0;
+  const todayCount = countSince(startOfToday);
+  const weekCount = countSince(startOfWeek);
+  const previousWeekCount = countSince(startOfPreviousWeek, startOfWeek);
+
+  return {
+    today: { count: todayCount, target: dailyTarget, percent: getPercent(todayCount, dailyTarget) },
+    week: { count: weekCount, target: weeklyTarget, percent: getPercent(weekCount, weeklyTarget) },
+    previousWeek: { count: previousWeekCount, change: weekCount - previousWeekCount },
+    streak: getStreaks(countsByDay, dailyTarget, offset),
+  };
+};
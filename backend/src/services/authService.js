@@ -1,11 +1,22 @@
 import userModel from '../models/userModel.js';
-import { generateTokens, verifyRefreshToken } from '../utils/jwt.js';
 import HttpError from '../utils/httpError.js';
+import { generateMfaToken, verifyMfaToken } from '../utils/jwt.js';
+import { buildOtpauthUri, generateTotpSecret } from '../utils/totp.js';
+import { hashToken } from '../utils/tokenHash.js';
+import { assertPasswordPolicy } from '../utils/passwordPolicy.js';
+import { kidLoginPictures, kidLoginRules } from '../config/kidLoginConfig.js';
 import * as emailService from './emailService.js';
+import * as sessionService from './sessionService.js';
+import * as lockoutService from './lockoutService.js';
+import * as revocationService from './revocationService.js';
 import * as storageService from '../services/storageService.js';
+import * as accountDeletionService from './accountDeletionService.js';
 import mongoose from 'mongoose';
+import crypto from 'crypto';
 
 export const register = async (fullName, email, password) => {
+  assertPasswordPolicy(password, { fullName, email });
+
   const existingUser = await userModel.findOne({ email });
 
   if (existingUser) {
@@ -24,7 +35,7 @@ export const register = async (fullName, email, password) => {
   return user;
 };
 
-export const login = async (email, password) => {
+export const login = async (email, password, clientInfo) => {
   const user = await userModel.findOne({ email });
 
   if (!user) {
@@ -34,6 +45,8 @@ export const login = async (email, password) => {
     });
   }
 
+  lockoutService.assertLoginAllowed(user);
+
   if (!user.isEmailVerified) {
     throw new HttpError({
       status: 403,
@@ -44,45 +57,522 @@ export const login = async (email, password) => {
   const isValidPassword = await user.comparePassword(password);
 
   if (!isValidPassword) {
+    await lockoutService.recordFailedLogin(user);
+
     throw new HttpError({
       status: 401,
       message: 'Invalid email or password!',
     });
   }
 
-  const { accessToken, refreshToken } = generateTokens(user._id);
+  await lockoutService.clearFailedLogins(user);
 
-  user.refreshToken = refreshToken;
-  await user.save();
+  return completeLogin(user, clientInfo);
+};
 
-  return { user, accessToken, refreshToken };
+// Rejects PINs like 1111, 1234 or 9876
+const isEasyPin = (pin) => {
+  const digits = [...pin].map(Number);
+  const steps = digits.slice(1).map((digit, index) => digit - digits[index]);
+
+  return steps.every((step) => step === 0) || steps.every((step) => step === 1) || steps.every((step) => step === -1);
 };
 
-export const refresh = async (refreshToken) => {
-  try {
-    const decoded = verifyRefreshToken(refreshToken);
-    const user = await userModel.findById(decoded.userId);
+const validateKidLoginCredentials = ({ username, pin, pictureSequence }) => {
+  const errors = [];
 
-    if (!user || user.refreshToken !== refreshToken) {
-      throw new HttpError({
-        status: 401,
-        message: 'Invalid refresh token!',
-      });
+  if (!kidLoginRules.usernamePattern.test(username)) {
+    errors.push('Username must be 3 to 20 characters and contain only letters, digits, dots, dashes or underscores.');
+  }
+
+  if (pin !== undefined) {
+    if (!kidLoginRules.pinPattern.test(pin)) {
+      errors.push('PIN must be 4 to 6 digits.');
+    } else if (isEasyPin(pin)) {
+      errors.push('PIN is too easy to guess.');
+    }
+  }
+
+  if (pictureSequence !== undefined) {
+    const { minPictures, maxPictures } = kidLoginRules;
+
+    if (
+      !Array.isArray(pictureSequence) ||
+      pictureSequence.length < minPictures ||
+      pictureSequence.length > maxPictures ||
+      !pictureSequence.every((picture) => kidLoginPictures.includes(picture))
+    ) {
+      errors.push(`Picture sequence must contain ${minPictures} to ${maxPictures} of the available pictures.`);
     }
+  }
 
-    const tokens = generateTokens(user._id);
+  if (errors.length > 0) {
+    throw new HttpError({
+      status: 400,
+      message: 'Invalid login details!',
+      details: errors,
+    });
+  }
+};
 
-    user.refreshToken = tokens.refreshToken;
-    await user.save();
+export const setKidLoginCredentials = async (parentId, kidId, { username, pin, pictureSequence }) => {
+  if (!mongoose.Types.ObjectId.isValid(kidId)) {
+    throw new HttpError({
+      status: 400,
+      message: 'Invalid ID format!',
+    });
+  }
+
+  const parent = await userModel.findById(parentId);
+
+  if (!parent) {
+    throw new HttpError({
+      status: 404,
+      message: 'Parent not found!',
+    });
+  }
+
+  if (!parent.isParentOf(kidId)) {
+    throw new HttpError({
+      status: 403,
+      message: 'Access denied! You can only manage your own kids.',
+    });
+  }
+
+  const kid = await userModel.findById(kidId);
+
+  if (!kid || kid.role !== 'kid') {
+    throw new HttpError({
+      status: 404,
+      message: 'Kid not found!',
+    });
+  }
+
+  const normalizedUsername = String(username || kid.username || '')
+    .trim()
+    .toLowerCase();
+  validateKidLoginCredentials({ username: normalizedUsername, pin, pictureSequence });
+
+  if (!pin && !pictureSequence && !kid.pinHash && !kid.pictureSequenceHash) {
+    throw new HttpError({
+      status: 400,
+      message: 'A PIN or a picture sequence is required!',
+    });
+  }
+
+  const usernameTaken = await userModel.exists({
+    parent: parent._id,
+    username: normalizedUsername,
+    _id: { $ne: kid._id },
+  });
+
+  if (usernameTaken) {
+    throw new HttpError({
+      status: 409,
+      message: 'Username is already taken in your family!',
+    });
+  }
+
+  kid.username = normalizedUsername;
+  if (pin) await kid.setKidPin(pin);
+  if (pictureSequence) await kid.setPictureSequence(pictureSequence);
+
+  // New login details also lift a lock caused by failed attempts
+  kid.loginAttempts = { count: 0, lastFailedAt: null, lockedUntil: null };
+  await kid.save();
+
+  if (!parent.familyCode) {
+    parent.generateFamilyCode();
+    await parent.save();
+  }
+
+  return {
+    username: kid.username,
+    familyCode: parent.familyCode,
+    hasPin: Boolean(kid.pinHash),
+    hasPictureSequence: Boolean(kid.pictureSequenceHash),
+  };
+};
+
+export const assertPasswordNotReused = async (user, password) => {
+  if (await user.isRecentPassword(password)) {
+    throw new HttpError({
+      status: 400,
+      message: 'Password was used recently! Please choose a different one.',
+    });
+  }
+};
+
+const assertNotScheduledForDeletion = (user) => {
+  if (user.deletedAt) {
+    throw new HttpError({
+      status: 403,
+      message: 'This account is scheduled for deletion!',
+      details: { scheduledDeletionAt: user.scheduledDeletionAt },
+    });
+  }
+};
+
+// Final step of every sign-in flow: parents with 2FA get a challenge instead of tokens
+export const completeLogin = async (user, clientInfo) => {
+  assertNotScheduledForDeletion(user);
+
+  if (user.role === 'parent' && user.twoFactor?.enabled) {
+    return { user, mfaRequired: true, mfaToken: generateMfaToken(user._id) };
+  }
+
+  const { accessToken, refreshToken } = await sessionService.startSession(user._id, clientInfo);
+
+  return { user, accessToken, refreshToken };
+};
+
+// Kids sign in with their family code, a username and either a PIN or a picture sequence
+export const kidLogin = async (familyCode, username, { pin, pictureSequence }, clientInfo) => {
+  const invalidLoginError = new HttpError({
+    status: 401,
+    message: 'Invalid login details!',
+  });
+
+  if (!familyCode || !username) throw invalidLoginError;
+
+  const parent = await userModel.findOne({ familyCode: String(familyCode).trim().toUpperCase(), role: 'parent' });
+
+  if (!parent) throw invalidLoginError;
+
+  const kid = await userModel.findOne({
+    parent: parent._id,
+    username: String(username).trim().toLowerCase(),
+    role: 'kid',
+  });
+
+  if (!kid) throw invalidLoginError;
+
+  lockoutService.assertLoginAllowed(kid);
 
-    return tokens;
+  let isValid = false;
+  if (pin) {
+    isValid = await kid.compareKidPin(pin);
+  } else if (pictureSequence) {
+    isValid = await kid.comparePictureSequence(pictureSequence);
+  }
+
+  if (!isValid) {
+    await lockoutService.recordFailedLogin(kid);
+    throw invalidLoginError;
+  }
+
+  await lockoutService.clearFailedLogins(kid);
+
+  return completeLogin(kid, clientInfo);
+};
+
+// Accepts either an authenticator code or a one-time recovery code. A used recovery code is already stored as used
+// when this returns, remainingCodes is set for it.
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    return { valid: user.verifyTwoFactorCode(code) };
+  }
+
+  if (!recoveryCode) {
+    return { valid: false };
+  }
+
+  const remainingCodes = await userModel.consumeRecoveryCode(user._id, recoveryCode);
+
+  return { valid: remainingCodes !== null, remainingCodes };
+};
+
+// Sent once the sign-in is saved. A failed email must not undo a valid sign-in.
+const notifyRecoveryCodeUsed = (user, remainingCodes) => {
+  if (remainingCodes == null) return;
+
+  emailService
+    .sendRecoveryCodeUsedEmail(user.email, remainingCodes)
+    .catch((error) => console.error('Failed to send recovery code email:', error));
+};
+
+export const verifyLoginMfa = async (mfaToken, { code, recoveryCode }, clientInfo) => {
+  let decoded;
+
+  try {
+    decoded = verifyMfaToken(mfaToken);
   } catch (error) {
     throw new HttpError({
       status: 401,
-      message: 'Invalid refresh token!',
+      message: 'Invalid or expired MFA token!',
       details: error.message,
     });
   }
+
+  const user = await userModel.findById(decoded.userId);
+
+  if (!user || !user.twoFactor?.enabled) {
+    throw new HttpError({
+      status: 401,
+      message: 'Invalid or expired MFA token!',
+    });
+  }
+
+  assertNotScheduledForDeletion(user);
+
+  // Wrong codes count towards the same lockout as wrong passwords
+  lockoutService.assertLoginAllowed(user);
+
+  // Claimed before the code is checked, so a replayed token cannot spend a recovery code. A wrong code therefore
+  // needs a new sign-in.
+  await revocationService.consumeMfaToken(decoded);
+
+  const { valid, remainingCodes } = await verifySecondFactor(user, { code, recoveryCode });
+
+  if (!valid) {
+    await lockoutService.recordFailedLogin(user);
+    throw new HttpError({
+      status: 401,
+      message: 'Invalid authentication code!',
+    });
+  }
+
+  await lockoutService.clearFailedLogins(user);
+  await user.save();
+  notifyRecoveryCodeUsed(user, remainingCodes);
+
+  const { accessToken, refreshToken } = await sessionService.startSession(user._id, clientInfo);
+
+  return { user, accessToken, refreshToken };
+};
+
+export const setupTwoFactor = async (userId) => {
+  const user = await userModel.findById(userId);
+
+  if (!user) {
+    throw new HttpError({
+      status: 404,
+      message: 'User not found!',
+    });
+  }
+
+  if (user.role !== 'parent') {
+    throw new HttpError({
+      status: 403,
+      message: 'Access denied! Only parents can use this endpoint.',
+    });
+  }
+
+  if (user.twoFactor?.enabled) {
+    throw new HttpError({
+      status: 409,
+      message: 'Two-factor authentication is already enabled!',
+    });
+  }
+
+  const secret = generateTotpSecret();
+
+  // The secret only becomes active after the user proves their authenticator app produces valid codes
+  user.twoFactor.pendingSecret = secret;
+  await user.save();
+
+  const otpauthUri = buildOtpauthUri({
+    secret,
+    accountName: user.email,
+    issuer: process.env.TOTP_ISSUER || 'Lexi Magic',
+  });
+
+  return { secret, otpauthUri };
+};
+
+export const confirmTwoFactor = async (userId, code) => {
+  const user = await userModel.findById(userId);
+
+  if (!user) {
+    throw new HttpError({
+      status: 404,
+      message: 'User not found!',
+    });
+  }
+
+  if (!user.twoFactor?.pendingSecret) {
+    throw new HttpError({
+      status: 400,
+      message: 'Two-factor setup has not been started!',
+    });
+  }
+
+  if (!user.verifyTwoFactorCode(code, user.twoFactor.pendingSecret)) {
+    throw new HttpError({
+      status: 400,
+      message: 'Invalid authentication code!',
+    });
+  }
+
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = Date.now();
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save();
+
+  return { recoveryCodes };
+};
+
+export const disableTwoFactor = async (userId, password, { code, recoveryCode }) => {
+  const user = await userModel.findById(userId);
+
+  if (!user) {
+    throw new HttpError({
+      status: 404,
+      message: 'User not found!',
+    });
+  }
+
+  if (!user.twoFactor?.enabled) {
+    throw new HttpError({
+      status: 400,
+      message: 'Two-factor authentication is not enabled!',
+    });
+  }
+
+  // Google accounts may not have a password, the authenticator code is still required
+  if (user.password && !(await user.comparePassword(password))) {
+    throw new HttpError({
+      status: 401,
+      message: 'Current password is incorrect!',
+    });
+  }
+
+  const { valid, remainingCodes } = await verifySecondFactor(user, { code, recoveryCode });
+
+  if (!valid) {
+    throw new HttpError({
+      status: 401,
+      message: 'Invalid authentication code!',
+    });
+  }
+
+  user.twoFactor = { enabled: false };
+  user.recoveryCodes = [];
+  await user.save();
+  notifyRecoveryCodeUsed(user, remainingCodes);
+
+  return true;
+};
+
+export const regenerateRecoveryCodes = async (userId, password) => {
+  const user = await userModel.findById(userId);
+
+  if (!user) {
+    throw new HttpError({
+      status: 404,
+      message: 'User not found!',
+    });
+  }
+
+  if (!user.twoFactor?.enabled) {
+    throw new HttpError({
+      status: 400,
+      message: 'Two-factor authentication is not enabled!',
+    });
+  }
+
+  if (!user.password || !(await user.comparePassword(password))) {
+    throw new HttpError({
+      status: 401,
+      message: 'Current password is incorrect!',
+    });
+  }
+
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save();
+
+  return { recoveryCodes };
+};
+
+export const getRecoveryCodesStatus = async (userId) => {
+  const user = await userModel.findById(userId);
+
+  if (!user) {
+    throw new HttpError({
+      status: 404,
+      message: 'User not found!',
+    });
+  }
+
+  return { remaining: user.countRemainingRecoveryCodes() };
+};
+
+export const requestMagicLink = async (email) => {
+  const user = await userModel.findOne({ email });
+
+  // Unknown emails are ignored silently so the endpoint cannot be used to discover accounts
+  if (!user) return;
+
+  const token = user.generateMagicLinkToken();
+  await user.save();
+
+  await emailService.sendMagicLinkEmail(user.email, token);
+};
+
+export const verifyMagicLink = async (token, clientInfo) => {
+  const tokenFilter = {
+    magicLinkToken: hashToken(token),
+    magicLinkExpires: { $gt: Date.now() },
+  };
+  const invalidLinkError = new HttpError({
+    status: 400,
+    message: 'Invalid or expired sign-in link!',
+  });
+
+  // The lockout is checked before the token is consumed, so a locked out user can still use the link later
+  const linkOwner = await userModel.findOne(tokenFilter, { role: 1, loginAttempts: 1 });
+
+  if (!linkOwner) throw invalidLinkError;
+
+  lockoutService.assertLoginAllowed(linkOwner);
+
+  // Consuming the token in the same query guarantees it works only once
+  const user = await userModel.findOneAndUpdate(
+    tokenFilter,
+    { $unset: { magicLinkToken: 1, magicLinkExpires: 1 } },
+    { new: true },
+  );
+
+  if (!user) throw invalidLinkError;
+
+  // Opening the link proves the user owns the email address
+  if (!user.isEmailVerified) {
+    user.isEmailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+  }
+
+  return completeLogin(user, clientInfo);
+};
+
+export const unlockAccount = async (token) => {
+  const user = await userModel.findOne({
+    accountUnlockToken: hashToken(token),
+    accountUnlockExpires: { $gt: Date.now() },
+  });
+
+  if (!user) {
+    throw new HttpError({
+      status: 400,
+      message: 'Invalid or expired unlock token!',
+    });
+  }
+
+  user.loginAttempts = { count: 0, lastFailedAt: null, lockedUntil: null };
+  user.accountUnlockToken = undefined;
+  user.accountUnlockExpires = undefined;
+  await user.save();
+
+  return true;
+};
+
+export const refresh = async (refreshToken, clientInfo) => {
+  const tokens = await sessionService.rotateSession(refreshToken, clientInfo);
+
+  return tokens;
 };
 
 export const getUserById = async (userId) => {
@@ -116,7 +606,7 @@ export const getChildInfoById = async (userId) => {
   return user;
 };
 
-export const logout = async (userId) => {
+export const logout = async (userId, sessionId, token) => {
   const user = await userModel.findById(userId);
 
   if (!user) {
@@ -126,8 +616,11 @@ export const logout = async (userId) => {
     });
   }
 
-  user.refreshToken = null;
-  await user.save();
+  await sessionService.endSession(user._id, sessionId);
+
+  if (token) {
+    await revocationService.revokeAccessToken(token.jti, token.expiresAt);
+  }
 };
 
 export const getAllUsers = async () => {
@@ -135,8 +628,13 @@ export const getAllUsers = async () => {
     {},
     {
       password: 0,
-      refreshToken: 0,
       googleId: 0,
+      'twoFactor.secret': 0,
+      'twoFactor.pendingSecret': 0,
+      recoveryCodes: 0,
+      passwordHistory: 0,
+      pinHash: 0,
+      pictureSequenceHash: 0,
     },
   );
 
@@ -148,11 +646,16 @@ export const getUserDetails = async (userId) => {
     const user = await userModel
       .findById(userId, {
         password: 0,
-        refreshToken: 0,
         googleId: 0,
+        'twoFactor.secret': 0,
+        'twoFactor.pendingSecret': 0,
+        recoveryCodes: 0,
+        passwordHistory: 0,
+        pinHash: 0,
+        pictureSequenceHash: 0,
         __v: 0,
       })
-      .populate('kids', 'fullName email city years')
+      .populate('kids', 'fullName email username city years')
       .populate('files')
       .lean();
 
@@ -181,7 +684,7 @@ export const getUserDetails = async (userId) => {
   }
 };
 
-export const changePassword = async (userId, currentPassword, newPassword) => {
+export const changePassword = async (userId, currentPassword, newPassword, currentSessionId) => {
   const user = await userModel.findById(userId);
 
   if (!user) {
@@ -207,9 +710,15 @@ export const changePassword = async (userId, currentPassword, newPassword) => {
     });
   }
 
+  assertPasswordPolicy(newPassword, user);
+  await assertPasswordNotReused(user, newPassword);
+
   user.password = newPassword;
   await user.save();
 
+  // The current device keeps its session and can refresh into a token with the new version
+  await sessionService.revokeOtherSessions(user._id, currentSessionId);
+
   return true;
 };
 
@@ -340,10 +849,23 @@ export const changeKidPassword = async (parentId, kidId, parentPassword, newKidP
     });
   }
 
+  if (!parent.isParentOf(kid._id)) {
+    throw new HttpError({
+      status: 403,
+      message: 'Access denied! You can only manage your own kids.',
+    });
+  }
+
+  assertPasswordPolicy(newKidPassword, kid);
+  await assertPasswordNotReused(kid, newKidPassword);
+
   // Change the password
   kid.password = newKidPassword;
   await kid.save();
 
+  // Whoever knew the old password is signed out on every device
+  await sessionService.revokeOtherSessions(kid._id);
+
   return true;
 };
 
@@ -435,6 +957,47 @@ export const updateParentProfile = async (userId, profileData, avatar) => {
   };
 };
 
+export const updateNotificationSettings = async (userId, { weeklyDigest, timezoneOffset }) => {
+  const user = await userModel.findById(userId);
+
+  if (!user) {
+    throw new HttpError({
+      status: 404,
+      message: 'User not found!',
+    });
+  }
+
+  if (weeklyDigest !== undefined) {
+    if (typeof weeklyDigest !== 'boolean') {
+      throw new HttpError({
+        status: 400,
+        message: 'Invalid notification settings!',
+        details: 'weeklyDigest must be true or false.',
+      });
+    }
+
+    user.notificationSettings.weeklyDigest = weeklyDigest;
+  }
+
+  if (timezoneOffset !== undefined) {
+    const offset = Number(timezoneOffset);
+
+    if (!Number.isInteger(offset) || offset < -840 || offset > 720) {
+      throw new HttpError({
+        status: 400,
+        message: 'Invalid timezone offset!',
+        details: 'Use minutes as returned by Date.getTimezoneOffset(), e.g. -120 for UTC+2.',
+      });
+    }
+
+    user.timezoneOffset = offset;
+  }
+
+  await user.save();
+
+  return { notificationSettings: user.notificationSettings, timezoneOffset: user.timezoneOffset };
+};
+
 export const updateKidProfile = async (userId, profileData, avatar) => {
   const reqUser = await userModel.findById(userId);
 
@@ -547,11 +1110,16 @@ export const createKid = async (kidData) => {
     }
   }
 
+  // Kids who sign in with a PIN or a picture sequence need no password. They get a random one that is never shown.
+  if (kidData.password) {
+    assertPasswordPolicy(kidData.password, { role: 'kid', fullName: kidData.fullName, email: kidData.email });
+  }
+
   // Create the kid user with only required fields
   const kid = await userModel.create({
     fullName: kidData.fullName,
     email: kidData.email,
-    password: kidData.password,
+    password: kidData.password || crypto.randomBytes(32).toString('hex'),
     city: kidData.city || null,
     years: kidData.years || null,
     class: kidData.class || null,
@@ -575,6 +1143,111 @@ export const createKid = async (kidData) => {
   };
 };
 
+export const getKids = async (parentId) => {
+  const parent = await userModel.findById(parentId);
+
+  if (!parent) {
+    throw new HttpError({
+      status: 404,
+      message: 'Parent not found!',
+    });
+  }
+
+  const kids = await userModel
+    .find(
+      { _id: { $in: parent.kids }, role: 'kid' },
+      {
+        fullName: 1,
+        email: 1,
+        username: 1,
+        city: 1,
+        years: 1,
+        class: 1,
+        imageUrl: 1,
+        lastActive: 1,
+        scheduledDeletionAt: 1,
+      },
+    )
+    .lean();
+
+  return kids;
+};
+
+// Only the owner can delete or restore a kid account, co-guardians share access but not ownership
+const findOwnedKid = async (parentId, kidId) => {
+  if (!mongoose.Types.ObjectId.isValid(kidId)) {
+    throw new HttpError({
+      status: 400,
+      message: 'Invalid ID format!',
+    });
+  }
+
+  const parent = await userModel.findById(parentId);
+
+  if (!parent) {
+    throw new HttpError({
+      status: 404,
+      message: 'Parent not found!',
+    });
+  }
+
+  if (!parent.isParentOf(kidId)) {
+    throw new HttpError({
+      status: 403,
+      message: 'Access denied! You can only manage your own kids.',
+    });
+  }
+
+  const kid = await userModel.findById(kidId);
+
+  if (!kid || kid.role !== 'kid') {
+    throw new HttpError({
+      status: 404,
+      message: 'Kid not found!',
+    });
+  }
+
+  if (!kid.parent?.equals(parent._id)) {
+    throw new HttpError({
+      status: 403,
+      message: 'Access denied! Only the owner of the kid account can delete it.',
+    });
+  }
+
+  return kid;
+};
+
+// The kid is signed out right away and purged with their files once the grace period ends
+export const deleteKid = async (parentId, kidId) => {
+  const kid = await findOwnedKid(parentId, kidId);
+
+  if (kid.deletedAt) {
+    throw new HttpError({
+      status: 409,
+      message: 'Kid account is already scheduled for deletion!',
+    });
+  }
+
+  const scheduledDeletionAt = await accountDeletionService.scheduleDeletion(kid);
+
+  return { scheduledDeletionAt };
+};
+
+export const restoreKid = async (parentId, kidId) => {
+  const kid = await findOwnedKid(parentId, kidId);
+
+  if (!kid.deletedAt) {
+    throw new HttpError({
+      status: 400,
+      message: 'Kid account is not scheduled for deletion!',
+    });
+  }
+
+  await accountDeletionService.restoreAccount(kid);
+
+  return true;
+};
+
 export const getKidById = async (parentId, kidId) => {
   // Validate IDs format
   if (!mongoose.Types.ObjectId.isValid(parentId) || !mongoose.Types.ObjectId.isValid(kidId)) {
@@ -603,8 +1276,13 @@ export const getKidById = async (parentId, kidId) => {
   const kid = await userModel
     .findById(kidId, {
       password: 0,
-      refreshToken: 0,
       googleId: 0,
+      'twoFactor.secret': 0,
+      'twoFactor.pendingSecret': 0,
+      recoveryCodes: 0,
+      passwordHistory: 0,
+      pinHash: 0,
+      pictureSequenceHash: 0,
       __v: 0,
     })
     .populate('files')
@@ -700,4 +1378,6 @@ export const setLastActivity = async (userId) => {
 
   user.lastActive = Date.now();
   await user.save();
+
+  return user;
 };
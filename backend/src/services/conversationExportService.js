@@ -0,0 +1,139 @@
+import fs from 'fs';
+import { createRequire } from 'module';
+import moment from 'moment';
+import PDFDocument from 'pdfkit';
+import messageModel from '../models/messageModel.js';
+import userModel from '../models/userModel.js';
+import HttpError from '../utils/httpError.js';
+import { findAccessibleConversation } from './conversationService.js';
+
+const exportFormats = {
+  pdf: { extension: 'pdf', contentType: 'application/pdf' },
+  md: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  txt: { extension: 'txt', contentType: 'text/plain; charset=utf-8' },
+};
+
+const DEFAULT_TITLE = 'Разговор с Lexi';
+
+const requireModule = createRequire(import.meta.url);
+
+// The built-in PDF fonts have no Cyrillic glyphs, so a Unicode font is embedded
+const resolvePdfFont = () => {
+  if (process.env.PDF_FONT_PATH) return process.env.PDF_FONT_PATH;
+
+  try {
+    return requireModule.resolve('dejavu-fonts-ttf/ttf/DejaVuSans.ttf');
+  } catch {
+    return null;
+  }
+};
+
+const formatTime = (date, timezoneOffset) =>
+  moment(date).utc().subtract(timezoneOffset, 'minutes').format('DD.MM.YYYY HH:mm');
+
+const toExportMessages = (messages, ownerName, timezoneOffset) =>
+  messages.map((message) => ({
+    label: message.role === 'assistant' ? 'Lexi' : ownerName,
+    time: formatTime(message.created_at, timezoneOffset),
+    text: (message.content || []).map((part) => part.text).join('\n\n'),
+  }));
+
+const renderMarkdown = ({ title, ownerName, exportedAt, messages }) =>
+  [
+    `# ${title}`,
+    `${ownerName}, изтеглено на ${exportedAt}`,
+    ...messages.map((message) => `---\n\n**${message.label}** · ${message.time}\n\n${message.text}`),
+  ].join('\n\n') + '\n';
+
+const renderText = ({ title, ownerName, exportedAt, messages }) =>
+  [
+    title,
+    `${ownerName}, изтеглено на ${exportedAt}`,
+    ...messages.map((message) => `[${message.time}] ${message.label}:\n${message.text}`),
+  ].join('\n\n') + '\n';
+
+const renderPdf = ({ title, ownerName, exportedAt, messages, fontPath }) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: title } });
+    const chunks = [];
+
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.font(fontPath);
+    doc.fontSize(18).text(title);
+    doc.fontSize(10).fillColor('#666666').text(`${ownerName}, изтеглено на ${exportedAt}`);
+    doc.moveDown();
+
+    messages.forEach((message) => {
+      doc
+        .fontSize(11)
+        .fillColor(message.label === 'Lexi' ? '#4CAF50' : '#1565C0')
+        .text(`${message.label} · ${message.time}`);
+      doc.fontSize(11).fillColor('#000000').text(message.text);
+      doc.moveDown();
+    });
+
+    doc.end();
+  });
+
+const renderers = { pdf: renderPdf, md: renderMarkdown, txt: renderText };
+
+export const exportConversation = async (userId, conversationId, { format = 'pdf', timezoneOffset = 0 } = {}) => {
+  if (!Object.hasOwn(exportFormats, format)) {
+    throw new HttpError({
+      status: 400,
+      message: 'Invalid export format!',
+      details: `Use one of: ${Object.keys(exportFormats).join(', ')}.`,
+    });
+  }
+
+  const offset = Number(timezoneOffset);
+
+  if (!Number.isInteger(offset) || offset < -840 || offset > 720) {
+    throw new HttpError({
+      status: 400,
+      message: 'Invalid timezone offset!',
+      details: 'Use minutes as returned by Date.getTimezoneOffset(), e.g. -120 for UTC+2.',
+    });
+  }
+
+  const exportFormat = exportFormats[format];
+  const fontPath = format === 'pdf' ? resolvePdfFont() : null;
+
+  // Without the font the Cyrillic text of the PDF would be unreadable
+  if (format === 'pdf' && (!fontPath || !fs.existsSync(fontPath))) {
+    throw new HttpError({
+      status: 500,
+      message: 'PDF export is not available!',
+      details: 'The PDF font could not be found.',
+    });
+  }
+
+  // Same rule as for files: the owner and their parents
+  const conversation = await findAccessibleConversation(userId, conversationId);
+
+  const [owner, messages] = await Promise.all([
+    userModel.findById(conversation.owner, { fullName: 1 }).lean(),
+    messageModel
+      .find({ conversation: conversation._id }, { role: 1, content: 1, created_at: 1 })
+      .sort({ created_at: 1, _id: 1 })
+      .lean(),
+  ]);
+
+  const ownerName = owner?.fullName || 'Потребител';
+  const body = await renderers[format]({
+    title: conversation.title || DEFAULT_TITLE,
+    ownerName,
+    exportedAt: formatTime(new Date(), offset),
+    messages: toExportMessages(messages, ownerName, offset),
+    fontPath,
+  });
+
+  return {
+    fileName: `lexi-conversation-${conversation._id}.${exportFormat.extension}`,
+    contentType: exportFormat.contentType,
+    body,
+  };
+};
@@ -0,0 +1,270 @@
+import mongoose from 'mongoose';
+import conversationModel from '../models/conversationModel.js';
+import messageModel from '../models/messageModel.js';
+import messageFlagModel from '../models/messageFlagModel.js';
+import userModel from '../models/userModel.js';
+import HttpError from '../utils/httpError.js';
+import { buildSnippet, getSearchTerms } from '../utils/searchSnippet.js';
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_SEARCH_LENGTH = 200;
+
+const conversationFields = { owner: 1, title: 1, created_at: 1, updated_at: 1 };
+
+const assertValidId = (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new HttpError({
+      status: 400,
+      message: 'Invalid ID format!',
+    });
+  }
+};
+
+const getPageSize = (limit) => Math.min(Math.max(Number(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+// Pages are ordered newest first. The cursor is the _id of the last item of the previous page.
+const paginate = async (query, { limit, cursor }) => {
+  if (cursor) {
+    assertValidId(cursor);
+    query.where({ _id: { $lt: cursor } });
+  }
+
+  const pageSize = getPageSize(limit);
+  const items = await query
+    .sort({ _id: -1 })
+    .limit(pageSize + 1)
+    .lean();
+  const hasMore = items.length > pageSize;
+  const page = hasMore ? items.slice(0, pageSize) : items;
+
+  return { items: page, nextCursor: hasMore ? page[page.length - 1]._id : null };
+};
+
+// Users can read their own conversations and parents (including co-guardians) the ones of their kids
+const canAccessOwner = async (userId, ownerId) => {
+  if (String(userId) === String(ownerId)) return true;
+
+  const user = await userModel.findById(userId);
+
+  return Boolean(user?.isParentOf(ownerId));
+};
+
+export const findAccessibleConversation = async (userId, conversationId) => {
+  assertValidId(conversationId);
+
+  const conversation = await conversationModel.findById(conversationId, conversationFields).lean();
+
+  if (!conversation || !(await canAccessOwner(userId, conversation.owner))) {
+    throw new HttpError({
+      status: 404,
+      message: 'Conversation not found!',
+    });
+  }
+
+  return conversation;
+};
+
+// Parents can only read the conversations of their kids. Adding messages, renaming and deleting are left to the owner.
+export const assertOwnConversation = async (userId, conversationId) => {
+  assertValidId(conversationId);
+
+  const isOwner = await conversationModel.exists({ _id: conversationId, owner: userId });
+
+  if (!isOwner) {
+    throw new HttpError({
+      status: 404,
+      message: 'Conversation not found!',
+    });
+  }
+};
+
+export const createConversation = async (userId, { title } = {}) => {
+  const conversation = await conversationModel.create({ owner: userId, title });
+
+  return {
+    _id: conversation._id,
+    owner: conversation.owner,
+    title: conversation.title,
+    created_at: conversation.created_at,
+    updated_at: conversation.updated_at,
+  };
+};
+
+export const listConversations = async (userId, { ownerId, limit, cursor } = {}) => {
+  const owner = ownerId || userId;
+
+  if (ownerId) {
+    assertValidId(ownerId);
+
+    if (!(await canAccessOwner(userId, ownerId))) {
+      throw new HttpError({
+        status: 403,
+        message: 'Access denied! You can only view your own kids.',
+      });
+    }
+  }
+
+  const { items, nextCursor } = await paginate(conversationModel.find({ owner }, conversationFields), {
+    limit,
+    cursor,
+  });
+
+  return { conversations: items, nextCursor };
+};
+
+export const renameConversation = async (userId, conversationId, title) => {
+  if (typeof title !== 'string') {
+    throw new HttpError({
+      status: 400,
+      message: 'Title is required!',
+    });
+  }
+
+  await assertOwnConversation(userId, conversationId);
+
+  return conversationModel
+    .findByIdAndUpdate(conversationId, { title }, { new: true, runValidators: true, projection: conversationFields })
+    .lean();
+};
+
+export const deleteConversation = async (userId, conversationId) => {
+  await assertOwnConversation(userId, conversationId);
+
+  await messageModel.deleteMany({ conversation: conversationId });
+  await messageFlagModel.deleteMany({ conversation: conversationId });
+  await conversationModel.deleteOne({ _id: conversationId });
+};
+
+// The chat service stores the reply of the assistant as it was received. Used when it has to be changed afterwards,
+// e.g. by the content filter. The reply is matched by its text, so other requests on the same conversation that
+// finished in the meantime are not affected.
+export const replaceReply = async (conversationId, originalText, text) => {
+  await messageModel.findOneAndUpdate(
+    { conversation: conversationId, role: 'assistant', 'content.text': originalText },
+    { content: [{ type: 'text', text }] },
+    { sort: { _id: -1 } },
+  );
+};
+
+// Returned oldest first within the page, so the client can render it as is and prepend older pages
+export const listMessages = async (userId, conversationId, { limit, cursor } = {}) => {
+  const conversation = await findAccessibleConversation(userId, conversationId);
+
+  const { items, nextCursor } = await paginate(
+    messageModel.find({ conversation: conversation._id }, { role: 1, content: 1, created_at: 1 }),
+    { limit, cursor },
+  );
+
+  return { messages: items.reverse(), nextCursor };
+};
+
+const parseDateFilter = (value, name) => {
+  if (!value) return null;
+
+  const date = new Date(value);
+
+  if (Number.isNaN(date.getTime())) {
+    throw new HttpError({
+      status: 400,
+      message: 'Invalid date filter!',
+      details: `${name} must be a valid date, e.g. 2025-03-01.`,
+    });
+  }
+
+  return date;
+};
+
+// Conversations the user may search: their own and, for parents, the ones of their kids
+const getSearchableConversationIds = async (userId, { ownerId, conversationId }) => {
+  if (conversationId) {
+    const conversation = await findAccessibleConversation(userId, conversationId);
+    return [conversation._id];
+  }
+
+  let owners;
+
+  if (ownerId) {
+    assertValidId(ownerId);
+
+    if (!(await canAccessOwner(userId, ownerId))) {
+      throw new HttpError({
+        status: 403,
+        message: 'Access denied! You can only view your own kids.',
+      });
+    }
+
+    owners = [ownerId];
+  } else {
+    const user = await userModel.findById(userId, { role: 1, kids: 1 }).lean();
+    owners = [userId, ...(user?.role === 'parent' ? user.kids || [] : [])];
+  }
+
+  const conversations = await conversationModel.find({ owner: { $in: owners } }, { _id: 1 }).lean();
+
+  return conversations.map((conversation) => conversation._id);
+};
+
+// Results are ordered by relevance, so they are paginated by page number instead of a cursor
+export const searchMessages = async (userId, { query, role, from, to, ownerId, conversationId, page, limit } = {}) => {
+  const search = String(query || '').trim();
+  const terms = getSearchTerms(search);
+
+  if (!terms.length || search.length > MAX_SEARCH_LENGTH) {
+    throw new HttpError({
+      status: 400,
+      message: 'Invalid search query!',
+      details: `Provide between 1 and ${MAX_SEARCH_LENGTH} characters with at least one word.`,
+    });
+  }
+
+  if (role && !['user', 'assistant'].includes(role)) {
+    throw new HttpError({
+      status: 400,
+      message: 'Invalid role filter!',
+      details: "Role must be 'user' or 'assistant'.",
+    });
+  }
+
+  const fromDate = parseDateFilter(from, 'from');
+  const toDate = parseDateFilter(to, 'to');
+
+  // A date without a time includes the whole day
+  if (toDate && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+    toDate.setUTCDate(toDate.getUTCDate() + 1);
+    toDate.setTime(toDate.getTime() - 1);
+  }
+
+  const conversationIds = await getSearchableConversationIds(userId, { ownerId, conversationId });
+
+  const filter = { $text: { $search: search }, conversation: { $in: conversationIds } };
+
+  if (role) filter.role = role;
+
+  if (fromDate || toDate) {
+    filter.created_at = {};
+    if (fromDate) filter.created_at.$gte = fromDate;
+    if (toDate) filter.created_at.$lte = toDate;
+  }
+
+  const pageSize = getPageSize(limit);
+  const pageNumber = Math.max(Number.parseInt(page, 10) || 1, 1);
+
+  const [messages, total] = await Promise.all([
+    messageModel
+      .find(filter, { role: 1, content: 1, conversation: 1, created_at: 1, score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' }, _id: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .populate('conversation', 'title owner')
+      .lean(),
+    messageModel.countDocuments(filter),
+  ]);
+
+  const results = messages.map(({ content, ...message }) => ({
+    ...message,
+    snippets: (content || []).map((part) => buildSnippet(part.text, terms)).filter(Boolean),
+  }));
+
+  return { results, page: pageNumber, limit: pageSize, total, hasMore: pageNumber * pageSize < total };
+};
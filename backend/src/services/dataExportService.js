@@ -0,0 +1,283 @@
+import archiver from 'archiver';
+import mongoose from 'mongoose';
+import dataExportModel from '../models/dataExportModel.js';
+import userModel from '../models/userModel.js';
+import fileModel from '../models/fileModel.js';
+import conversationModel from '../models/conversationModel.js';
+import messageModel from '../models/messageModel.js';
+import HttpError from '../utils/httpError.js';
+import * as emailService from './emailService.js';
+import * as storageService from './storageService.js';
+
+// Presigned S3 links cannot be valid for more than 7 days
+const MAX_LINK_HOURS = 7 * 24;
+
+const STALE_PROCESSING_MINUTES = 60;
+
+const getExpireHours = () => Math.min(Number(process.env.DATA_EXPORT_EXPIRE_HOURS) || 48, MAX_LINK_HOURS);
+
+// Everything that would let someone sign in as the user or that only matters to the server
+const secretFields = {
+  password: 0,
+  passwordHistory: 0,
+  googleId: 0,
+  pinHash: 0,
+  pictureSequenceHash: 0,
+  twoFactor: 0,
+  recoveryCodes: 0,
+  tokenVersion: 0,
+  loginAttempts: 0,
+  emailVerificationToken: 0,
+  emailVerificationExpires: 0,
+  passwordResetToken: 0,
+  passwordResetExpires: 0,
+  accountUnlockToken: 0,
+  accountUnlockExpires: 0,
+  magicLinkToken: 0,
+  magicLinkExpires: 0,
+  deletionCancelToken: 0,
+  deletionConfirmToken: 0,
+  deletionConfirmExpires: 0,
+  __v: 0,
+};
+
+const toJson = (data) => JSON.stringify(data, null, 2);
+
+// Resolves once archiver has written the entry. Files are added one at a time this way, so only one S3 download is
+// open while the archive is uploaded.
+const appendAndWait = (archive, source, data, signal) =>
+  new Promise((resolve, reject) => {
+    const cleanup = () => {
+      archive.off('entry', onEntry);
+      archive.off('error', onError);
+      signal.removeEventListener('abort', onAbort);
+    };
+    const onEntry = (entry) => {
+      if (entry.name !== data.name) return;
+      cleanup();
+      resolve();
+    };
+    const onError = (error) => {
+      cleanup();
+      reject(error);
+    };
+    const onAbort = () => onError(new Error('The archive was aborted.'));
+
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+
+    archive.on('entry', onEntry);
+    archive.on('error', onError);
+    signal.addEventListener('abort', onAbort);
+    archive.append(source, data);
+  });
+
+const addUserData = async (archive, user, folder, signal) => {
+  archive.append(toJson(user), { name: `${folder}profile.json` });
+
+  const files = await fileModel.find({ owner: user._id }, { __v: 0 }).lean();
+  archive.append(toJson(files), { name: `${folder}files.json` });
+
+  for (const file of files) {
+    const stream = await storageService.getFileStreamFromS3(file.key);
+    await appendAndWait(archive, stream, { name: `${folder}files/${file.key.split('/').pop()}` }, signal);
+  }
+
+  const conversations = await conversationModel.find({ owner: user._id }, { messages: 0, __v: 0 }).lean();
+  const messages = await messageModel
+    .find({ conversation: { $in: conversations.map((conversation) => conversation._id) } }, { __v: 0 })
+    .sort({ created_at: 1 })
+    .lean();
+
+  const conversationsWithMessages = conversations.map((conversation) => ({
+    ...conversation,
+    messages: messages.filter((message) => message.conversation.equals(conversation._id)),
+  }));
+  archive.append(toJson(conversationsWithMessages), { name: `${folder}conversations.json` });
+};
+
+const buildArchive = async (archive, user, signal) => {
+  await addUserData(archive, user, '', signal);
+
+  if (user.role === 'parent' && user.kids?.length) {
+    const kids = await userModel.find({ _id: { $in: user.kids }, role: 'kid' }, secretFields).lean();
+
+    for (const kid of kids) {
+      await addUserData(archive, kid, `kids/${kid._id}/`, signal);
+    }
+  }
+
+  await archive.finalize();
+};
+
+export const processDataExport = async (exportId) => {
+  // Claiming the export makes it safe to call from the request and the job at the same time
+  const dataExport = await dataExportModel.findOneAndUpdate(
+    { _id: exportId, status: 'pending' },
+    { status: 'processing', startedAt: Date.now() },
+    { new: true },
+  );
+
+  if (!dataExport) return;
+
+  try {
+    const user = await userModel.findById(dataExport.user, secretFields).lean();
+
+    if (!user) {
+      throw new Error('User no longer exists.');
+    }
+
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    archive.on('error', (error) => console.error(`Data export ${exportId} archive error:`, error));
+
+    // If either side fails, aborting the archive ends the other one instead of leaving it waiting
+    const controller = new AbortController();
+    const abort = () => {
+      controller.abort();
+      archive.abort();
+    };
+
+    const [uploadResult, buildResult] = await Promise.allSettled([
+      storageService.uploadStreamToS3(archive, 'exports', 'lexi-magic-export.zip', 'application/zip').catch((error) => {
+        abort();
+        throw error;
+      }),
+      buildArchive(archive, user, controller.signal).catch((error) => {
+        abort();
+        throw error;
+      }),
+    ]);
+
+    if (buildResult.status === 'rejected') {
+      if (uploadResult.status === 'fulfilled') {
+        await storageService.deleteFileFromS3(uploadResult.value.Key);
+      }
+
+      throw buildResult.reason;
+    }
+
+    if (uploadResult.status === 'rejected') {
+      throw uploadResult.reason;
+    }
+
+    const { Key } = uploadResult.value;
+
+    const expireHours = getExpireHours();
+    dataExport.status = 'completed';
+    dataExport.key = Key;
+    dataExport.size = archive.pointer();
+    dataExport.completedAt = Date.now();
+    dataExport.expiresAt = Date.now() + expireHours * 60 * 60 * 1000;
+    await dataExport.save();
+
+    const downloadUrl = await storageService.getS3Url(Key, expireHours * 60 * 60);
+    await emailService.sendDataExportEmail(user.email, { downloadUrl, expiresAt: dataExport.expiresAt });
+  } catch (error) {
+    console.error(`Failed to build data export ${exportId}:`, error);
+
+    // The archive may already be uploaded, e.g. when the email could not be sent. If it cannot be deleted now, the key
+    // is kept so the job deletes it once the export expires.
+    if (dataExport.key) {
+      try {
+        await storageService.deleteFileFromS3(dataExport.key);
+        dataExport.key = undefined;
+      } catch (deleteError) {
+        console.error(`Failed to delete the archive of data export ${exportId}:`, deleteError);
+      }
+    }
+
+    dataExport.status = 'failed';
+    dataExport.error = error.message;
+    await dataExport.save();
+  }
+};
+
+export const requestDataExport = async (userId) => {
+  const user = await userModel.findById(userId, { role: 1 }).lean();
+
+  if (!user) {
+    throw new HttpError({
+      status: 404,
+      message: 'User not found!',
+    });
+  }
+
+  // The download link is sent by email, which kid accounts usually do not have
+  if (user.role === 'kid') {
+    throw new HttpError({
+      status: 403,
+      message: 'Ask your parent to export your data!',
+    });
+  }
+
+  const activeExport = await dataExportModel.exists({ user: userId, status: { $in: ['pending', 'processing'] } });
+
+  if (activeExport) {
+    throw new HttpError({
+      status: 409,
+      message: 'A data export is already in progress!',
+      details: { exportId: activeExport._id },
+    });
+  }
+
+  const dataExport = await dataExportModel.create({ user: userId });
+
+  // Large accounts take a while, so the archive is built after the response is sent
+  setImmediate(() => processDataExport(dataExport._id).catch((error) => console.error(error)));
+
+  return { _id: dataExport._id, status: dataExport.status, created_at: dataExport.created_at };
+};
+
+export const getDataExportStatus = async (userId, exportId) => {
+  if (!mongoose.Types.ObjectId.isValid(exportId)) {
+    throw new HttpError({
+      status: 400,
+      message: 'Invalid ID format!',
+    });
+  }
+
+  const dataExport = await dataExportModel.findOne({ _id: exportId, user: userId }, { user: 0, __v: 0 }).lean();
+
+  if (!dataExport) {
+    throw new HttpError({
+      status: 404,
+      message: 'Data export not found!',
+    });
+  }
+
+  const { key, ...status } = dataExport;
+  const isAvailable = dataExport.status === 'completed' && key && dataExport.expiresAt > Date.now();
+
+  return {
+    ...status,
+    downloadUrl: isAvailable ? await storageService.getS3Url(key, 5 * 60) : null,
+  };
+};
+
+// Called by the data export job. Picks up exports interrupted by a restart and removes expired archives.
+export const processPendingExports = async () => {
+  // An export still processing after this long was interrupted by a restart
+  await dataExportModel.updateMany(
+    { status: 'processing', startedAt: { $lt: Date.now() - STALE_PROCESSING_MINUTES * 60 * 1000 } },
+    { status: 'pending' },
+  );
+
+  const pendingExports = await dataExportModel.find({ status: 'pending' }, { _id: 1 }).lean();
+
+  for (const dataExport of pendingExports) {
+    await processDataExport(dataExport._id);
+  }
+
+  const expiredExports = await dataExportModel
+    .find({ status: { $in: ['completed', 'failed'] }, key: { $ne: null }, expiresAt: { $lte: Date.now() } }, { key: 1 })
+    .lean();
+
+  for (const dataExport of expiredExports) {
+    await storageService.deleteFileFromS3(dataExport.key);
+    await dataExportModel.updateOne({ _id: dataExport._id }, { $unset: { key: 1 } });
+  }
+
+  return { processed: pendingExports.length, expired: expiredExports.length };
+};
@@ -0,0 +1,129 @@
+import moment from 'moment';
+import activityModel from '../models/activityModel.js';
+import usageModel from '../models/usageModel.js';
+import userModel from '../models/userModel.js';
+import { getLocalNow, getStartOfCurrentWeekUTC, getStartOfPreviousWeekUTC } from '../utils/time.js';
+import * as emailService from './emailService.js';
+
+const DIGEST_MODES = ['homework', 'lesson', 'summary', 'reading'];
+
+const toLocalDate = (date, timezoneOffset) =>
+  moment(date).utc().subtract(timezoneOffset, 'minutes').format('YYYY-MM-DD');
+
+// The digest covers the same calendar week for every kid, but usage days are recorded in the timezone of the kid's
+// parental controls. The week is therefore taken in that timezone, so no day is shifted or dropped.
+export const getKidWeeklySummary = async (kid, { start, end, timezoneOffset }) => {
+  const kidTimezoneOffset = kid.parentalControls?.timezoneOffset || 0;
+  const startDate = toLocalDate(start, timezoneOffset);
+  const endDate = toLocalDate(end, timezoneOffset);
+  const kidStart = moment.utc(startDate).add(kidTimezoneOffset, 'minutes').toDate();
+  const kidEnd = moment.utc(endDate).add(kidTimezoneOffset, 'minutes').toDate();
+
+  const [activities, usage] = await Promise.all([
+    activityModel
+      .find({ user: kid._id, created_at: { $gte: kidStart, $lt: kidEnd } })
+      .select({ type: 1, created_at: 1 })
+      .lean(),
+    usageModel
+      .find({ user: kid._id, date: { $gte: startDate, $lt: endDate } })
+      .select({ minutes: 1 })
+      .lean(),
+  ]);
+
+  const modes = Object.fromEntries(DIGEST_MODES.map((mode) => [mode, 0]));
+  const countsByDay = new Map();
+
+  activities.forEach((activity) => {
+    modes[activity.type] = (modes[activity.type] || 0) + 1;
+
+    const day = toLocalDate(activity.created_at, kidTimezoneOffset);
+    countsByDay.set(day, (countsByDay.get(day) || 0) + 1);
+  });
+
+  const dailyTarget = kid.dailyTarget || 0;
+  const weeklyTarget = kid.weeklyTarget || 0;
+
+  return {
+    fullName: kid.fullName,
+    filesProcessed: activities.length,
+    modes,
+    minutesActive: Math.round(usage.reduce((total, day) => total + (day.minutes || 0), 0)),
+    dailyTarget,
+    daysTargetMet: dailyTarget > 0 ? [...countsByDay.values()].filter((count) => count >= dailyTarget).length : 0,
+    weeklyTarget,
+    weeklyPercent: weeklyTarget > 0 ? Math.min(Math.round((activities.length / weeklyTarget) * 100), 100) : null,
+  };
+};
+
+const sendParentDigest = async (parent, { start, end, timezoneOffset }) => {
+  const kids = await userModel
+    .find(
+      { _id: { $in: parent.kids }, role: 'kid', deletedAt: null },
+      { fullName: 1, dailyTarget: 1, weeklyTarget: 1, 'parentalControls.timezoneOffset': 1 },
+    )
+    .lean();
+
+  if (!kids.length) return false;
+
+  const summaries = await Promise.all(kids.map((kid) => getKidWeeklySummary(kid, { start, end, timezoneOffset })));
+
+  await emailService.sendWeeklyDigestEmail(parent.email, {
+    parentName: parent.fullName,
+    weekStart: toLocalDate(start, timezoneOffset),
+    weekEnd: moment(toLocalDate(end, timezoneOffset)).subtract(1, 'days').format('YYYY-MM-DD'),
+    kids: summaries,
+  });
+
+  return true;
+};
+
+// Runs periodically and sends the digest for the previous week to every parent for whom it is already Monday
+export const sendWeeklyDigests = async () => {
+  const parents = await userModel
+    .find(
+      {
+        role: 'parent',
+        isEmailVerified: true,
+        deletedAt: null,
+        'notificationSettings.weeklyDigest': { $ne: false },
+        'kids.0': { $exists: true },
+      },
+      { email: 1, fullName: 1, kids: 1, timezoneOffset: 1, lastDigestSentAt: 1 },
+    )
+    .lean();
+
+  let sent = 0;
+
+  for (const parent of parents) {
+    const timezoneOffset = parent.timezoneOffset || 0;
+
+    if (getLocalNow(timezoneOffset).isoWeekday() !== 1) continue;
+
+    const [start, end] = await Promise.all([
+      getStartOfPreviousWeekUTC(timezoneOffset),
+      getStartOfCurrentWeekUTC(timezoneOffset),
+    ]);
+
+    // Claim the digest first, so overlapping runs or several instances do not send it twice
+    const claim = await userModel.updateOne(
+      { _id: parent._id, $or: [{ lastDigestSentAt: null }, { lastDigestSentAt: { $lt: end } }] },
+      { lastDigestSentAt: new Date() },
+    );
+
+    if (!claim.modifiedCount) continue;
+
+    try {
+      if (await sendParentDigest(parent, { start, end, timezoneOffset })) sent++;
+    } catch (error) {
+      console.error(`Failed to send weekly digest to ${parent._id}:`, error);
+
+      // Release the claim so the next run retries
+      await userModel.updateOne(
+        { _id: parent._id },
+        parent.lastDigestSentAt ? { lastDigestSentAt: parent.lastDigestSentAt } : { $unset: { lastDigestSentAt: 1 } },
+      );
+    }
+  }
+
+  return sent;
+};
@@ -76,6 +76,219 @@ export const sendPasswordResetEmail = async (email, token) => {
   });
 };
 
+export const sendMagicLinkEmail = async (email, token) => {
+  const magicLinkUrl = `${process.env.FRONTEND_SERVER}/magic-link?token=${token}`;
+  const expireMinutes = Number(process.env.MAGIC_LINK_EXPIRE_MINUTES) || 15;
+
+  await sendEmail({
+    to: email,
+    subject: 'Вашият линк за вход',
+    text: `За да влезете в Lexi Magic, моля кликнете на следния линк: ${magicLinkUrl} Линкът е валиден ${expireMinutes} минути и може да бъде използван само веднъж.`,
+    html: `
+      <h1>Вход в Lexi Magic</h1>
+      <p>Получихме заявка за вход без парола във вашия профил.</p>
+      <p>Линкът е валиден ${expireMinutes} минути и може да бъде използван само веднъж:</p>
+      <a href="${magicLinkUrl}" style="background-color: #4CAF50; color: white; padding: 14px 20px; text-decoration: none; border-radius: 4px;">
+        Вход
+      </a>
+      <p>Ако не сте правили тази заявка, можете да игнорирате този имейл.</p>
+    `,
+  });
+};
+
+export const sendAccountUnlockEmail = async (email, token) => {
+  const unlockUrl = `${process.env.FRONTEND_SERVER}/unlock-account?token=${token}`;
+
+  await sendEmail({
+    to: email,
+    subject: 'Профилът ви е временно заключен',
+    text: `Профилът ви беше заключен след твърде много неуспешни опити за вход. За да го отключите, моля кликнете на следния линк: ${unlockUrl}`,
+    html: `
+      <h1>Профилът ви е временно заключен</h1>
+      <p>Регистрирахме твърде много неуспешни опити за вход във вашия профил в Lexi Magic.</p>
+      <p>Ако това сте били вие, можете да отключите профила си веднага с бутона по-долу:</p>
+      <a href="${unlockUrl}" style="background-color: #4CAF50; color: white; padding: 14px 20px; text-decoration: none; border-radius: 4px;">
+        Отключи профила
+      </a>
+      <p>Ако не сте били вие, препоръчваме да смените паролата си след отключване.</p>
+    `,
+  });
+};
+
+export const sendAccountDeletionEmail = async (email, { token, scheduledDeletionAt }) => {
+  const cancelUrl = `${process.env.FRONTEND_SERVER}/cancel-account-deletion?token=${token}`;
+  const deletionDate = scheduledDeletionAt.toISOString().slice(0, 10);
+
+  await sendEmail({
+    to: email,
+    subject: 'Профилът ви ще бъде изтрит',
+    text: `Получихме заявка за изтриване на вашия профил в Lexi Magic. Профилът, децата към него и всички файлове ще бъдат изтрити окончателно на ${deletionDate}. Ако промените решението си, можете да откажете изтриването до тази дата чрез следния линк: ${cancelUrl}`,
+    html: `
+      <h1>Профилът ви ще бъде изтрит</h1>
+      <p>Получихме заявка за изтриване на вашия профил в Lexi Magic.</p>
+      <p>Профилът, децата към него и всички файлове ще бъдат изтрити окончателно на ${deletionDate}.</p>
+      <p>Ако промените решението си, можете да откажете изтриването до тази дата с бутона по-долу:</p>
+      <a href="${cancelUrl}" style="background-color: #4CAF50; color: white; padding: 14px 20px; text-decoration: none; border-radius: 4px;">
+        Откажи изтриването
+      </a>
+    `,
+  });
+};
+
+export const sendAccountDeletionConfirmEmail = async (email, token) => {
+  const confirmUrl = `${process.env.FRONTEND_SERVER}/confirm-account-deletion?token=${token}`;
+
+  await sendEmail({
+    to: email,
+    subject: 'Потвърдете изтриването на профила си',
+    text: `Получихме заявка за изтриване на вашия профил в Lexi Magic. За да я потвърдите, моля кликнете на следния линк: ${confirmUrl} Линкът е валиден 1 час. Ако не сте заявили изтриване, игнорирайте този имейл.`,
+    html: `
+      <h1>Потвърдете изтриването на профила си</h1>
+      <p>Получихме заявка за изтриване на вашия профил в Lexi Magic.</p>
+      <p>За да я потвърдите, моля кликнете на бутона по-долу. Линкът е валиден 1 час.</p>
+      <a href="${confirmUrl}" style="background-color: #4CAF50; color: white; padding: 14px 20px; text-decoration: none; border-radius: 4px;">
+        Потвърди изтриването
+      </a>
+      <p>Ако не сте заявили изтриване, игнорирайте този имейл.</p>
+    `,
+  });
+};
+
+export const sendDataExportEmail = async (email, { downloadUrl, expiresAt }) => {
+  const expiryDate = new Date(expiresAt).toISOString().slice(0, 16).replace('T', ' ');
+
+  await sendEmail({
+    to: email,
+    subject: 'Вашите данни са готови за изтегляне',
+    text: `Архивът с вашите данни от Lexi Magic е готов. Можете да го изтеглите от следния линк до ${expiryDate} UTC: ${downloadUrl}`,
+    html: `
+      <h1>Вашите данни са готови</h1>
+      <p>Архивът с вашите данни от Lexi Magic е готов за изтегляне.</p>
+      <p>Линкът е валиден до ${expiryDate} UTC. След това архивът ще бъде изтрит и ще трябва да заявите нов.</p>
+      <a href="${downloadUrl}" style="background-color: #4CAF50; color: white; padding: 14px 20px; text-decoration: none; border-radius: 4px;">
+        Изтегли архива
+      </a>
+      <p>Ако не сте заявили този архив, моля сменете паролата си незабавно.</p>
+    `,
+  });
+};
+
+export const sendRecoveryCodeUsedEmail = async (email, remainingCodes) => {
+  const securityUrl = `${process.env.FRONTEND_SERVER}/profile/security`;
+
+  await sendEmail({
+    to: email,
+    subject: 'Използван е код за възстановяване',
+    text: `Току-що влязохте в профила си с код за възстановяване. Оставащи кодове: ${remainingCodes}. Ако не сте били вие, сменете паролата си незабавно: ${securityUrl}`,
+    html: `
+      <h1>Използван е код за възстановяване</h1>
+      <p>Току-що влязохте в профила си в Lexi Magic с еднократен код за възстановяване.</p>
+      <p>Оставащи кодове: <strong>${remainingCodes}</strong></p>
+      <p>Ако не сте били вие, сменете паролата си и генерирайте нови кодове незабавно:</p>
+      <a href="${securityUrl}" style="background-color: #4CAF50; color: white; padding: 14px 20px; text-decoration: none; border-radius: 4px;">
+        Настройки за сигурност
+      </a>
+    `,
+  });
+};
+
+export const sendGuardianInvitationEmail = async (email, { inviterName, kidName, token }) => {
+  const invitationUrl = `${process.env.FRONTEND_SERVER}/guardian-invitation?token=${token}`;
+  const safeInviterName = htmlSanitizer(inviterName);
+  const safeKidName = htmlSanitizer(kidName);
+
+  await sendEmail({
+    to: email,
+    subject: 'Покана за настойник в Lexi Magic',
+    text: `${inviterName} ви кани да следите заедно напредъка на ${kidName} в Lexi Magic. За да приемете поканата, моля влезте в профила си и кликнете на следния линк: ${invitationUrl}`,
+    html: `
+      <h1>Покана за настойник</h1>
+      <p>${safeInviterName} ви кани да следите заедно напредъка на ${safeKidName} в Lexi Magic.</p>
+      <p>За да приемете поканата, влезте в профила си с този имейл и кликнете на бутона по-долу:</p>
+      <a href="${invitationUrl}" style="background-color: #4CAF50; color: white; padding: 14px 20px; text-decoration: none; border-radius: 4px;">
+        Приеми поканата
+      </a>
+      <p>Ако не очаквате тази покана, можете да игнорирате този имейл.</p>
+    `,
+  });
+};
+
+const digestModeLabels = {
+  homework: 'Домашна работа',
+  lesson: 'Урок',
+  summary: 'Резюме',
+  reading: 'Четене',
+};
+
+const formatDigestModes = (modes) =>
+  Object.entries(modes)
+    .filter(([, count]) => count > 0)
+    .map(([mode, count]) => `${digestModeLabels[mode] || mode}: ${count}`)
+    .join(', ') || 'няма';
+
+const formatDigestTargets = (kid) => {
+  const targets = [];
+
+  if (kid.weeklyTarget > 0) {
+    targets.push(`седмична цел ${kid.filesProcessed}/${kid.weeklyTarget} (${kid.weeklyPercent}%)`);
+  }
+
+  if (kid.dailyTarget > 0) {
+    targets.push(`дневна цел изпълнена в ${kid.daysTargetMet} от 7 дни`);
+  }
+
+  return targets.join(', ') || 'няма зададени цели';
+};
+
+export const sendWeeklyDigestEmail = async (email, { parentName, weekStart, weekEnd, kids }) => {
+  const settingsUrl = `${process.env.FRONTEND_SERVER}/profile/notifications`;
+  const period = `${weekStart} - ${weekEnd}`;
+
+  const textSections = kids.map((kid) =>
+    [
+      `${kid.fullName}:`,
+      `- Обработени файлове: ${kid.filesProcessed}`,
+      `- Режими: ${formatDigestModes(kid.modes)}`,
+      `- Време в приложението: ${kid.minutesActive} мин.`,
+      `- Цели: ${formatDigestTargets(kid)}`,
+    ].join('\n'),
+  );
+
+  const htmlSections = kids
+    .map(
+      (kid) => `
+      <h2>${htmlSanitizer(kid.fullName)}</h2>
+      <ul>
+        <li>Обработени файлове: ${kid.filesProcessed}</li>
+        <li>Режими: ${formatDigestModes(kid.modes)}</li>
+        <li>Време в приложението: ${kid.minutesActive} мин.</li>
+        <li>Цели: ${formatDigestTargets(kid)}</li>
+      </ul>`,
+    )
+    .join('');
+
+  await sendEmail({
+    to: email,
+    subject: `Седмичен отчет за напредъка (${period})`,
+    text: [
+      `Здравейте, ${parentName}!`,
+      `Ето какво постигнаха вашите деца в Lexi Magic за седмицата ${period}.`,
+      ...textSections,
+      `Можете да спрете седмичния отчет от настройките на профила си: ${settingsUrl}`,
+    ].join('\n\n'),
+    html: `
+      <h1>Седмичен отчет за напредъка</h1>
+      <p>Здравейте, ${htmlSanitizer(parentName)}!</p>
+      <p>Ето какво постигнаха вашите деца в Lexi Magic за седмицата ${period}.</p>
+      ${htmlSections}
+      <p>Можете да спрете седмичния отчет от настройките на профила си:</p>
+      <a href="${settingsUrl}" style="background-color: #4CAF50; color: white; padding: 14px 20px; text-decoration: none; border-radius: 4px;">
+        Настройки за известия
+      </a>
+    `,
+  });
+};
+
 export const sendContactEmail = async (name, email, subject, message) => {
   try {
     const mailOptions = {
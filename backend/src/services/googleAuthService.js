@@ -1,6 +1,6 @@
 import { OAuth2Client } from 'google-auth-library';
 import userModel from '../models/userModel.js';
-import { generateTokens } from '../utils/jwt.js';
+import { completeLogin } from './authService.js';
 import HttpError from '../utils/httpError.js';
 
 const client = new OAuth2Client(
@@ -10,7 +10,7 @@ const client = new OAuth2Client(
   // 'postmessage', // Important for auth-code flow
 );
 
-export const handleGoogleLogin = async (code) => {
+export const handleGoogleLogin = async (code, clientInfo) => {
   try {
     const { tokens } = await client.getToken({
       code,
@@ -44,10 +44,11 @@ export const handleGoogleLogin = async (code) => {
       });
     }
 
-    const { accessToken, refreshToken } = generateTokens(user._id);
+    const { accessToken, refreshToken, mfaRequired, mfaToken } = await completeLogin(user, clientInfo);
 
-    user.refreshToken = refreshToken;
-    await user.save();
+    if (mfaRequired) {
+      return { mfaRequired, mfaToken };
+    }
 
     return {
       _id: user._id,
@@ -77,7 +78,7 @@ export const getGoogleAuthURL = () => {
   });
 };
 
-export const handleGoogleCallback = async (code) => {
+export const handleGoogleCallback = async (code, clientInfo) => {
   try {
     const { tokens } = await client.getToken({
       code,
@@ -111,12 +112,9 @@ export const handleGoogleCallback = async (code) => {
       });
     }
 
-    const { accessToken, refreshToken } = generateTokens(user._id);
-
-    user.refreshToken = refreshToken;
-    await user.save();
+    const { accessToken, refreshToken, mfaRequired, mfaToken } = await completeLogin(user, clientInfo);
 
-    return { accessToken, refreshToken };
+    return { accessToken, refreshToken, mfaRequired, mfaToken };
   } catch (error) {
     console.error('Google callback error:', error);
     throw new HttpError({
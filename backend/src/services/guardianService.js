@@ -0,0 +1,235 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import userModel from '../models/userModel.js';
+import guardianInvitationModel from '../models/guardianInvitationModel.js';
+import HttpError from '../utils/httpError.js';
+import { hashToken } from '../utils/tokenHash.js';
+import * as emailService from './emailService.js';
+
+const getInvitationExpireDays = () => Number(process.env.GUARDIAN_INVITATION_EXPIRE_DAYS) || 7;
+
+// The owner is the parent who created the kid. Co-guardians share access but cannot manage other guardians.
+const findKidForGuardian = async (userId, kidId, { ownerOnly = false } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(kidId)) {
+    throw new HttpError({
+      status: 400,
+      message: 'Invalid ID format!',
+    });
+  }
+
+  const kid = await userModel.findById(kidId);
+
+  if (!kid || kid.role !== 'kid') {
+    throw new HttpError({
+      status: 404,
+      message: 'Kid not found!',
+    });
+  }
+
+  const isOwner = kid.parent?.equals(userId);
+  const isGuardian = (kid.guardians || []).some((id) => id.equals(userId));
+
+  if (!isOwner && !isGuardian) {
+    throw new HttpError({
+      status: 403,
+      message: 'Access denied! You can only manage your own kids.',
+    });
+  }
+
+  if (ownerOnly && !isOwner) {
+    throw new HttpError({
+      status: 403,
+      message: 'Access denied! Only the owner of the kid account can manage guardians.',
+    });
+  }
+
+  return { kid, isOwner };
+};
+
+export const inviteGuardian = async (ownerId, kidId, email) => {
+  const normalizedEmail = String(email || '')
+    .trim()
+    .toLowerCase();
+
+  if (!normalizedEmail) {
+    throw new HttpError({
+      status: 400,
+      message: 'Email is required!',
+    });
+  }
+
+  const { kid } = await findKidForGuardian(ownerId, kidId, { ownerOnly: true });
+  const owner = await userModel.findById(ownerId);
+
+  if (owner.email === normalizedEmail) {
+    throw new HttpError({
+      status: 400,
+      message: 'You cannot invite yourself!',
+    });
+  }
+
+  const existingGuardian = await userModel.exists({ email: normalizedEmail, _id: { $in: kid.guardians } });
+
+  if (existingGuardian) {
+    throw new HttpError({
+      status: 409,
+      message: 'This person is already a guardian of the kid!',
+    });
+  }
+
+  // A new invitation replaces any pending one for the same person
+  await guardianInvitationModel.updateMany(
+    { kid: kid._id, email: normalizedEmail, status: 'pending' },
+    { status: 'revoked', revokedAt: Date.now() },
+  );
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const invitation = await guardianInvitationModel.create({
+    kid: kid._id,
+    invitedBy: owner._id,
+    email: normalizedEmail,
+    tokenHash: hashToken(token),
+    expiresAt: Date.now() + getInvitationExpireDays() * 24 * 60 * 60 * 1000,
+  });
+
+  try {
+    await emailService.sendGuardianInvitationEmail(normalizedEmail, {
+      inviterName: owner.fullName,
+      kidName: kid.fullName,
+      token,
+    });
+  } catch (error) {
+    // Nobody can accept an invitation that was never received, so it must not stay pending
+    await guardianInvitationModel.deleteOne({ _id: invitation._id });
+
+    throw error;
+  }
+
+  return {
+    _id: invitation._id,
+    email: invitation.email,
+    status: invitation.status,
+    expiresAt: invitation.expiresAt,
+  };
+};
+
+export const acceptInvitation = async (userId, token) => {
+  const invitation = await guardianInvitationModel.findOne({
+    tokenHash: hashToken(token),
+    status: 'pending',
+    expiresAt: { $gt: Date.now() },
+  });
+
+  if (!invitation) {
+    throw new HttpError({
+      status: 400,
+      message: 'Invalid or expired invitation!',
+    });
+  }
+
+  const user = await userModel.findById(userId);
+
+  if (!user || user.role !== 'parent') {
+    throw new HttpError({
+      status: 403,
+      message: 'Access denied! Only parents can become guardians.',
+    });
+  }
+
+  // The link alone is not enough, it has to be used by the invited account
+  if (user.email !== invitation.email) {
+    throw new HttpError({
+      status: 403,
+      message: 'This invitation was sent to another email address!',
+    });
+  }
+
+  const kid = await userModel.findById(invitation.kid);
+
+  if (!kid) {
+    throw new HttpError({
+      status: 404,
+      message: 'Kid not found!',
+    });
+  }
+
+  if (kid.parent?.equals(user._id)) {
+    throw new HttpError({
+      status: 409,
+      message: 'You are already the owner of this kid account!',
+    });
+  }
+
+  await userModel.findByIdAndUpdate(kid._id, { $addToSet: { guardians: user._id } });
+  await userModel.findByIdAndUpdate(user._id, { $addToSet: { kids: kid._id } });
+
+  invitation.status = 'accepted';
+  invitation.acceptedBy = user._id;
+  invitation.acceptedAt = Date.now();
+  await invitation.save();
+
+  return { kidId: kid._id, fullName: kid.fullName };
+};
+
+export const listGuardians = async (userId, kidId) => {
+  const { kid, isOwner } = await findKidForGuardian(userId, kidId);
+
+  const guardianIds = [kid.parent, ...kid.guardians].filter(Boolean);
+  const users = await userModel.find({ _id: { $in: guardianIds } }, { fullName: 1, email: 1, imageUrl: 1 }).lean();
+
+  const guardians = users.map((user) => ({
+    ...user,
+    role: kid.parent?.equals(user._id) ? 'owner' : 'co-guardian',
+  }));
+
+  // Only the owner manages invitations, so only they see the pending ones
+  const invitations = isOwner
+    ? await guardianInvitationModel
+        .find(
+          { kid: kid._id, status: 'pending', expiresAt: { $gt: Date.now() } },
+          { email: 1, status: 1, expiresAt: 1, created_at: 1 },
+        )
+        .lean()
+    : [];
+
+  return { guardians, invitations };
+};
+
+export const revokeInvitation = async (ownerId, kidId, invitationId) => {
+  const { kid } = await findKidForGuardian(ownerId, kidId, { ownerOnly: true });
+
+  if (!mongoose.Types.ObjectId.isValid(invitationId)) {
+    throw new HttpError({
+      status: 400,
+      message: 'Invalid ID format!',
+    });
+  }
+
+  const invitation = await guardianInvitationModel.findOneAndUpdate(
+    { _id: invitationId, kid: kid._id, status: 'pending' },
+    { status: 'revoked', revokedAt: Date.now() },
+  );
+
+  if (!invitation) {
+    throw new HttpError({
+      status: 404,
+      message: 'Invitation not found!',
+    });
+  }
+};
+
+// The owner can remove any co-guardian and a co-guardian can remove themselves
+export const removeGuardian = async (userId, kidId, guardianId) => {
+  const isLeaving = String(userId) === String(guardianId);
+  const { kid } = await findKidForGuardian(userId, kidId, { ownerOnly: !isLeaving });
+
+  if (!(kid.guardians || []).some((id) => id.equals(guardianId))) {
+    throw new HttpError({
+      status: 404,
+      message: 'Guardian not found!',
+    });
+  }
+
+  await userModel.findByIdAndUpdate(kid._id, { $pull: { guardians: guardianId } });
+  await userModel.findByIdAndUpdate(guardianId, { $pull: { kids: kid._id } });
+};
@@ -0,0 +1,104 @@
+import mongoose from 'mongoose';
+import userModel from '../models/userModel.js';
+import impersonationAuditModel from '../models/impersonationAuditModel.js';
+import HttpError from '../utils/httpError.js';
+import { generateImpersonationToken, getTokenExpiry } from '../utils/jwt.js';
+
+export const startImpersonation = async (parentId, kidId) => {
+  if (!mongoose.Types.ObjectId.isValid(kidId)) {
+    throw new HttpError({
+      status: 400,
+      message: 'Invalid ID format!',
+    });
+  }
+
+  const parent = await userModel.findById(parentId);
+
+  if (!parent) {
+    throw new HttpError({
+      status: 404,
+      message: 'Parent not found!',
+    });
+  }
+
+  if (!parent.isParentOf(kidId)) {
+    throw new HttpError({
+      status: 403,
+      message: 'Access denied! You can only manage your own kids.',
+    });
+  }
+
+  const kid = await userModel.findById(kidId, { role: 1, tokenVersion: 1, deletedAt: 1 }).lean();
+
+  // Kids scheduled for deletion can no longer sign in, so their parent cannot act as them either
+  if (!kid || kid.role !== 'kid' || kid.deletedAt) {
+    throw new HttpError({
+      status: 404,
+      message: 'Kid not found!',
+    });
+  }
+
+  const accessToken = generateImpersonationToken(kid._id, {
+    actingParentId: parent._id,
+    tokenVersion: kid.tokenVersion || 0,
+    parentTokenVersion: parent.tokenVersion || 0,
+  });
+
+  return { accessToken, expiresAt: getTokenExpiry(accessToken) };
+};
+
+// Checked on every impersonated request, so removing the parent from the family or signing the parent out everywhere
+// (which bumps their token version) ends the impersonation before the token expires
+export const assertImpersonationActive = async ({ userId, actingParentId, parentVer }) => {
+  const parent = await userModel.findById(actingParentId, { kids: 1, tokenVersion: 1, deletedAt: 1 });
+
+  if (!parent || parent.deletedAt || (parent.tokenVersion || 0) !== (parentVer || 0) || !parent.isParentOf(userId)) {
+    throw new HttpError({
+      status: 401,
+      message: 'Invalid token!',
+      details: 'Impersonation is no longer valid.',
+    });
+  }
+};
+
+// Called when an impersonated request has finished, so a failed write must not affect the response
+export const recordImpersonatedRequest = async ({ actingParentId, userId }, { jti }, req, res) => {
+  try {
+    await impersonationAuditModel.create({
+      parent: actingParentId,
+      kid: userId,
+      tokenId: jti,
+      method: req.method,
+      path: req.originalUrl,
+      status: res.statusCode,
+      ip: req.ip || '',
+      userAgent: (req.get('user-agent') || '').slice(0, 512),
+    });
+  } catch (error) {
+    console.error('Failed to record impersonated request:', error);
+  }
+};
+
+export const listImpersonationAudit = async (parentId, kidId, { limit = 50 } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(kidId)) {
+    throw new HttpError({
+      status: 400,
+      message: 'Invalid ID format!',
+    });
+  }
+
+  const parent = await userModel.findById(parentId);
+
+  if (!parent || !parent.isParentOf(kidId)) {
+    throw new HttpError({
+      status: 403,
+      message: 'Access denied! You can only manage your own kids.',
+    });
+  }
+
+  return impersonationAuditModel
+    .find({ kid: kidId }, { __v: 0 })
+    .sort({ created_at: -1 })
+    .limit(Math.min(Number(limit) || 50, 200))
+    .lean();
+};
@@ -0,0 +1,66 @@
+import { keywordRules, piiRules } from '../config/moderationConfig.js';
+
+// Offline content filter based on the keyword and pattern rules in the moderation config
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toTermPattern = (term) => {
+  const isStem = term.endsWith('*');
+  const words = (isStem ? term.slice(0, -1) : term).split(/\s+/).map(escapeRegExp);
+
+  return `${words.join('\\s+')}${isStem ? '[\\p{L}\\p{N}]*' : ''}`;
+};
+
+const keywordPatterns = Object.entries(keywordRules).map(([category, terms]) => ({
+  category,
+  pattern: new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(toTermPattern).join('|')})(?![\\p{L}\\p{N}])`, 'giu'),
+}));
+
+const EGN_WEIGHTS = [2, 4, 8, 5, 10, 9, 7, 3, 6];
+
+// Bulgarian personal number: a date of birth (40 is added to the month after 2000, 20 before 1900) and a checksum
+const isValidEgn = (value) => {
+  const digits = value.split('').map(Number);
+  const month = digits[2] * 10 + digits[3];
+  const day = digits[4] * 10 + digits[5];
+
+  if (!(month % 20 >= 1 && month % 20 <= 12 && month <= 52) || day < 1 || day > 31) return false;
+
+  const checksum = EGN_WEIGHTS.reduce((sum, weight, index) => sum + weight * digits[index], 0) % 11;
+
+  return (checksum === 10 ? 0 : checksum) === digits[9];
+};
+
+const isValidLuhn = (value) => {
+  const digits = value.replace(/\D/g, '').split('').reverse().map(Number);
+
+  const sum = digits.reduce((total, digit, index) => {
+    if (index % 2 === 0) return total + digit;
+    return total + (digit * 2 > 9 ? digit * 2 - 9 : digit * 2);
+  }, 0);
+
+  return sum % 10 === 0;
+};
+
+const validators = { egn: isValidEgn, luhn: isValidLuhn };
+
+// Returns the ranges of the text that match a rule, as { category, start, end }
+export const detect = async (text) => {
+  const findings = [];
+
+  keywordPatterns.forEach(({ category, pattern }) => {
+    for (const match of text.matchAll(pattern)) {
+      findings.push({ category, start: match.index, end: match.index + match[0].length });
+    }
+  });
+
+  piiRules.forEach(({ pattern, validate }) => {
+    for (const match of text.matchAll(pattern)) {
+      if (validate && !validators[validate](match[0])) continue;
+
+      findings.push({ category: 'pii', start: match.index, end: match.index + match[0].length });
+    }
+  });
+
+  return findings;
+};
@@ -0,0 +1,121 @@
+import userModel from '../models/userModel.js';
+import HttpError from '../utils/httpError.js';
+import * as emailService from './emailService.js';
+
+// Read lazily so the values come from the loaded .env file. Kids mistype PINs more often and cannot use an
+// unlock email, so they get more attempts and a shorter lock configured with KID_LOGIN_* variables.
+const getLockoutPolicy = (role) => {
+  if (role === 'kid') {
+    return {
+      freeAttempts: Number(process.env.KID_LOGIN_FREE_ATTEMPTS) || 5,
+      maxAttempts: Number(process.env.KID_LOGIN_MAX_ATTEMPTS) || 15,
+      baseDelaySeconds: Number(process.env.KID_LOGIN_BASE_DELAY_SECONDS) || 1,
+      maxDelaySeconds: Number(process.env.KID_LOGIN_MAX_DELAY_SECONDS) || 30,
+      lockMinutes: Number(process.env.KID_LOGIN_LOCK_MINUTES) || 15,
+    };
+  }
+
+  return {
+    freeAttempts: Number(process.env.LOGIN_FREE_ATTEMPTS) || 3,
+    maxAttempts: Number(process.env.LOGIN_MAX_ATTEMPTS) || 10,
+    baseDelaySeconds: Number(process.env.LOGIN_BASE_DELAY_SECONDS) || 1,
+    maxDelaySeconds: Number(process.env.LOGIN_MAX_DELAY_SECONDS) || 60,
+    lockMinutes: Number(process.env.LOGIN_LOCK_MINUTES) || 30,
+  };
+};
+
+const getBackoffSeconds = (failedCount, policy) => {
+  if (failedCount < policy.freeAttempts) return 0;
+
+  const exponent = failedCount - policy.freeAttempts;
+  return Math.min(policy.baseDelaySeconds * 2 ** exponent, policy.maxDelaySeconds);
+};
+
+const lockedError = (user, lockedUntil) =>
+  new HttpError({
+    status: 423,
+    message: 'Account is temporarily locked!',
+    details: {
+      reason:
+        user.role === 'kid'
+          ? 'Too many failed login attempts. Ask your parent to reset your PIN or wait until the lock expires.'
+          : 'Too many failed login attempts. Use the link sent to your email or wait until the lock expires.',
+      lockedUntil,
+      retryAfter: Math.ceil((new Date(lockedUntil).getTime() - Date.now()) / 1000),
+    },
+  });
+
+export const assertLoginAllowed = (user) => {
+  const { count = 0, lastFailedAt, lockedUntil } = user.loginAttempts || {};
+  const policy = getLockoutPolicy(user.role);
+
+  if (lockedUntil && new Date(lockedUntil).getTime() > Date.now()) {
+    throw lockedError(user, lockedUntil);
+  }
+
+  const backoffSeconds = getBackoffSeconds(count, policy);
+  const retryAt = lastFailedAt ? new Date(lastFailedAt).getTime() + backoffSeconds * 1000 : 0;
+
+  if (retryAt > Date.now()) {
+    throw new HttpError({
+      status: 429,
+      message: 'Too many failed login attempts! Please wait before trying again.',
+      details: { retryAfter: Math.ceil((retryAt - Date.now()) / 1000) },
+    });
+  }
+};
+
+// Throws 423 when this failure locks the account, otherwise the caller reports the usual invalid credentials error.
+// The counter is updated atomically, so parallel guesses cannot skip the backoff.
+export const recordFailedLogin = async (user) => {
+  const policy = getLockoutPolicy(user.role);
+  const now = Date.now();
+
+  // An expired lock starts a new count
+  await userModel.updateOne(
+    { _id: user._id, 'loginAttempts.lockedUntil': { $lte: new Date(now) } },
+    { $set: { 'loginAttempts.count': 0, 'loginAttempts.lockedUntil': null } },
+  );
+
+  const { loginAttempts } = await userModel.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { 'loginAttempts.count': 1 }, $set: { 'loginAttempts.lastFailedAt': now } },
+    { new: true, projection: { loginAttempts: 1 } },
+  );
+
+  if (loginAttempts.count < policy.maxAttempts) return;
+
+  const lockedUntil = new Date(now + policy.lockMinutes * 60 * 1000);
+  const update = { 'loginAttempts.lockedUntil': lockedUntil };
+
+  // Kids are unlocked by their parent setting new login details. Parallel attempts over the limit only extend the lock.
+  const unlockToken =
+    user.role !== 'kid' && user.email && loginAttempts.count === policy.maxAttempts
+      ? user.generateAccountUnlockToken()
+      : null;
+
+  if (unlockToken) {
+    update.accountUnlockToken = user.accountUnlockToken;
+    update.accountUnlockExpires = user.accountUnlockExpires;
+  }
+
+  await userModel.updateOne({ _id: user._id }, { $set: update });
+
+  // The lock must be reported even when the email cannot be sent
+  if (unlockToken) {
+    emailService
+      .sendAccountUnlockEmail(user.email, unlockToken)
+      .catch((error) => console.error('Failed to send account unlock email:', error));
+  }
+
+  throw lockedError(user, lockedUntil);
+};
+
+export const clearFailedLogins = async (user) => {
+  if (!user.loginAttempts?.count && !user.loginAttempts?.lockedUntil) return;
+
+  user.loginAttempts = { count: 0, lastFailedAt: null, lockedUntil: null };
+  user.accountUnlockToken = undefined;
+  user.accountUnlockExpires = undefined;
+  await user.save();
+};
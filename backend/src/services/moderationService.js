@@ -0,0 +1,176 @@
+import mongoose from 'mongoose';
+import userModel from '../models/userModel.js';
+import moderationEventModel from '../models/moderationEventModel.js';
+import HttpError from '../utils/httpError.js';
+import { DEFAULT_STRICTNESS, redactionPlaceholders, strictnessLevels } from '../config/moderationConfig.js';
+import * as localModerationProvider from './localModerationProvider.js';
+
+// Shown to the kid instead of an assistant reply that was blocked
+export const BLOCKED_REPLY = 'Не мога да помогна с това. Ако имаш въпрос, попитай родител или учител.';
+
+// A provider has a detect(text) method that resolves to the matched ranges as { category, start, end }
+const providers = {
+  local: localModerationProvider,
+};
+
+export const registerModerationProvider = (name, provider) => {
+  providers[name] = provider;
+};
+
+// Uses the provider from MODERATION_PROVIDER. The local one works offline, so it is the fallback when another fails.
+const detectFindings = async (text) => {
+  const name = process.env.MODERATION_PROVIDER || 'local';
+
+  if (name !== 'local') {
+    try {
+      if (!providers[name]) {
+        throw new Error('The provider is not registered.');
+      }
+
+      return { provider: name, findings: await providers[name].detect(text) };
+    } catch (error) {
+      console.error(`Moderation provider "${name}" failed, using the local one:`, error.message);
+    }
+  }
+
+  return { provider: 'local', findings: await providers.local.detect(text) };
+};
+
+const redact = (text, findings) => {
+  const ranges = [...findings].sort((a, b) => a.start - b.start);
+  let result = '';
+  let position = 0;
+
+  ranges.forEach(({ category, start, end }) => {
+    // Overlapping ranges are covered by the previous replacement
+    if (end <= position) return;
+
+    result += text.slice(position, Math.max(start, position)) + redactionPlaceholders[category];
+    position = end;
+  });
+
+  return result + text.slice(position);
+};
+
+const moderateText = async (text, { kidId, strictness, stage, conversationId, fileKey }) => {
+  const level = strictnessLevels[strictness] || strictnessLevels[DEFAULT_STRICTNESS];
+  const { provider, findings } = await detectFindings(text);
+
+  const blockedFindings = findings.filter((finding) => level.block.includes(finding.category));
+  const redactedFindings = findings.filter((finding) => level.redact.includes(finding.category));
+
+  if (!blockedFindings.length && !redactedFindings.length) {
+    return { blocked: false, text };
+  }
+
+  const blocked = blockedFindings.length > 0;
+  const categories = [...new Set((blocked ? blockedFindings : redactedFindings).map((finding) => finding.category))];
+
+  // The log must not decide whether the text is filtered
+  try {
+    await moderationEventModel.create({
+      kid: kidId,
+      conversation: conversationId,
+      fileKey,
+      stage,
+      action: blocked ? 'blocked' : 'redacted',
+      categories,
+      strictness,
+      provider,
+    });
+  } catch (error) {
+    console.error('Failed to record moderation event:', error);
+  }
+
+  return { blocked, categories, text: blocked ? '' : redact(text, redactedFindings) };
+};
+
+export const getKidStrictness = async (kidId) => {
+  const kid = await userModel.findById(kidId, { contentFilter: 1 }).lean();
+
+  return kid?.contentFilter?.strictness || DEFAULT_STRICTNESS;
+};
+
+// Screens text extracted from a kid's file before it reaches the assistant. Returns the text with personal data
+// redacted, or rejects it.
+export const screenInput = async (text, context) => {
+  const result = await moderateText(text, { ...context, stage: 'input' });
+
+  if (result.blocked) {
+    throw new HttpError({
+      status: 400,
+      message: 'The file contains content that is not allowed!',
+      details: { reason: 'unsafeContent', categories: result.categories },
+    });
+  }
+
+  return result.text;
+};
+
+// Screens a reply of the assistant. A blocked reply is replaced instead of failing the request.
+export const screenOutput = async (text, context) => {
+  const result = await moderateText(text, { ...context, stage: 'output' });
+
+  return result.blocked ? BLOCKED_REPLY : result.text;
+};
+
+const assertParentOf = async (parentId, kidId) => {
+  if (!mongoose.Types.ObjectId.isValid(kidId)) {
+    throw new HttpError({
+      status: 400,
+      message: 'Invalid ID format!',
+    });
+  }
+
+  const parent = await userModel.findById(parentId);
+
+  if (!parent || !parent.isParentOf(kidId)) {
+    throw new HttpError({
+      status: 403,
+      message: 'Access denied! You can only manage your own kids.',
+    });
+  }
+};
+
+export const getContentFilter = async (parentId, kidId) => {
+  await assertParentOf(parentId, kidId);
+
+  return { strictness: await getKidStrictness(kidId), levels: strictnessLevels };
+};
+
+export const setContentFilter = async (parentId, kidId, strictness) => {
+  if (!Object.hasOwn(strictnessLevels, strictness)) {
+    throw new HttpError({
+      status: 400,
+      message: 'Invalid strictness!',
+      details: `Strictness must be one of: ${Object.keys(strictnessLevels).join(', ')}.`,
+    });
+  }
+
+  await assertParentOf(parentId, kidId);
+
+  const kid = await userModel.findOneAndUpdate(
+    { _id: kidId, role: 'kid' },
+    { 'contentFilter.strictness': strictness },
+    { new: true, projection: { contentFilter: 1 } },
+  );
+
+  if (!kid) {
+    throw new HttpError({
+      status: 404,
+      message: 'Kid not found!',
+    });
+  }
+
+  return { strictness: kid.contentFilter.strictness, levels: strictnessLevels };
+};
+
+export const listModerationEvents = async (parentId, kidId, { limit = 50 } = {}) => {
+  await assertParentOf(parentId, kidId);
+
+  return moderationEventModel
+    .find({ kid: kidId }, { __v: 0 })
+    .sort({ created_at: -1 })
+    .limit(Math.min(Number(limit) || 50, 200))
+    .lean();
+};
@@ -0,0 +1,161 @@
+import mongoose from 'mongoose';
+import messageModel from '../models/messageModel.js';
+import messageFlagModel from '../models/messageFlagModel.js';
+import userModel from '../models/userModel.js';
+import HttpError from '../utils/httpError.js';
+import * as conversationService from './conversationService.js';
+
+const FLAG_STATUSES = ['open', 'resolved'];
+
+const assertValidId = (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new HttpError({
+      status: 400,
+      message: 'Invalid ID format!',
+    });
+  }
+};
+
+// The kid in the path must be a kid of the caller. Otherwise a parent could pass their own ID and get their own
+// conversations back as a kid's.
+const assertKidOfParent = async (parentId, kidId) => {
+  assertValidId(kidId);
+
+  const parent = await userModel.findById(parentId);
+
+  if (!parent || !parent.isParentOf(kidId)) {
+    throw new HttpError({
+      status: 404,
+      message: 'Kid not found!',
+    });
+  }
+};
+
+// Access follows the conversation rules (owner or their parents), the kid in the path must also be the owner
+const findKidConversation = async (parentId, kidId, conversationId) => {
+  await assertKidOfParent(parentId, kidId);
+
+  const conversation = await conversationService.findAccessibleConversation(parentId, conversationId);
+
+  if (String(conversation.owner) !== String(kidId)) {
+    throw new HttpError({
+      status: 404,
+      message: 'Conversation not found!',
+    });
+  }
+
+  return conversation;
+};
+
+export const listKidConversations = async (parentId, kidId, { limit, cursor } = {}) => {
+  await assertKidOfParent(parentId, kidId);
+
+  return conversationService.listConversations(parentId, { ownerId: kidId, limit, cursor });
+};
+
+export const listKidMessages = async (parentId, kidId, conversationId, { limit, cursor } = {}) => {
+  await findKidConversation(parentId, kidId, conversationId);
+
+  const { messages, nextCursor } = await conversationService.listMessages(parentId, conversationId, { limit, cursor });
+
+  const flags = await messageFlagModel
+    .find({ message: { $in: messages.map((message) => message._id) }, flaggedBy: parentId }, { message: 1, status: 1 })
+    .lean();
+
+  const flagsByMessage = new Map(flags.map((flag) => [String(flag.message), flag]));
+
+  return {
+    messages: messages.map((message) => {
+      const flag = flagsByMessage.get(String(message._id));
+      return { ...message, flag: flag ? { _id: flag._id, status: flag.status } : null };
+    }),
+    nextCursor,
+  };
+};
+
+export const flagMessage = async (parentId, kidId, messageId, reason = '') => {
+  assertValidId(messageId);
+
+  const message = await messageModel.findById(messageId, { role: 1, conversation: 1 }).lean();
+
+  if (!message) {
+    throw new HttpError({
+      status: 404,
+      message: 'Message not found!',
+    });
+  }
+
+  const conversation = await findKidConversation(parentId, kidId, message.conversation);
+
+  if (message.role !== 'assistant') {
+    throw new HttpError({
+      status: 400,
+      message: 'Only assistant replies can be flagged!',
+    });
+  }
+
+  const existingFlag = await messageFlagModel.findOne({ message: message._id, flaggedBy: parentId });
+
+  if (existingFlag?.status === 'open') {
+    throw new HttpError({
+      status: 409,
+      message: 'This reply is already flagged!',
+    });
+  }
+
+  // Flagging a resolved reply again puts it back in the queue
+  if (existingFlag) {
+    existingFlag.status = 'open';
+    existingFlag.reason = reason;
+    existingFlag.resolvedAt = undefined;
+    await existingFlag.save();
+
+    return existingFlag;
+  }
+
+  return messageFlagModel.create({
+    message: message._id,
+    conversation: conversation._id,
+    kid: conversation.owner,
+    flaggedBy: parentId,
+    reason,
+  });
+};
+
+export const listFlags = async (parentId, { status = 'open', limit = 50 } = {}) => {
+  if (!FLAG_STATUSES.includes(status)) {
+    throw new HttpError({
+      status: 400,
+      message: 'Invalid flag status!',
+      details: `Status must be one of: ${FLAG_STATUSES.join(', ')}.`,
+    });
+  }
+
+  return messageFlagModel
+    .find({ flaggedBy: parentId, status }, { flaggedBy: 0, __v: 0 })
+    .sort({ created_at: -1 })
+    .limit(Math.min(Number(limit) || 50, 200))
+    .populate('message', 'role content created_at')
+    .populate('conversation', 'title')
+    .populate('kid', 'fullName')
+    .lean();
+};
+
+export const resolveFlag = async (parentId, flagId) => {
+  assertValidId(flagId);
+
+  const flag = await messageFlagModel.findOneAndUpdate(
+    { _id: flagId, flaggedBy: parentId, status: 'open' },
+    { status: 'resolved', resolvedAt: Date.now() },
+    { new: true },
+  );
+
+  if (!flag) {
+    throw new HttpError({
+      status: 404,
+      message: 'Flag not found!',
+    });
+  }
+
+  return flag;
+};
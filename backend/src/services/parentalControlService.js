@@ -0,0 +1,159 @@
+import mongoose from 'mongoose';
+import userModel from '../models/userModel.js';
+import usageModel from '../models/usageModel.js';
+import HttpError from '../utils/httpError.js';
+import { getLocalNow } from '../utils/time.js';
+
+// Gaps between requests longer than this are treated as a break and not counted as usage
+const getIdleMinutes = () => Number(process.env.USAGE_IDLE_MINUTES) || 5;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const findKidOfParent = async (parentId, kidId) => {
+  if (!mongoose.Types.ObjectId.isValid(kidId)) {
+    throw new HttpError({
+      status: 400,
+      message: 'Invalid ID format!',
+    });
+  }
+
+  const parent = await userModel.findById(parentId);
+
+  if (!parent || !parent.isParentOf(kidId)) {
+    throw new HttpError({
+      status: 403,
+      message: 'Access denied! You can only manage your own kids.',
+    });
+  }
+
+  const kid = await userModel.findById(kidId);
+
+  if (!kid || kid.role !== 'kid') {
+    throw new HttpError({
+      status: 404,
+      message: 'Kid not found!',
+    });
+  }
+
+  return kid;
+};
+
+const getTodayUsage = async (kid) => {
+  const date = getLocalNow(kid.parentalControls?.timezoneOffset || 0).format('YYYY-MM-DD');
+  const usage = await usageModel.findOne({ user: kid._id, date }).lean();
+
+  return { date, minutes: Math.floor(usage?.minutes || 0) };
+};
+
+const formatControls = (kid, usage) => {
+  const { enabled, timezoneOffset, dailyMinutes, schedule } = kid.parentalControls || {};
+
+  return {
+    enabled: Boolean(enabled),
+    timezoneOffset: timezoneOffset || 0,
+    dailyMinutes: dailyMinutes ?? null,
+    schedule: schedule || [],
+    usage: {
+      ...usage,
+      remainingMinutes: dailyMinutes == null ? null : Math.max(dailyMinutes - usage.minutes, 0),
+    },
+  };
+};
+
+export const getParentalControls = async (parentId, kidId) => {
+  const kid = await findKidOfParent(parentId, kidId);
+
+  return formatControls(kid, await getTodayUsage(kid));
+};
+
+export const setParentalControls = async (parentId, kidId, { enabled, timezoneOffset, dailyMinutes, schedule }) => {
+  const kid = await findKidOfParent(parentId, kidId);
+
+  const invalidWindow = (schedule || []).find((window) => window.start && window.end && window.start >= window.end);
+
+  if (invalidWindow) {
+    throw new HttpError({
+      status: 400,
+      message: 'Invalid schedule!',
+      details: `The window ${invalidWindow.start}-${invalidWindow.end} must end after it starts.`,
+    });
+  }
+
+  kid.parentalControls = {
+    enabled: Boolean(enabled),
+    timezoneOffset: timezoneOffset ?? kid.parentalControls?.timezoneOffset ?? 0,
+    dailyMinutes: dailyMinutes ?? undefined,
+    schedule: schedule || [],
+  };
+
+  // Mongoose validates weekdays, time formats and ranges
+  await kid.save();
+
+  return formatControls(kid, await getTodayUsage(kid));
+};
+
+const isWithinSchedule = (schedule, localNow) => {
+  if (!schedule?.length) return true;
+
+  const weekday = localNow.isoWeekday();
+  const minutes = localNow.hours() * 60 + localNow.minutes();
+
+  return schedule.some(
+    (window) => window.weekday === weekday && minutes >= toMinutes(window.start) && minutes < toMinutes(window.end),
+  );
+};
+
+// Counts the time since the previous request of the same day, unless the kid was idle in between
+const recordUsage = async (kid, date, usage) => {
+  const now = Date.now();
+  const lastSeenAt = usage?.lastSeenAt ? new Date(usage.lastSeenAt).getTime() : null;
+  const elapsedMinutes = lastSeenAt ? (now - lastSeenAt) / 60000 : 0;
+  const countedMinutes = elapsedMinutes <= getIdleMinutes() ? elapsedMinutes : 0;
+
+  await usageModel.updateOne(
+    { user: kid._id, date },
+    { $inc: { minutes: countedMinutes }, $set: { lastSeenAt: now } },
+    { upsert: true },
+  );
+};
+
+// Called by the auth middleware for every request of a kid. Usage is recorded even without enabled controls so
+// parents can see the time spent in the app.
+export const enforceParentalControls = async (kid) => {
+  const controls = kid.parentalControls || {};
+  const localNow = getLocalNow(controls.timezoneOffset || 0);
+  const date = localNow.format('YYYY-MM-DD');
+  const usage = await usageModel.findOne({ user: kid._id, date }).lean();
+
+  if (!controls.enabled) {
+    await recordUsage(kid, date, usage);
+    return;
+  }
+
+  if (!isWithinSchedule(controls.schedule, localNow)) {
+    throw new HttpError({
+      status: 403,
+      message: 'The app is not available right now!',
+      details: {
+        reason: 'outsideSchedule',
+        schedule: controls.schedule,
+      },
+    });
+  }
+
+  if (controls.dailyMinutes != null && (usage?.minutes || 0) >= controls.dailyMinutes) {
+    throw new HttpError({
+      status: 403,
+      message: 'The daily time limit has been reached!',
+      details: {
+        reason: 'dailyLimitReached',
+        dailyMinutes: controls.dailyMinutes,
+      },
+    });
+  }
+
+  await recordUsage(kid, date, usage);
+};
@@ -0,0 +1,76 @@
+import userModel from '../models/userModel.js';
+import HttpError from '../utils/httpError.js';
+import { createMemoryRevocationStore } from '../stores/revocation/memoryRevocationStore.js';
+import { createMongoRevocationStore } from '../stores/revocation/mongoRevocationStore.js';
+
+const storeFactories = {
+  memory: createMemoryRevocationStore,
+  mongo: createMongoRevocationStore,
+};
+
+let store = null;
+
+// Created lazily so REVOCATION_STORE is read after dotenv has loaded
+const getStore = () => {
+  if (!store) {
+    const type = process.env.REVOCATION_STORE || 'mongo';
+    const createStore = storeFactories[type];
+
+    if (!createStore) {
+      throw new Error(`Unknown revocation store "${type}". Use one of: ${Object.keys(storeFactories).join(', ')}.`);
+    }
+
+    store = createStore();
+  }
+
+  return store;
+};
+
+export const revokeAccessToken = async (jti, expiresAt) => {
+  if (!jti) return;
+
+  await getStore().add(`jti:${jti}`, expiresAt);
+};
+
+// Access tokens carry their session ID, so denying the session covers every token issued for it
+export const revokeSessionTokens = async (sessions) => {
+  await Promise.all(sessions.map((session) => getStore().add(`session:${session._id}`, session.expiresAt)));
+};
+
+// MFA tokens are single-use. The first call for a token claims it, every later call is rejected.
+export const consumeMfaToken = async ({ jti, exp }) => {
+  const claimed = jti && (await getStore().claim(`mfa:${jti}`, new Date(exp * 1000)));
+
+  if (!claimed) {
+    throw new HttpError({
+      status: 401,
+      message: 'Invalid or expired MFA token!',
+      details: 'Token has already been used.',
+    });
+  }
+};
+
+export const assertAccessTokenActive = async (decoded) => {
+  const revoked =
+    (decoded.jti && (await getStore().has(`jti:${decoded.jti}`))) ||
+    (decoded.sessionId && (await getStore().has(`session:${decoded.sessionId}`)));
+
+  if (revoked) {
+    throw new HttpError({
+      status: 401,
+      message: 'Invalid token!',
+      details: 'Token has been revoked.',
+    });
+  }
+
+  const user = await userModel.findById(decoded.userId, { tokenVersion: 1 }).lean();
+
+  // Password and role changes bump the version, which invalidates every token issued before them
+  if (!user || (user.tokenVersion || 0) !== (decoded.ver || 0)) {
+    throw new HttpError({
+      status: 401,
+      message: 'Invalid token!',
+      details: 'Token is no longer valid.',
+    });
+  }
+};
@@ -0,0 +1,221 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import sessionModel from '../models/sessionModel.js';
+import userModel from '../models/userModel.js';
+import { generateTokens, getTokenExpiry, verifyRefreshToken } from '../utils/jwt.js';
+import HttpError from '../utils/httpError.js';
+import * as revocationService from './revocationService.js';
+
+const getTokenVersion = async (userId) => {
+  const user = await userModel.findById(userId, { tokenVersion: 1 }).lean();
+
+  return user ? user.tokenVersion || 0 : null;
+};
+
+export const startSession = async (userId, clientInfo = {}) => {
+  const session = new sessionModel({
+    user: userId,
+    family: crypto.randomUUID(),
+    tokenId: crypto.randomUUID(),
+    deviceLabel: clientInfo.deviceLabel,
+    userAgent: clientInfo.userAgent,
+    ip: clientInfo.ip,
+  });
+
+  const tokenVersion = await getTokenVersion(userId);
+  const tokens = generateTokens(userId, { sessionId: session._id, tokenId: session.tokenId, tokenVersion });
+
+  session.expiresAt = getTokenExpiry(tokens.refreshToken);
+  await session.save();
+
+  return { ...tokens, session };
+};
+
+export const rotateSession = async (refreshToken, clientInfo = {}) => {
+  let decoded;
+
+  try {
+    decoded = verifyRefreshToken(refreshToken);
+  } catch (error) {
+    throw new HttpError({
+      status: 401,
+      message: 'Invalid refresh token!',
+      details: error.message,
+    });
+  }
+
+  if (!decoded.sessionId || !mongoose.Types.ObjectId.isValid(decoded.sessionId)) {
+    throw new HttpError({
+      status: 401,
+      message: 'Invalid refresh token!',
+    });
+  }
+
+  const tokenVersion = await getTokenVersion(decoded.userId);
+
+  if (tokenVersion === null) {
+    throw new HttpError({
+      status: 401,
+      message: 'Invalid refresh token!',
+      details: 'User no longer exists.',
+    });
+  }
+
+  const newTokenId = crypto.randomUUID();
+  const tokens = generateTokens(decoded.userId, { sessionId: decoded.sessionId, tokenId: newTokenId, tokenVersion });
+
+  // Only the holder of the latest token in the family can rotate it
+  const session = await sessionModel.findOneAndUpdate(
+    { _id: decoded.sessionId, user: decoded.userId, tokenId: decoded.tokenId, revokedAt: null },
+    {
+      tokenId: newTokenId,
+      lastUsedAt: Date.now(),
+      expiresAt: getTokenExpiry(tokens.refreshToken),
+      ...(clientInfo.userAgent && { userAgent: clientInfo.userAgent }),
+      ...(clientInfo.ip && { ip: clientInfo.ip }),
+    },
+    { new: true },
+  );
+
+  if (session) {
+    return tokens;
+  }
+
+  const existingSession = await sessionModel.findById(decoded.sessionId);
+
+  if (existingSession && !existingSession.revokedAt) {
+    // A token that was already rotated is being replayed - assume it was stolen and end the whole family
+    await revokeFamily(existingSession.family, 'reuse');
+
+    throw new HttpError({
+      status: 401,
+      message: 'Invalid refresh token!',
+      details: 'Refresh token reuse detected. All sessions of this device were signed out.',
+    });
+  }
+
+  throw new HttpError({
+    status: 401,
+    message: 'Invalid refresh token!',
+    details: 'Session has ended.',
+  });
+};
+
+// Ends the matching sessions and denies the access tokens already issued for them
+const revokeSessions = async (filter, reason) => {
+  const sessions = await sessionModel.find({ ...filter, revokedAt: null }, { _id: 1, expiresAt: 1 }).lean();
+
+  if (sessions.length === 0) return 0;
+
+  await sessionModel.updateMany(
+    { _id: { $in: sessions.map((session) => session._id) } },
+    { revokedAt: Date.now(), revokedReason: reason },
+  );
+  await revocationService.revokeSessionTokens(sessions);
+
+  return sessions.length;
+};
+
+export const revokeFamily = async (family, reason = 'revoked') => {
+  await revokeSessions({ family }, reason);
+};
+
+export const endSession = async (userId, sessionId, reason = 'logout') => {
+  if (!sessionId) return;
+
+  await revokeSessions({ _id: sessionId, user: userId }, reason);
+};
+
+const activeSessionsFilter = (userId) => ({
+  user: userId,
+  revokedAt: null,
+  expiresAt: { $gt: Date.now() },
+});
+
+const toSessionResponse = (session, currentSessionId) => ({
+  _id: session._id,
+  deviceLabel: session.deviceLabel,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  created_at: session.created_at,
+  lastUsedAt: session.lastUsedAt,
+  isCurrent: currentSessionId != null && session._id.toString() === currentSessionId.toString(),
+});
+
+export const listSessions = async (userId, currentSessionId) => {
+  const sessions = await sessionModel.find(activeSessionsFilter(userId)).sort({ lastUsedAt: -1 }).lean();
+
+  return sessions.map((session) => toSessionResponse(session, currentSessionId));
+};
+
+export const revokeSession = async (userId, sessionId) => {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    throw new HttpError({
+      status: 400,
+      message: 'Invalid ID format!',
+    });
+  }
+
+  const revokedCount = await revokeSessions({ _id: sessionId, ...activeSessionsFilter(userId) }, 'revoked');
+
+  if (revokedCount === 0) {
+    throw new HttpError({
+      status: 404,
+      message: 'Session not found!',
+    });
+  }
+};
+
+export const revokeOtherSessions = async (userId, currentSessionId) => {
+  const filter = activeSessionsFilter(userId);
+
+  if (currentSessionId) {
+    filter._id = { $ne: currentSessionId };
+  }
+
+  const revokedCount = await revokeSessions(filter, 'revoked');
+
+  return { revokedCount };
+};
+
+const assertParentOfKid = async (parentId, kidId) => {
+  if (!mongoose.Types.ObjectId.isValid(kidId)) {
+    throw new HttpError({
+      status: 400,
+      message: 'Invalid ID format!',
+    });
+  }
+
+  const parent = await userModel.findById(parentId);
+  if (!parent) {
+    throw new HttpError({
+      status: 404,
+      message: 'Parent not found!',
+    });
+  }
+
+  if (!parent.isParentOf(kidId)) {
+    throw new HttpError({
+      status: 403,
+      message: 'Access denied! You can only manage your own kids.',
+    });
+  }
+};
+
+export const listKidSessions = async (parentId, kidId) => {
+  await assertParentOfKid(parentId, kidId);
+
+  return listSessions(kidId);
+};
+
+export const revokeKidSession = async (parentId, kidId, sessionId) => {
+  await assertParentOfKid(parentId, kidId);
+
+  await revokeSession(kidId, sessionId);
+};
+
+export const revokeAllKidSessions = async (parentId, kidId) => {
+  await assertParentOfKid(parentId, kidId);
+
+  return revokeOtherSessions(kidId);
+};
@@ -20,10 +20,12 @@ const s3 = new S3({
 
 const bucket = process.env.AWS_S3_BUCKET_NAME;
 
+const uploadFolders = ['files', 'avatars', 'exports'];
+
 export const uploadFileToS3 = async (file, folder) => {
   const uniqueId = crypto.randomUUID();
 
-  if (folder !== 'files' && folder !== 'avatars') {
+  if (!uploadFolders.includes(folder)) {
     throw new HttpError({
       status: 500,
       message: 'Internal server error!',
@@ -53,10 +55,10 @@ export const uploadFileToS3 = async (file, folder) => {
   }
 };
 
-export const getS3Url = async (key) => {
+export const getS3Url = async (key, expiresIn = 60) => {
   try {
     const command = new GetObjectCommand({ Bucket: bucket, Key: key });
-    const fileUrl = await getSignedUrl(s3, command, { expiresIn: 60 });
+    const fileUrl = await getSignedUrl(s3, command, { expiresIn });
     return fileUrl;
   } catch (error) {
     throw new HttpError({
@@ -67,6 +69,49 @@ export const getS3Url = async (key) => {
   }
 };
 
+// Used for the generated export archives, which are streamed instead of held in memory
+export const uploadStreamToS3 = async (stream, folder, fileName, contentType) => {
+  if (!uploadFolders.includes(folder)) {
+    throw new HttpError({
+      status: 500,
+      message: 'Internal server error!',
+      details: 'Invalid upload folder.',
+    });
+  }
+
+  try {
+    const uploadData = await new Upload({
+      client: s3,
+      params: {
+        Bucket: bucket,
+        Key: `${folder}/${crypto.randomUUID()}_${fileName}`,
+        Body: stream,
+        ContentType: contentType,
+      },
+    }).done();
+    return uploadData;
+  } catch (error) {
+    throw new HttpError({
+      status: 500,
+      message: 'Cloud upload error!',
+      details: error.message,
+    });
+  }
+};
+
+export const getFileStreamFromS3 = async (key) => {
+  try {
+    const result = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+    return result.Body;
+  } catch (error) {
+    throw new HttpError({
+      status: 500,
+      message: 'Cloud download error!',
+      details: error.message,
+    });
+  }
+};
+
 export const deleteFileFromS3 = async (key) => {
   try {
     const deleteCommand = new DeleteObjectCommand({ Bucket: bucket, Key: key });
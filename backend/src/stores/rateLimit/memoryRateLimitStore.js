@@ -0,0 +1,36 @@
+const PRUNE_EVERY = 1000;
+
+// Fixed-window counters kept in process memory. Each API instance counts separately.
+export const createMemoryRateLimitStore = () => {
+  const windows = new Map();
+  let hitsSincePrune = 0;
+
+  const prune = (now) => {
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+  };
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+
+      hitsSincePrune += 1;
+      if (hitsSincePrune >= PRUNE_EVERY) {
+        hitsSincePrune = 0;
+        prune(now);
+      }
+
+      let window = windows.get(key);
+
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+
+      window.count += 1;
+
+      return { count: window.count, resetAt: new Date(window.resetAt) };
+    },
+  };
+};
@@ -0,0 +1,25 @@
+import rateLimitModel from '../../models/rateLimitModel.js';
+
+// Fixed-window counters shared by all API instances
+export const createMongoRateLimitStore = () => ({
+  async increment(key, windowMs) {
+    const now = new Date();
+    const isWindowActive = { $gt: ['$resetAt', now] };
+
+    // A single pipeline update either bumps the active window or starts a new one, so concurrent hits are not lost
+    const window = await rateLimitModel.findOneAndUpdate(
+      { key },
+      [
+        {
+          $set: {
+            count: { $cond: [isWindowActive, { $add: ['$count', 1] }, 1] },
+            resetAt: { $cond: [isWindowActive, '$resetAt', new Date(now.getTime() + windowMs)] },
+          },
+        },
+      ],
+      { upsert: true, new: true },
+    );
+
+    return { count: window.count, resetAt: window.resetAt };
+  },
+});
@@ -0,0 +1,55 @@
+const PRUNE_EVERY = 1000;
+
+// Process-local denylist. Entries are lost on restart, so use it only for development, tests or single instances.
+export const createMemoryRevocationStore = () => {
+  const entries = new Map();
+  let addsSincePrune = 0;
+
+  const prune = () => {
+    const now = Date.now();
+    for (const [key, expiresAt] of entries) {
+      if (expiresAt <= now) entries.delete(key);
+    }
+  };
+
+  const isActive = (key) => {
+    const expiresAt = entries.get(key);
+    if (expiresAt === undefined) return false;
+
+    if (expiresAt <= Date.now()) {
+      entries.delete(key);
+      return false;
+    }
+
+    return true;
+  };
+
+  const set = (key, expiresAt) => {
+    entries.set(key, new Date(expiresAt).getTime());
+
+    addsSincePrune += 1;
+    if (addsSincePrune >= PRUNE_EVERY) {
+      addsSincePrune = 0;
+      prune();
+    }
+  };
+
+  return {
+    async add(key, expiresAt) {
+      set(key, expiresAt);
+    },
+
+    // Adds the key unless it is already present, so it succeeds only once per key. The check and the set run without
+    // yielding, so parallel calls cannot both succeed.
+    async claim(key, expiresAt) {
+      if (isActive(key)) return false;
+
+      set(key, expiresAt);
+      return true;
+    },
+
+    async has(key) {
+      return isActive(key);
+    },
+  };
+};
@@ -0,0 +1,25 @@
+import revokedTokenModel from '../../models/revokedTokenModel.js';
+
+// Shared denylist for multiple API instances. Expired entries are removed by the TTL index on the model.
+export const createMongoRevocationStore = () => ({
+  async add(key, expiresAt) {
+    await revokedTokenModel.updateOne({ key }, { key, expiresAt }, { upsert: true });
+  },
+
+  // Adds the key unless it is already present, so it succeeds only once per key, even across instances
+  async claim(key, expiresAt) {
+    try {
+      const result = await revokedTokenModel.updateOne({ key }, { $setOnInsert: { key, expiresAt } }, { upsert: true });
+      return result.upsertedCount > 0;
+    } catch (error) {
+      // Parallel upserts of the same key are rejected by the unique index
+      if (error.code === 11000) return false;
+      throw error;
+    }
+  },
+
+  async has(key) {
+    const entry = await revokedTokenModel.exists({ key, expiresAt: { $gt: Date.now() } });
+    return Boolean(entry);
+  },
+});
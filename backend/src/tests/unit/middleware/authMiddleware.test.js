@@ -1,8 +1,19 @@
-import { auth } from '../../../middleware/authMiddleware.js';
+import { auth, authWithoutParentalControls } from '../../../middleware/authMiddleware.js';
 import { verifyAccessToken } from '../../../utils/jwt.js';
+import { assertAccessTokenActive } from '../../../services/revocationService.js';
+import { setLastActivity } from '../../../services/authService.js';
+import { assertImpersonationActive, recordImpersonatedRequest } from '../../../services/impersonationService.js';
+import { enforceParentalControls } from '../../../services/parentalControlService.js';
+import HttpError from '../../../utils/httpError.js';
 
 // Mock dependencies
 jest.mock('../../../utils/jwt.js');
+jest.mock('../../../services/revocationService.js');
+jest.mock('../../../services/authService.js', () => ({
+  setLastActivity: jest.fn(),
+}));
+jest.mock('../../../services/impersonationService.js');
+jest.mock('../../../services/parentalControlService.js');
 
 describe('Auth Middleware', () => {
   let mockReq;
@@ -34,6 +45,73 @@ describe('Auth Middleware', () => {
     expect(mockNext).toHaveBeenCalled();
   });
 
+  it('should expose and audit a parent acting as their kid', async () => {
+    // Arrange
+    mockReq.headers.authorization = 'Bearer impersonationToken';
+    mockRes.on = jest.fn();
+    verifyAccessToken.mockReturnValue({ userId: 'kidId', actingParentId: 'parentId', jti: 'tokenId', exp: 1 });
+
+    // Act
+    await auth(mockReq, mockRes, mockNext);
+    const [event, onFinish] = mockRes.on.mock.calls[0];
+    onFinish();
+
+    // Assert
+    expect(mockReq.user).toEqual({ userId: 'kidId', actingParentId: 'parentId' });
+    expect(assertImpersonationActive).toHaveBeenCalledWith(expect.objectContaining({ actingParentId: 'parentId' }));
+    expect(event).toBe('finish');
+    expect(recordImpersonatedRequest).toHaveBeenCalledWith(mockReq.user, mockReq.token, mockReq, mockRes);
+    expect(setLastActivity).not.toHaveBeenCalled();
+    expect(mockNext).toHaveBeenCalledWith();
+  });
+
+  it('should reject an impersonation the parent can no longer use', async () => {
+    // Arrange
+    const invalidError = new HttpError({ status: 401, message: 'Invalid token!' });
+    mockReq.headers.authorization = 'Bearer impersonationToken';
+    mockRes.on = jest.fn();
+    verifyAccessToken.mockReturnValue({ userId: 'kidId', actingParentId: 'parentId', jti: 'tokenId', exp: 1 });
+    assertImpersonationActive.mockRejectedValueOnce(invalidError);
+
+    // Act
+    await auth(mockReq, mockRes, mockNext);
+
+    // Assert
+    expect(mockRes.on).not.toHaveBeenCalled();
+    expect(mockNext).toHaveBeenCalledWith(invalidError);
+  });
+
+  it('should reject kids blocked by parental controls', async () => {
+    // Arrange
+    const mockKid = { _id: 'kidId', role: 'kid' };
+    const blockedError = new HttpError({ status: 403, message: 'The app is not available right now!' });
+    mockReq.headers.authorization = 'Bearer kidToken';
+    verifyAccessToken.mockReturnValue({ userId: 'kidId' });
+    setLastActivity.mockResolvedValueOnce(mockKid);
+    enforceParentalControls.mockRejectedValueOnce(blockedError);
+
+    // Act
+    await auth(mockReq, mockRes, mockNext);
+
+    // Assert
+    expect(enforceParentalControls).toHaveBeenCalledWith(mockKid);
+    expect(mockNext).toHaveBeenCalledWith(blockedError);
+  });
+
+  it('should let kids outside their allowed time sign out', async () => {
+    // Arrange
+    mockReq.headers.authorization = 'Bearer kidToken';
+    verifyAccessToken.mockReturnValue({ userId: 'kidId' });
+    setLastActivity.mockResolvedValueOnce({ _id: 'kidId', role: 'kid' });
+
+    // Act
+    await authWithoutParentalControls(mockReq, mockRes, mockNext);
+
+    // Assert
+    expect(enforceParentalControls).not.toHaveBeenCalled();
+    expect(mockNext).toHaveBeenCalledWith();
+  });
+
   it('should throw an error when Authorization header is missing', async () => {
     // Act
     await auth(mockReq, mockRes, mockNext);
@@ -81,4 +159,30 @@ describe('Auth Middleware', () => {
       }),
     );
   });
+
+  it('should throw an error when the token has been revoked', async () => {
+    // Arrange
+    mockReq.headers.authorization = 'Bearer revokedToken';
+    verifyAccessToken.mockReturnValue({ userId: 'testUserId', jti: 'revokedJti' });
+    assertAccessTokenActive.mockRejectedValue(
+      new HttpError({
+        status: 401,
+        message: 'Invalid token!',
+        details: 'Token has been revoked.',
+      }),
+    );
+
+    // Act
+    await auth(mockReq, mockRes, mockNext);
+
+    // Assert
+    expect(assertAccessTokenActive).toHaveBeenCalledWith({ userId: 'testUserId', jti: 'revokedJti' });
+    expect(mockReq.user).toBeUndefined();
+    expect(mockNext).toHaveBeenCalledWith(
+      expect.objectContaining({
+        status: 401,
+        details: 'Token has been revoked.',
+      }),
+    );
+  });
 });
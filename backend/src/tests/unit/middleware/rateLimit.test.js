@@ -0,0 +1,76 @@
+import { rateLimit } from '../../../middleware/rateLimit.js';
+
+describe('Rate Limit Middleware', () => {
+  let mockReq;
+  let mockRes;
+  let mockNext;
+  let clientCounter = 0;
+
+  beforeAll(() => {
+    process.env.RATE_LIMIT_STORE = 'memory';
+    process.env.RATE_LIMIT_LOGIN_MAX = '2';
+  });
+
+  afterAll(() => {
+    delete process.env.RATE_LIMIT_LOGIN_MAX;
+  });
+
+  beforeEach(() => {
+    // Every test gets its own client so the counters do not leak between tests
+    clientCounter += 1;
+    mockReq = { ip: `10.0.0.${clientCounter}` };
+    mockRes = { set: jest.fn() };
+    mockNext = jest.fn();
+  });
+
+  it('should set rate limit headers and allow requests under the limit', async () => {
+    // Arrange
+    const limiter = rateLimit('login');
+
+    // Act
+    await limiter(mockReq, mockRes, mockNext);
+
+    // Assert
+    expect(mockRes.set).toHaveBeenCalledWith(
+      expect.objectContaining({
+        'RateLimit-Limit': '2',
+        'RateLimit-Remaining': '1',
+      }),
+    );
+    expect(mockNext).toHaveBeenCalledWith();
+  });
+
+  it('should reject requests over the limit with 429 and Retry-After', async () => {
+    // Arrange
+    const limiter = rateLimit('login');
+
+    // Act
+    await limiter(mockReq, mockRes, mockNext);
+    await limiter(mockReq, mockRes, mockNext);
+    await limiter(mockReq, mockRes, mockNext);
+
+    // Assert
+    expect(mockRes.set).toHaveBeenCalledWith('Retry-After', expect.any(String));
+    expect(mockNext).toHaveBeenLastCalledWith(
+      expect.objectContaining({
+        status: 429,
+        message: 'Too many requests! Please try again later.',
+      }),
+    );
+  });
+
+  it('should count authenticated users separately from their IP', async () => {
+    // Arrange
+    const limiter = rateLimit('fileProcess');
+    const firstKid = { ...mockReq, user: { userId: 'kid1' } };
+    const secondKid = { ...mockReq, user: { userId: 'kid2' } };
+
+    // Act
+    await limiter(firstKid, mockRes, mockNext);
+    await limiter(secondKid, mockRes, mockNext);
+
+    // Assert
+    expect(mockRes.set).toHaveBeenNthCalledWith(1, expect.objectContaining({ 'RateLimit-Remaining': '29' }));
+    expect(mockRes.set).toHaveBeenNthCalledWith(2, expect.objectContaining({ 'RateLimit-Remaining': '29' }));
+  });
+});
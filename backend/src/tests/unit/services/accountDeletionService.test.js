@@ -0,0 +1,240 @@
+import userModel from '../../../models/userModel.js';
+import fileModel from '../../../models/fileModel.js';
+import conversationModel from '../../../models/conversationModel.js';
+import messageModel from '../../../models/messageModel.js';
+import sessionModel from '../../../models/sessionModel.js';
+import dataExportModel from '../../../models/dataExportModel.js';
+import * as accountDeletionService from '../../../services/accountDeletionService.js';
+import * as emailService from '../../../services/emailService.js';
+import * as sessionService from '../../../services/sessionService.js';
+import * as storageService from '../../../services/storageService.js';
+import { hashToken } from '../../../utils/tokenHash.js';
+
+// Mock dependencies
+jest.mock('../../../models/userModel.js', () => ({
+  __esModule: true,
+  default: {
+    findById: jest.fn(),
+    findOne: jest.fn(),
+    findOneAndUpdate: jest.fn(),
+    find: jest.fn(),
+    updateMany: jest.fn(),
+    deleteOne: jest.fn(),
+  },
+}));
+jest.mock('../../../models/fileModel.js', () => ({
+  __esModule: true,
+  default: { find: jest.fn(), deleteMany: jest.fn() },
+}));
+jest.mock('../../../models/conversationModel.js', () => ({
+  __esModule: true,
+  default: { find: jest.fn(), deleteMany: jest.fn() },
+}));
+jest.mock('../../../models/messageModel.js', () => ({
+  __esModule: true,
+  default: { deleteMany: jest.fn() },
+}));
+jest.mock('../../../models/messageFlagModel.js', () => ({
+  __esModule: true,
+  default: { deleteMany: jest.fn() },
+}));
+jest.mock('../../../models/moderationEventModel.js', () => ({
+  __esModule: true,
+  default: { deleteMany: jest.fn() },
+}));
+jest.mock('../../../models/sessionModel.js', () => ({
+  __esModule: true,
+  default: { deleteMany: jest.fn() },
+}));
+jest.mock('../../../models/activityModel.js', () => ({
+  __esModule: true,
+  default: { deleteMany: jest.fn() },
+}));
+jest.mock('../../../models/usageModel.js', () => ({
+  __esModule: true,
+  default: { deleteMany: jest.fn() },
+}));
+jest.mock('../../../models/guardianInvitationModel.js', () => ({
+  __esModule: true,
+  default: { deleteMany: jest.fn() },
+}));
+jest.mock('../../../models/impersonationAuditModel.js', () => ({
+  __esModule: true,
+  default: { deleteMany: jest.fn() },
+}));
+jest.mock('../../../models/dataExportModel.js', () => ({
+  __esModule: true,
+  default: { find: jest.fn(), deleteMany: jest.fn() },
+}));
+jest.mock('../../../services/emailService.js');
+jest.mock('../../../services/sessionService.js');
+jest.mock('../../../services/storageService.js');
+
+describe('Account Deletion Service', () => {
+  const createMockUser = (overrides = {}) => ({
+    _id: 'userId',
+    role: 'parent',
+    email: 'parent@test.com',
+    password: 'hashedPassword',
+    tokenVersion: 0,
+    comparePassword: jest.fn().mockResolvedValue(true),
+    save: jest.fn(),
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('requestAccountDeletion', () => {
+    it('should schedule the parent and their kids for deletion and email a cancellation link', async () => {
+      // Arrange
+      const mockUser = createMockUser();
+      const mockKid = createMockUser({ _id: 'kidId', role: 'kid' });
+      userModel.findById.mockResolvedValueOnce(mockUser);
+      userModel.find.mockResolvedValueOnce([mockKid]);
+
+      // Act
+      const result = await accountDeletionService.requestAccountDeletion('userId', 'password');
+
+      // Assert
+      expect(mockUser.deletedAt).toBeInstanceOf(Date);
+      expect(mockUser.tokenVersion).toBe(1);
+      expect(result.scheduledDeletionAt.getTime() - mockUser.deletedAt.getTime()).toBe(30 * 24 * 60 * 60 * 1000);
+      expect(mockKid.deletedAt).toBe(mockUser.deletedAt);
+      expect(sessionService.revokeOtherSessions).toHaveBeenCalledWith('userId');
+      expect(sessionService.revokeOtherSessions).toHaveBeenCalledWith('kidId');
+
+      const { token } = emailService.sendAccountDeletionEmail.mock.calls[0][1];
+      expect(mockUser.deletionCancelToken).toBe(hashToken(token));
+    });
+
+    it('should throw an error when the password is incorrect', async () => {
+      // Arrange
+      const mockUser = createMockUser({ comparePassword: jest.fn().mockResolvedValue(false) });
+      userModel.findById.mockResolvedValueOnce(mockUser);
+
+      // Act & Assert
+      await expect(accountDeletionService.requestAccountDeletion('userId', 'wrong')).rejects.toThrow(
+        'Current password is incorrect!',
+      );
+      expect(mockUser.save).not.toHaveBeenCalled();
+    });
+
+    it('should restore the accounts when the cancellation email cannot be sent', async () => {
+      // Arrange
+      const mockUser = createMockUser();
+      const mockKid = createMockUser({ _id: 'kidId', role: 'kid' });
+      userModel.findById.mockResolvedValueOnce(mockUser);
+      userModel.find.mockResolvedValueOnce([mockKid]);
+      emailService.sendAccountDeletionEmail.mockRejectedValueOnce(new Error('SMTP error'));
+
+      // Act & Assert
+      await expect(accountDeletionService.requestAccountDeletion('userId', 'password')).rejects.toThrow('SMTP error');
+      expect(mockUser.deletedAt).toBeUndefined();
+      expect(mockUser.deletionCancelToken).toBeUndefined();
+      expect(mockKid.deletedAt).toBeUndefined();
+    });
+
+    it('should ask accounts without a password to confirm by email', async () => {
+      // Arrange
+      const mockUser = createMockUser({ password: undefined, generateDeletionConfirmToken: () => 'confirmToken' });
+      userModel.findById.mockResolvedValueOnce(mockUser);
+
+      // Act
+      const result = await accountDeletionService.requestAccountDeletion('userId');
+
+      // Assert
+      expect(result).toEqual({ confirmationRequired: true });
+      expect(emailService.sendAccountDeletionConfirmEmail).toHaveBeenCalledWith('parent@test.com', 'confirmToken');
+      expect(mockUser.deletedAt).toBeUndefined();
+    });
+
+    it('should not let kids delete their own account', async () => {
+      // Arrange
+      userModel.findById.mockResolvedValueOnce(createMockUser({ role: 'kid' }));
+
+      // Act & Assert
+      await expect(accountDeletionService.requestAccountDeletion('userId', 'password')).rejects.toThrow(
+        'Ask your parent to delete your account!',
+      );
+    });
+  });
+
+  describe('confirmAccountDeletion', () => {
+    it('should schedule the deletion once the emailed link is used', async () => {
+      // Arrange
+      const mockUser = createMockUser({ password: undefined });
+      userModel.findOneAndUpdate.mockResolvedValueOnce(mockUser);
+      userModel.find.mockResolvedValueOnce([]);
+
+      // Act
+      const result = await accountDeletionService.confirmAccountDeletion('confirmToken');
+
+      // Assert
+      expect(userModel.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ deletionConfirmToken: hashToken('confirmToken'), deletedAt: null }),
+        { $unset: { deletionConfirmToken: 1, deletionConfirmExpires: 1 } },
+        { new: true },
+      );
+      expect(result.scheduledDeletionAt).toBeInstanceOf(Date);
+      expect(mockUser.deletedAt).toBeInstanceOf(Date);
+    });
+  });
+
+  describe('cancelAccountDeletion', () => {
+    it('should restore the account and the kids deleted together with it', async () => {
+      // Arrange
+      const deletedAt = new Date();
+      const mockUser = createMockUser({ deletedAt, scheduledDeletionAt: new Date(), deletionCancelToken: 'hash' });
+      const mockKid = createMockUser({ _id: 'kidId', role: 'kid', deletedAt, scheduledDeletionAt: new Date() });
+      userModel.findOne.mockResolvedValueOnce(mockUser);
+      userModel.find.mockResolvedValueOnce([mockKid]);
+
+      // Act
+      await accountDeletionService.cancelAccountDeletion('token');
+
+      // Assert
+      expect(userModel.find).toHaveBeenCalledWith({ parent: 'userId', role: 'kid', deletedAt });
+      expect(mockUser.deletedAt).toBeUndefined();
+      expect(mockUser.deletionCancelToken).toBeUndefined();
+      expect(mockKid.scheduledDeletionAt).toBeUndefined();
+    });
+
+    it('should throw an error for an invalid or expired token', async () => {
+      // Arrange
+      userModel.findOne.mockResolvedValueOnce(null);
+
+      // Act & Assert
+      await expect(accountDeletionService.cancelAccountDeletion('token')).rejects.toThrow(
+        'Invalid or expired cancellation link!',
+      );
+    });
+  });
+
+  describe('purgeAccount', () => {
+    it('should delete the files, avatar, conversations and sessions of the user', async () => {
+      // Arrange
+      fileModel.find.mockReturnValueOnce({ lean: jest.fn().mockResolvedValue([{ key: 'files/homework.png' }]) });
+      conversationModel.find.mockReturnValueOnce({ lean: jest.fn().mockResolvedValue([{ _id: 'conversationId' }]) });
+      dataExportModel.find.mockReturnValueOnce({ lean: jest.fn().mockResolvedValue([{ key: 'exports/archive.zip' }]) });
+
+      // Act
+      await accountDeletionService.purgeAccount({
+        _id: 'userId',
+        imageUrl: 'https://bucket.s3.amazonaws.com/avatars/avatar.png',
+      });
+
+      // Assert
+      expect(storageService.deleteFileFromS3).toHaveBeenCalledWith('files/homework.png');
+      expect(storageService.deleteFileFromS3).toHaveBeenCalledWith('avatars/avatar.png');
+      expect(storageService.deleteFileFromS3).toHaveBeenCalledWith('exports/archive.zip');
+      expect(fileModel.deleteMany).toHaveBeenCalledWith({ owner: 'userId' });
+      expect(messageModel.deleteMany).toHaveBeenCalledWith({ conversation: { $in: ['conversationId'] } });
+      expect(sessionModel.deleteMany).toHaveBeenCalledWith({ user: 'userId' });
+      expect(userModel.updateMany).toHaveBeenCalledWith({ kids: 'userId' }, { $pull: { kids: 'userId' } });
+      expect(userModel.updateMany).toHaveBeenCalledWith({ guardians: 'userId' }, { $pull: { guardians: 'userId' } });
+      expect(userModel.deleteOne).toHaveBeenCalledWith({ _id: 'userId' });
+    });
+  });
+});
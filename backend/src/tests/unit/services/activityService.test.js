@@ -0,0 +1,101 @@
+import activityModel from '../../../models/activityModel.js';
+import userModel from '../../../models/userModel.js';
+import * as activityService from '../../../services/activityService.js';
+
+// Mock dependencies
+jest.mock('../../../models/activityModel.js', () => ({
+  __esModule: true,
+  default: {
+    create: jest.fn(),
+    find: jest.fn(),
+  },
+}));
+jest.mock('../../../models/userModel.js', () => ({
+  __esModule: true,
+  default: {
+    findById: jest.fn(),
+  },
+}));
+
+describe('Activity Service', () => {
+  const kidId = '507f1f77bcf86cd799439013';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getKidProgress', () => {
+    // Wednesday 2025-03-12 10:00 UTC
+    const now = new Date('2025-03-12T10:00:00.000Z');
+
+    const mockActivities = (dates) => {
+      activityModel.find.mockReturnValue({
+        select: () => ({ lean: jest.fn().mockResolvedValue(dates.map((date) => ({ created_at: new Date(date) }))) }),
+      });
+    };
+
+    beforeEach(() => {
+      jest.useFakeTimers({ now });
+      userModel.findById
+        .mockResolvedValueOnce({ _id: 'parentId', isParentOf: jest.fn().mockReturnValue(true) })
+        .mockReturnValueOnce({
+          lean: jest.fn().mockResolvedValue({ _id: kidId, role: 'kid', dailyTarget: 1, weeklyTarget: 4 }),
+        });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should compare today and this week with the targets and the previous week', async () => {
+      // Arrange
+      mockActivities([
+        '2025-03-05T09:00:00.000Z', // Previous week
+        '2025-03-10T09:00:00.000Z', // Monday
+        '2025-03-11T09:00:00.000Z', // Tuesday
+        '2025-03-12T08:00:00.000Z', // Today
+      ]);
+
+      // Act
+      const result = await activityService.getKidProgress('parentId', kidId, 0);
+
+      // Assert
+      expect(result.today).toEqual({ count: 1, target: 1, percent: 100 });
+      expect(result.week).toEqual({ count: 3, target: 4, percent: 75 });
+      expect(result.previousWeek).toEqual({ count: 1, change: 2 });
+      expect(result.streak).toEqual({ current: 3, longest: 3 });
+    });
+
+    it('should keep the current streak while today is still in progress', async () => {
+      // Arrange
+      mockActivities(['2025-03-09T09:00:00.000Z', '2025-03-11T09:00:00.000Z']);
+
+      // Act
+      const result = await activityService.getKidProgress('parentId', kidId, 0);
+
+      // Assert
+      expect(result.streak).toEqual({ current: 1, longest: 1 });
+    });
+
+    it('should count days in the caller timezone', async () => {
+      // Arrange
+      // 23:30 UTC on Tuesday is already Wednesday in UTC+2
+      mockActivities(['2025-03-11T23:30:00.000Z']);
+
+      // Act
+      const result = await activityService.getKidProgress('parentId', kidId, -120);
+
+      // Assert
+      expect(result.today.count).toBe(1);
+    });
+  });
+
+  describe('getKidProgress validation', () => {
+    it('should throw an error for an invalid timezone offset', async () => {
+      // Act & Assert
+      await expect(activityService.getKidProgress('parentId', kidId, 'abc')).rejects.toThrow(
+        'Invalid timezone offset!',
+      );
+    });
+  });
+});
@@ -1,8 +1,12 @@
 import userModel from '../../../models/userModel';
 import * as authService from '../../../services/authService.js';
-import { generateTokens } from '../../../utils/jwt.js';
 import * as emailService from '../../../services/emailService.js';
-import { verifyRefreshToken } from '../../../utils/jwt.js';
+import * as sessionService from '../../../services/sessionService.js';
+import * as accountDeletionService from '../../../services/accountDeletionService.js';
+import * as revocationService from '../../../services/revocationService.js';
+import { generateMfaToken, verifyMfaToken } from '../../../utils/jwt.js';
+import { hashToken } from '../../../utils/tokenHash.js';
+import HttpError from '../../../utils/httpError.js';
 
 // Mock mongoose
 jest.mock('mongoose', () => ({
@@ -27,12 +31,22 @@ jest.mock('../../../models/userModel.js', () => ({
     create: jest.fn(),
     find: jest.fn(),
     findByIdAndUpdate: jest.fn(),
+    findOneAndUpdate: jest.fn(),
+    consumeRecoveryCode: jest.fn(),
+    updateOne: jest.fn(),
+    deleteOne: jest.fn(),
+    updateMany: jest.fn(),
+    exists: jest.fn(),
     populate: jest.fn(),
     lean: jest.fn(),
   },
 }));
 jest.mock('../../../utils/jwt.js');
+jest.mock('../../../services/storageService.js');
 jest.mock('../../../services/emailService.js');
+jest.mock('../../../services/sessionService.js');
+jest.mock('../../../services/accountDeletionService.js');
+jest.mock('../../../services/revocationService.js');
 
 describe('Auth Service', () => {
   beforeEach(() => {
@@ -43,7 +57,7 @@ describe('Auth Service', () => {
     const mockUserData = {
       fullName: 'Test User',
       email: 'test@test.com',
-      password: '123456',
+      password: 'Str0ngPassw0rd',
     };
 
     it('should register a new user successfully', async () => {
@@ -69,6 +83,14 @@ describe('Auth Service', () => {
         authService.register(mockUserData.fullName, mockUserData.email, mockUserData.password),
       ).rejects.toThrow('Email already registered!');
     });
+
+    it('should throw an error when the password does not meet the policy', async () => {
+      // Act & Assert
+      await expect(authService.register(mockUserData.fullName, mockUserData.email, '123456')).rejects.toThrow(
+        'Password does not meet the requirements!',
+      );
+      expect(userModel.create).not.toHaveBeenCalled();
+    });
   });
 
   describe('login', () => {
@@ -86,8 +108,10 @@ describe('Auth Service', () => {
       refreshToken: 'mockRefreshToken',
     };
 
+    const mockClientInfo = { userAgent: 'Mozilla/5.0', ip: '127.0.0.1', deviceLabel: 'Chrome on Windows' };
+
     beforeEach(() => {
-      generateTokens.mockReturnValue(mockTokens);
+      sessionService.startSession.mockResolvedValue(mockTokens);
     });
 
     it('should log in user successfully', async () => {
@@ -96,13 +120,12 @@ describe('Auth Service', () => {
       mockUser.comparePassword.mockResolvedValue(true);
 
       // Act
-      const result = await authService.login(mockUser.email, 'password123');
+      const result = await authService.login(mockUser.email, 'password123', mockClientInfo);
 
       // Assert
       expect(userModel.findOne).toHaveBeenCalledWith({ email: mockUser.email });
       expect(mockUser.comparePassword).toHaveBeenCalledWith('password123');
-      expect(generateTokens).toHaveBeenCalledWith(mockUser._id);
-      expect(mockUser.save).toHaveBeenCalled();
+      expect(sessionService.startSession).toHaveBeenCalledWith(mockUser._id, mockClientInfo);
       expect(result).toEqual({
         user: mockUser,
         accessToken: mockTokens.accessToken,
@@ -110,6 +133,34 @@ describe('Auth Service', () => {
       });
     });
 
+    it('should return an MFA challenge instead of tokens when parent 2FA is enabled', async () => {
+      // Arrange
+      const mockParent = { ...mockUser, role: 'parent', twoFactor: { enabled: true } };
+      userModel.findOne.mockResolvedValue(mockParent);
+      mockUser.comparePassword.mockResolvedValue(true);
+      generateMfaToken.mockReturnValue('mockMfaToken');
+
+      // Act
+      const result = await authService.login(mockUser.email, 'password123', mockClientInfo);
+
+      // Assert
+      expect(generateMfaToken).toHaveBeenCalledWith(mockUser._id);
+      expect(sessionService.startSession).not.toHaveBeenCalled();
+      expect(result).toEqual({ user: mockParent, mfaRequired: true, mfaToken: 'mockMfaToken' });
+    });
+
+    it('should not log in a user whose account is scheduled for deletion', async () => {
+      // Arrange
+      userModel.findOne.mockResolvedValue({ ...mockUser, deletedAt: new Date() });
+      mockUser.comparePassword.mockResolvedValue(true);
+
+      // Act & Assert
+      await expect(authService.login(mockUser.email, 'password123', mockClientInfo)).rejects.toThrow(
+        'This account is scheduled for deletion!',
+      );
+      expect(sessionService.startSession).not.toHaveBeenCalled();
+    });
+
     it('should throw an error when invalid email is provided', async () => {
       // Arrange
       userModel.findOne.mockResolvedValue(null);
@@ -122,6 +173,7 @@ describe('Auth Service', () => {
       // Arrange
       userModel.findOne.mockResolvedValue(mockUser);
       mockUser.comparePassword.mockResolvedValue(false);
+      userModel.findOneAndUpdate.mockResolvedValueOnce({ loginAttempts: { count: 1 } });
 
       // Act & Assert
       await expect(authService.login(mockUser.email, 'wrongpassword')).rejects.toThrow('Invalid email or password!');
@@ -138,23 +190,377 @@ describe('Auth Service', () => {
     });
   });
 
-  describe('refresh', () => {
-    it('should refresh tokens successfully', async () => {
+  describe('verifyLoginMfa', () => {
+    const mockParent = {
+      _id: 'parentId',
+      role: 'parent',
+      twoFactor: { enabled: true },
+      verifyTwoFactorCode: jest.fn(),
+      save: jest.fn(),
+    };
+
+    it('should start a session when the authentication code is valid', async () => {
+      // Arrange
+      verifyMfaToken.mockReturnValue({ userId: 'parentId' });
+      userModel.findById.mockResolvedValue(mockParent);
+      mockParent.verifyTwoFactorCode.mockReturnValue(true);
+      sessionService.startSession.mockResolvedValue({ accessToken: 'access', refreshToken: 'refresh' });
+
+      // Act
+      const result = await authService.verifyLoginMfa('mfaToken', { code: '123456' }, {});
+
+      // Assert
+      expect(mockParent.verifyTwoFactorCode).toHaveBeenCalledWith('123456');
+      expect(revocationService.consumeMfaToken).toHaveBeenCalledWith({ userId: 'parentId' });
+      expect(mockParent.save).toHaveBeenCalled();
+      expect(result).toEqual({ user: mockParent, accessToken: 'access', refreshToken: 'refresh' });
+    });
+
+    it('should throw an error when the authentication code is invalid', async () => {
+      // Arrange
+      verifyMfaToken.mockReturnValue({ userId: 'parentId' });
+      userModel.findById.mockResolvedValue(mockParent);
+      mockParent.verifyTwoFactorCode.mockReturnValue(false);
+      userModel.findOneAndUpdate.mockResolvedValueOnce({ loginAttempts: { count: 1 } });
+
+      // Act & Assert
+      await expect(authService.verifyLoginMfa('mfaToken', { code: '000000' }, {})).rejects.toThrow(
+        'Invalid authentication code!',
+      );
+      expect(userModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'parentId' },
+        expect.objectContaining({ $inc: { 'loginAttempts.count': 1 } }),
+        expect.anything(),
+      );
+      expect(sessionService.startSession).not.toHaveBeenCalled();
+    });
+
+    it('should reject codes while the account is locked', async () => {
+      // Arrange
+      const lockedParent = { ...mockParent, loginAttempts: { count: 10, lockedUntil: new Date(Date.now() + 60000) } };
+      verifyMfaToken.mockReturnValue({ userId: 'parentId' });
+      userModel.findById.mockResolvedValue(lockedParent);
+
+      // Act & Assert
+      await expect(authService.verifyLoginMfa('mfaToken', { code: '123456' }, {})).rejects.toMatchObject({
+        status: 423,
+      });
+      expect(lockedParent.verifyTwoFactorCode).not.toHaveBeenCalled();
+    });
+
+    it('should not spend a recovery code when the MFA token was already used', async () => {
+      // Arrange
+      verifyMfaToken.mockReturnValue({ userId: 'parentId', jti: 'usedJti' });
+      userModel.findById.mockResolvedValue(mockParent);
+      revocationService.consumeMfaToken.mockRejectedValueOnce(
+        new HttpError({ status: 401, message: 'Invalid or expired MFA token!' }),
+      );
+
+      // Act & Assert
+      await expect(authService.verifyLoginMfa('mfaToken', { recoveryCode: 'ABCDE-FGHIJ' }, {})).rejects.toThrow(
+        'Invalid or expired MFA token!',
+      );
+      expect(userModel.consumeRecoveryCode).not.toHaveBeenCalled();
+      expect(sessionService.startSession).not.toHaveBeenCalled();
+    });
+
+    it('should reject a user scheduled for deletion', async () => {
+      // Arrange
+      verifyMfaToken.mockReturnValue({ userId: 'parentId' });
+      userModel.findById.mockResolvedValue({ ...mockParent, deletedAt: new Date() });
+
+      // Act & Assert
+      await expect(authService.verifyLoginMfa('mfaToken', { code: '123456' }, {})).rejects.toThrow(
+        'This account is scheduled for deletion!',
+      );
+      expect(revocationService.consumeMfaToken).not.toHaveBeenCalled();
+      expect(sessionService.startSession).not.toHaveBeenCalled();
+    });
+
+    it('should accept a recovery code and notify the user by email', async () => {
+      // Arrange
+      const mockParentWithCodes = { ...mockParent, email: 'parent@test.com' };
+      verifyMfaToken.mockReturnValue({ userId: 'parentId' });
+      userModel.findById.mockResolvedValue(mockParentWithCodes);
+      userModel.consumeRecoveryCode.mockResolvedValueOnce(9);
+      sessionService.startSession.mockResolvedValue({ accessToken: 'access', refreshToken: 'refresh' });
+      emailService.sendRecoveryCodeUsedEmail.mockResolvedValueOnce();
+
+      // Act
+      await authService.verifyLoginMfa('mfaToken', { recoveryCode: 'ABCDE-FGHIJ' }, {});
+
+      // Assert
+      expect(userModel.consumeRecoveryCode).toHaveBeenCalledWith(mockParent._id, 'ABCDE-FGHIJ');
+      expect(mockParentWithCodes.verifyTwoFactorCode).not.toHaveBeenCalled();
+      expect(emailService.sendRecoveryCodeUsedEmail).toHaveBeenCalledWith('parent@test.com', 9);
+      expect(sessionService.startSession).toHaveBeenCalled();
+    });
+
+    it('should not fail the login when the notification email cannot be sent', async () => {
+      // Arrange
+      verifyMfaToken.mockReturnValue({ userId: 'parentId' });
+      userModel.findById.mockResolvedValue(mockParent);
+      userModel.consumeRecoveryCode.mockResolvedValueOnce(9);
+      sessionService.startSession.mockResolvedValue({ accessToken: 'access', refreshToken: 'refresh' });
+      emailService.sendRecoveryCodeUsedEmail.mockRejectedValueOnce(new Error('SMTP error'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      // Act
+      const result = await authService.verifyLoginMfa('mfaToken', { recoveryCode: 'ABCDE-FGHIJ' }, {});
+      await new Promise(setImmediate);
+
+      // Assert
+      expect(result.accessToken).toBe('access');
+      console.error.mockRestore();
+    });
+
+    it('should throw an error when the recovery code was already used', async () => {
+      // Arrange
+      verifyMfaToken.mockReturnValue({ userId: 'parentId' });
+      userModel.findById.mockResolvedValue(mockParent);
+      userModel.consumeRecoveryCode.mockResolvedValueOnce(null);
+      userModel.findOneAndUpdate.mockResolvedValueOnce({ loginAttempts: { count: 1 } });
+
+      // Act & Assert
+      await expect(authService.verifyLoginMfa('mfaToken', { recoveryCode: 'USED1-CODE1' }, {})).rejects.toThrow(
+        'Invalid authentication code!',
+      );
+      expect(emailService.sendRecoveryCodeUsedEmail).not.toHaveBeenCalled();
+    });
+
+    it('should throw an error when the MFA token is expired', async () => {
+      // Arrange
+      verifyMfaToken.mockImplementation(() => {
+        throw new Error('jwt expired');
+      });
+
+      // Act & Assert
+      await expect(authService.verifyLoginMfa('expiredToken', { code: '123456' }, {})).rejects.toThrow(
+        'Invalid or expired MFA token!',
+      );
+    });
+  });
+
+  describe('regenerateRecoveryCodes', () => {
+    it('should throw an error when the current password is incorrect', async () => {
+      // Arrange
+      const mockParent = {
+        password: 'hashedPassword',
+        twoFactor: { enabled: true },
+        comparePassword: jest.fn().mockResolvedValue(false),
+        generateRecoveryCodes: jest.fn(),
+      };
+      userModel.findById.mockResolvedValue(mockParent);
+
+      // Act & Assert
+      await expect(authService.regenerateRecoveryCodes('parentId', 'wrongPassword')).rejects.toThrow(
+        'Current password is incorrect!',
+      );
+      expect(mockParent.generateRecoveryCodes).not.toHaveBeenCalled();
+    });
+
+    it('should return new recovery codes', async () => {
+      // Arrange
+      const mockParent = {
+        password: 'hashedPassword',
+        twoFactor: { enabled: true },
+        comparePassword: jest.fn().mockResolvedValue(true),
+        generateRecoveryCodes: jest.fn().mockReturnValue(['AAAAA-BBBBB']),
+        save: jest.fn(),
+      };
+      userModel.findById.mockResolvedValue(mockParent);
+
+      // Act
+      const result = await authService.regenerateRecoveryCodes('parentId', 'password');
+
+      // Assert
+      expect(result).toEqual({ recoveryCodes: ['AAAAA-BBBBB'] });
+      expect(mockParent.save).toHaveBeenCalled();
+    });
+  });
+
+  describe('requestMagicLink', () => {
+    it('should email a sign-in link to an existing user', async () => {
       // Arrange
-      const mockRefreshToken = 'validRefreshToken';
       const mockUser = {
-        _id: 'userId',
-        refreshToken: mockRefreshToken,
+        email: 'test@test.com',
+        generateMagicLinkToken: jest.fn().mockReturnValue('magicToken'),
         save: jest.fn(),
       };
+      userModel.findOne.mockResolvedValue(mockUser);
 
-      verifyRefreshToken.mockReturnValue({ userId: mockUser._id });
-      userModel.findById.mockResolvedValue(mockUser);
+      // Act
+      await authService.requestMagicLink('test@test.com');
+
+      // Assert
+      expect(mockUser.save).toHaveBeenCalled();
+      expect(emailService.sendMagicLinkEmail).toHaveBeenCalledWith('test@test.com', 'magicToken');
+    });
+
+    it('should not reveal whether the email is registered', async () => {
+      // Arrange
+      userModel.findOne.mockResolvedValue(null);
+
+      // Act & Assert
+      await expect(authService.requestMagicLink('unknown@test.com')).resolves.toBeUndefined();
+      expect(emailService.sendMagicLinkEmail).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('verifyMagicLink', () => {
+    it('should consume the token and sign the user in', async () => {
+      // Arrange
+      const mockUser = { _id: 'testId', role: 'parent', isEmailVerified: true, twoFactor: {}, loginAttempts: {} };
+      userModel.findOne.mockResolvedValueOnce(mockUser);
+      userModel.findOneAndUpdate.mockResolvedValue(mockUser);
+      sessionService.startSession.mockResolvedValue({ accessToken: 'accessToken', refreshToken: 'refreshToken' });
+
+      // Act
+      const result = await authService.verifyMagicLink('magicToken', {});
+
+      // Assert
+      expect(userModel.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ magicLinkToken: hashToken('magicToken') }),
+        { $unset: { magicLinkToken: 1, magicLinkExpires: 1 } },
+        { new: true },
+      );
+      expect(result).toEqual({ user: mockUser, accessToken: 'accessToken', refreshToken: 'refreshToken' });
+    });
+
+    it('should throw an error when the link is invalid, expired or already used', async () => {
+      // Arrange
+      userModel.findOne.mockResolvedValueOnce(null);
+
+      // Act & Assert
+      await expect(authService.verifyMagicLink('usedToken', {})).rejects.toThrow('Invalid or expired sign-in link!');
+      expect(sessionService.startSession).not.toHaveBeenCalled();
+    });
+
+    it('should keep the link usable when the account is locked', async () => {
+      // Arrange
+      userModel.findOne.mockResolvedValueOnce({
+        role: 'parent',
+        loginAttempts: { count: 10, lockedUntil: new Date(Date.now() + 60000) },
+      });
+
+      // Act & Assert
+      await expect(authService.verifyMagicLink('magicToken', {})).rejects.toMatchObject({ status: 423 });
+      expect(userModel.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('unlockAccount', () => {
+    it('should look up the unlock token by its digest', async () => {
+      // Arrange
+      const mockUser = { loginAttempts: { count: 10 }, accountUnlockToken: 'digest', save: jest.fn() };
+      userModel.findOne.mockResolvedValue(mockUser);
+
+      // Act
+      await authService.unlockAccount('unlockToken');
+
+      // Assert
+      expect(userModel.findOne).toHaveBeenCalledWith(
+        expect.objectContaining({ accountUnlockToken: hashToken('unlockToken') }),
+      );
+      expect(mockUser.loginAttempts.count).toBe(0);
+      expect(mockUser.accountUnlockToken).toBeUndefined();
+    });
+  });
+
+  describe('kidLogin', () => {
+    const mockParent = { _id: 'parentId', role: 'parent' };
+    const createMockKid = () => ({
+      _id: 'kidId',
+      role: 'kid',
+      loginAttempts: {},
+      compareKidPin: jest.fn(),
+      comparePictureSequence: jest.fn(),
+      save: jest.fn(),
+    });
+
+    it('should sign the kid in with the family code, username and PIN', async () => {
+      // Arrange
+      const mockKid = createMockKid();
+      mockKid.compareKidPin.mockResolvedValue(true);
+      userModel.findOne.mockResolvedValueOnce(mockParent).mockResolvedValueOnce(mockKid);
+      sessionService.startSession.mockResolvedValue({ accessToken: 'accessToken', refreshToken: 'refreshToken' });
 
       // Act
-      const result = await authService.refresh(mockRefreshToken);
+      const result = await authService.kidLogin(' k7px3m9a ', 'Ivan', { pin: '4071' }, {});
 
       // Assert
+      expect(userModel.findOne).toHaveBeenCalledWith({ familyCode: 'K7PX3M9A', role: 'parent' });
+      expect(userModel.findOne).toHaveBeenCalledWith({ parent: 'parentId', username: 'ivan', role: 'kid' });
+      expect(mockKid.compareKidPin).toHaveBeenCalledWith('4071');
+      expect(result).toEqual({ user: mockKid, accessToken: 'accessToken', refreshToken: 'refreshToken' });
+    });
+
+    it('should record a failed attempt when the picture sequence is wrong', async () => {
+      // Arrange
+      const mockKid = createMockKid();
+      mockKid.comparePictureSequence.mockResolvedValue(false);
+      userModel.findOne.mockResolvedValueOnce(mockParent).mockResolvedValueOnce(mockKid);
+      userModel.findOneAndUpdate.mockResolvedValueOnce({ loginAttempts: { count: 1 } });
+
+      // Act & Assert
+      await expect(
+        authService.kidLogin('K7PX3M9A', 'ivan', { pictureSequence: ['cat', 'sun', 'star'] }, {}),
+      ).rejects.toThrow('Invalid login details!');
+      expect(userModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: mockKid._id },
+        expect.objectContaining({ $inc: { 'loginAttempts.count': 1 } }),
+        expect.anything(),
+      );
+      expect(sessionService.startSession).not.toHaveBeenCalled();
+    });
+
+    it('should throw an error when the family code is unknown', async () => {
+      // Arrange
+      userModel.findOne.mockResolvedValue(null);
+
+      // Act & Assert
+      await expect(authService.kidLogin('UNKNOWN1', 'ivan', { pin: '4071' }, {})).rejects.toThrow(
+        'Invalid login details!',
+      );
+    });
+  });
+
+  describe('setKidLoginCredentials', () => {
+    const kidId = '507f1f77bcf86cd799439013';
+
+    it('should reject easy PINs and unknown pictures', async () => {
+      // Arrange
+      userModel.findById.mockResolvedValueOnce({ _id: 'parentId', isParentOf: jest.fn().mockReturnValue(true) });
+      userModel.findById.mockResolvedValueOnce({ _id: kidId, role: 'kid' });
+
+      // Act & Assert
+      await expect(
+        authService.setKidLoginCredentials('parentId', kidId, {
+          username: 'ivan',
+          pin: '1234',
+          pictureSequence: ['cat', 'unicorn', 'sun'],
+        }),
+      ).rejects.toMatchObject({
+        status: 400,
+        details: ['PIN is too easy to guess.', 'Picture sequence must contain 3 to 6 of the available pictures.'],
+      });
+    });
+  });
+
+  describe('refresh', () => {
+    it('should refresh tokens successfully', async () => {
+      // Arrange
+      const mockRefreshToken = 'validRefreshToken';
+      sessionService.rotateSession.mockResolvedValue({
+        accessToken: 'newAccessToken',
+        refreshToken: 'newRefreshToken',
+      });
+
+      // Act
+      const result = await authService.refresh(mockRefreshToken, {});
+
+      // Assert
+      expect(sessionService.rotateSession).toHaveBeenCalledWith(mockRefreshToken, {});
       expect(result).toHaveProperty('accessToken');
       expect(result).toHaveProperty('refreshToken');
     });
@@ -186,15 +592,14 @@ describe('Auth Service', () => {
   describe('logout', () => {
     it('should logout user successfully', async () => {
       // Arrange
-      const mockUser = { _id: 'testId', refreshToken: 'refreshToken', save: jest.fn() };
+      const mockUser = { _id: 'testId' };
       userModel.findById.mockResolvedValue(mockUser);
 
       // Act
-      await authService.logout('testId');
+      await authService.logout('testId', 'sessionId');
 
       // Assert
-      expect(mockUser.refreshToken).toBeNull();
-      expect(mockUser.save).toHaveBeenCalled();
+      expect(sessionService.endSession).toHaveBeenCalledWith('testId', 'sessionId');
     });
 
     it('should throw an error when user is not found', async () => {
@@ -286,20 +691,25 @@ describe('Auth Service', () => {
     const mockUser = {
       _id: 'testId',
       comparePassword: jest.fn(),
+      isRecentPassword: jest.fn(),
       save: jest.fn(),
     };
 
+    beforeEach(() => {
+      mockUser.isRecentPassword.mockResolvedValue(false);
+    });
+
     it('should change password successfully', async () => {
       // Arrange
       userModel.findById.mockResolvedValue(mockUser);
       mockUser.comparePassword.mockResolvedValue(true);
 
       // Act
-      const result = await authService.changePassword('testId', 'currentPassword', 'newPassword');
+      const result = await authService.changePassword('testId', 'currentPassword', 'N3wSecurePassword');
 
       // Assert
       expect(result).toBe(true);
-      expect(mockUser.password).toBe('newPassword');
+      expect(mockUser.password).toBe('N3wSecurePassword');
       expect(mockUser.save).toHaveBeenCalled();
     });
 
@@ -334,6 +744,20 @@ describe('Auth Service', () => {
         'New password must be different from the current one!',
       );
     });
+
+    it('should throw an error when the new password was used recently', async () => {
+      // Arrange
+      userModel.findById.mockResolvedValue(mockUser);
+      mockUser.comparePassword.mockResolvedValue(true);
+      mockUser.isRecentPassword.mockResolvedValue(true);
+
+      // Act & Assert
+      await expect(authService.changePassword('testId', 'currentPassword', 'Old-Passw0rd-2023')).rejects.toThrow(
+        'Password was used recently! Please choose a different one.',
+      );
+      expect(mockUser.isRecentPassword).toHaveBeenCalledWith('Old-Passw0rd-2023');
+      expect(mockUser.save).not.toHaveBeenCalled();
+    });
   });
 
   describe('updateProfile', () => {
@@ -484,11 +908,13 @@ describe('Auth Service', () => {
     const mockParent = {
       _id: 'parentId',
       comparePassword: jest.fn(),
+      isParentOf: jest.fn().mockReturnValue(true),
     };
 
     const mockKid = {
       _id: 'kidId',
       role: 'kid',
+      isRecentPassword: jest.fn().mockResolvedValue(false),
       save: jest.fn(),
     };
 
@@ -513,11 +939,13 @@ describe('Auth Service', () => {
     const mockParent = {
       _id: 'parentId',
       comparePassword: jest.fn(),
+      isParentOf: jest.fn().mockReturnValue(true),
     };
 
     const mockKid = {
       _id: 'kidId',
       role: 'kid',
+      isRecentPassword: jest.fn().mockResolvedValue(false),
       save: jest.fn(),
     };
 
@@ -537,6 +965,7 @@ describe('Auth Service', () => {
       expect(result).toBe(true);
       expect(mockKid.password).toBe('newKidPassword');
       expect(mockKid.save).toHaveBeenCalled();
+      expect(sessionService.revokeOtherSessions).toHaveBeenCalledWith('kidId');
     });
 
     it('should throw an error when parent is not found', async () => {
@@ -588,6 +1017,64 @@ describe('Auth Service', () => {
         authService.changeKidPassword('parentId', 'kidId', 'parentPassword', 'newKidPassword'),
       ).rejects.toThrow('Selected user is not a kid!');
     });
+
+    it('should throw an error when the kid belongs to another parent', async () => {
+      // Arrange
+      userModel.findById.mockImplementation((id) => {
+        if (id === 'parentId') return Promise.resolve({ ...mockParent, isParentOf: jest.fn().mockReturnValue(false) });
+        if (id === 'kidId') return Promise.resolve(mockKid);
+        return Promise.resolve(null);
+      });
+      mockParent.comparePassword.mockResolvedValue(true);
+
+      // Act & Assert
+      await expect(
+        authService.changeKidPassword('parentId', 'kidId', 'parentPassword', 'newKidPassword'),
+      ).rejects.toThrow('Access denied! You can only manage your own kids.');
+      expect(mockKid.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deleteKid', () => {
+    const kidId = '507f1f77bcf86cd799439013';
+    const mockParent = { _id: 'parentId', isParentOf: jest.fn().mockReturnValue(true) };
+
+    it('should schedule the kid account for deletion', async () => {
+      // Arrange
+      const scheduledDeletionAt = new Date('2025-04-01T00:00:00.000Z');
+      const mockKid = { _id: kidId, role: 'kid', parent: { equals: (id) => id === 'parentId' } };
+      userModel.findById.mockResolvedValueOnce(mockParent).mockResolvedValueOnce(mockKid);
+      accountDeletionService.scheduleDeletion.mockResolvedValueOnce(scheduledDeletionAt);
+
+      // Act
+      const result = await authService.deleteKid('parentId', kidId);
+
+      // Assert
+      expect(result).toEqual({ scheduledDeletionAt });
+      expect(accountDeletionService.scheduleDeletion).toHaveBeenCalledWith(mockKid);
+    });
+
+    it('should throw an error when the kid belongs to another parent', async () => {
+      // Arrange
+      userModel.findById.mockResolvedValueOnce({ _id: 'parentId', isParentOf: jest.fn().mockReturnValue(false) });
+
+      // Act & Assert
+      await expect(authService.deleteKid('parentId', kidId)).rejects.toThrow(
+        'Access denied! You can only manage your own kids.',
+      );
+      expect(accountDeletionService.scheduleDeletion).not.toHaveBeenCalled();
+    });
+
+    it('should throw an error when the kid is already scheduled for deletion', async () => {
+      // Arrange
+      const mockKid = { _id: kidId, role: 'kid', parent: { equals: () => true }, deletedAt: new Date() };
+      userModel.findById.mockResolvedValueOnce(mockParent).mockResolvedValueOnce(mockKid);
+
+      // Act & Assert
+      await expect(authService.deleteKid('parentId', kidId)).rejects.toThrow(
+        'Kid account is already scheduled for deletion!',
+      );
+    });
   });
 
   describe('updateParentProfile', () => {
@@ -819,7 +1306,7 @@ describe('Auth Service', () => {
     const mockKidData = {
       fullName: 'Kid Name',
       email: 'kid@test.com',
-      password: 'kidPassword',
+      password: 'Rocket7',
       city: 'Kid City',
       years: 8,
       parent: mockParentId,
@@ -863,6 +1350,19 @@ describe('Auth Service', () => {
       await expect(authService.createKid(mockKidData)).rejects.toThrow('Email already registered!');
     });
 
+    it('should create a kid without a password for PIN or picture login', async () => {
+      // Arrange
+      const kidDataWithoutPassword = { ...mockKidData, password: undefined };
+      userModel.findOne.mockResolvedValue(null);
+      userModel.create.mockResolvedValue({ ...kidDataWithoutPassword, _id: 'kidId', role: 'kid' });
+
+      // Act
+      await authService.createKid(kidDataWithoutPassword);
+
+      // Assert
+      expect(userModel.create).toHaveBeenCalledWith(expect.objectContaining({ password: expect.any(String) }));
+    });
+
     it('should throw an error when age is invalid', async () => {
       // Arrange
       userModel.findOne.mockResolvedValue(null);
@@ -0,0 +1,87 @@
+import messageModel from '../../../models/messageModel.js';
+import userModel from '../../../models/userModel.js';
+import * as conversationExportService from '../../../services/conversationExportService.js';
+import { findAccessibleConversation } from '../../../services/conversationService.js';
+
+// Mock dependencies
+jest.mock('../../../models/messageModel.js', () => ({
+  __esModule: true,
+  default: { find: jest.fn() },
+}));
+jest.mock('../../../models/userModel.js', () => ({
+  __esModule: true,
+  default: { findById: jest.fn() },
+}));
+jest.mock('../../../services/conversationService.js', () => ({
+  findAccessibleConversation: jest.fn(),
+}));
+
+describe('Conversation Export Service', () => {
+  const conversationId = '507f1f77bcf86cd799439020';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    findAccessibleConversation.mockResolvedValue({ _id: conversationId, owner: 'kidId', title: 'Дроби' });
+    userModel.findById.mockReturnValue({ lean: jest.fn().mockResolvedValue({ fullName: 'Мария' }) });
+    messageModel.find.mockReturnValue({
+      sort: () => ({
+        lean: jest.fn().mockResolvedValue([
+          {
+            role: 'user',
+            content: [{ type: 'text', text: 'Как се събират дроби?' }],
+            created_at: new Date('2025-03-12T08:00:00.000Z'),
+          },
+          {
+            role: 'assistant',
+            content: [{ type: 'text', text: 'Първо намираме общ знаменател.' }],
+            created_at: new Date('2025-03-12T08:01:00.000Z'),
+          },
+        ]),
+      }),
+    });
+  });
+
+  it('should render the messages in order with labels and local times as Markdown', async () => {
+    // Act
+    const result = await conversationExportService.exportConversation('parentId', conversationId, {
+      format: 'md',
+      timezoneOffset: -120,
+    });
+
+    // Assert
+    expect(findAccessibleConversation).toHaveBeenCalledWith('parentId', conversationId);
+    expect(result.fileName).toBe(`lexi-conversation-${conversationId}.md`);
+    expect(result.body).toContain('# Дроби');
+    expect(result.body).toContain('**Мария** · 12.03.2025 10:00\n\nКак се събират дроби?');
+    expect(result.body.indexOf('**Мария**')).toBeLessThan(result.body.indexOf('**Lexi** · 12.03.2025 10:01'));
+  });
+
+  it('should produce a PDF with an embedded Unicode font', async () => {
+    // Act
+    const result = await conversationExportService.exportConversation('parentId', conversationId, { format: 'pdf' });
+
+    // Assert
+    expect(result.contentType).toBe('application/pdf');
+    expect(result.body.subarray(0, 5).toString()).toBe('%PDF-');
+    expect(result.body.toString('latin1')).toContain('DejaVuSans');
+  });
+
+  it.each(['docx', 'constructor', 'toString'])('should reject the unknown format "%s"', async (format) => {
+    // Act & Assert
+    await expect(conversationExportService.exportConversation('parentId', conversationId, { format })).rejects.toThrow(
+      'Invalid export format!',
+    );
+    expect(findAccessibleConversation).not.toHaveBeenCalled();
+  });
+
+  it('should fail instead of producing an unreadable PDF when the font is missing', async () => {
+    // Arrange
+    process.env.PDF_FONT_PATH = '/missing/DejaVuSans.ttf';
+
+    // Act & Assert
+    await expect(
+      conversationExportService.exportConversation('parentId', conversationId, { format: 'pdf' }),
+    ).rejects.toThrow('PDF export is not available!');
+    delete process.env.PDF_FONT_PATH;
+  });
+});
@@ -0,0 +1,232 @@
+import conversationModel from '../../../models/conversationModel.js';
+import messageModel from '../../../models/messageModel.js';
+import messageFlagModel from '../../../models/messageFlagModel.js';
+import userModel from '../../../models/userModel.js';
+import * as conversationService from '../../../services/conversationService.js';
+
+// Mock dependencies
+jest.mock('../../../models/conversationModel.js', () => ({
+  __esModule: true,
+  default: {
+    create: jest.fn(),
+    exists: jest.fn(),
+    find: jest.fn(),
+    findById: jest.fn(),
+    findByIdAndUpdate: jest.fn(),
+    deleteOne: jest.fn(),
+  },
+}));
+jest.mock('../../../models/messageModel.js', () => ({
+  __esModule: true,
+  default: { find: jest.fn(), findOneAndUpdate: jest.fn(), deleteMany: jest.fn(), countDocuments: jest.fn() },
+}));
+jest.mock('../../../models/messageFlagModel.js', () => ({
+  __esModule: true,
+  default: { deleteMany: jest.fn() },
+}));
+jest.mock('../../../models/userModel.js', () => ({
+  __esModule: true,
+  default: { findById: jest.fn() },
+}));
+
+describe('Conversation Service', () => {
+  const kidId = '507f1f77bcf86cd799439013';
+  const conversationId = '507f1f77bcf86cd799439020';
+  const mockConversation = { _id: conversationId, owner: kidId, title: 'Математика' };
+
+  const createMockQuery = (items) => {
+    const query = {
+      where: jest.fn().mockReturnThis(),
+      sort: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockReturnThis(),
+      lean: jest.fn().mockResolvedValue(items),
+    };
+    return query;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('findAccessibleConversation', () => {
+    it('should let a parent open the conversation of their kid', async () => {
+      // Arrange
+      conversationModel.findById.mockReturnValueOnce({ lean: jest.fn().mockResolvedValue(mockConversation) });
+      userModel.findById.mockResolvedValueOnce({ isParentOf: jest.fn().mockReturnValue(true) });
+
+      // Act
+      const result = await conversationService.findAccessibleConversation('parentId', conversationId);
+
+      // Assert
+      expect(result).toEqual(mockConversation);
+    });
+
+    it('should hide conversations of other users', async () => {
+      // Arrange
+      conversationModel.findById.mockReturnValueOnce({ lean: jest.fn().mockResolvedValue(mockConversation) });
+      userModel.findById.mockResolvedValueOnce({ isParentOf: jest.fn().mockReturnValue(false) });
+
+      // Act & Assert
+      await expect(conversationService.findAccessibleConversation('otherId', conversationId)).rejects.toThrow(
+        'Conversation not found!',
+      );
+    });
+  });
+
+  describe('listMessages', () => {
+    it('should return the newest page oldest first with a cursor to the older messages', async () => {
+      // Arrange
+      const query = createMockQuery([{ _id: 'm3' }, { _id: 'm2' }, { _id: 'm1' }]);
+      conversationModel.findById.mockReturnValueOnce({ lean: jest.fn().mockResolvedValue(mockConversation) });
+      messageModel.find.mockReturnValueOnce(query);
+
+      // Act
+      const result = await conversationService.listMessages(kidId, conversationId, { limit: 2 });
+
+      // Assert
+      expect(query.sort).toHaveBeenCalledWith({ _id: -1 });
+      expect(query.limit).toHaveBeenCalledWith(3);
+      expect(result).toEqual({ messages: [{ _id: 'm2' }, { _id: 'm3' }], nextCursor: 'm2' });
+    });
+
+    it('should continue after the cursor', async () => {
+      // Arrange
+      const cursor = '507f1f77bcf86cd799439030';
+      const query = createMockQuery([{ _id: 'm1' }]);
+      conversationModel.findById.mockReturnValueOnce({ lean: jest.fn().mockResolvedValue(mockConversation) });
+      messageModel.find.mockReturnValueOnce(query);
+
+      // Act
+      const result = await conversationService.listMessages(kidId, conversationId, { limit: 2, cursor });
+
+      // Assert
+      expect(query.where).toHaveBeenCalledWith({ _id: { $lt: cursor } });
+      expect(result).toEqual({ messages: [{ _id: 'm1' }], nextCursor: null });
+    });
+  });
+
+  describe('deleteConversation', () => {
+    it('should delete the conversation together with its messages and flags', async () => {
+      // Arrange
+      conversationModel.exists.mockResolvedValueOnce({ _id: conversationId });
+
+      // Act
+      await conversationService.deleteConversation(kidId, conversationId);
+
+      // Assert
+      expect(messageModel.deleteMany).toHaveBeenCalledWith({ conversation: conversationId });
+      expect(messageFlagModel.deleteMany).toHaveBeenCalledWith({ conversation: conversationId });
+      expect(conversationModel.deleteOne).toHaveBeenCalledWith({ _id: conversationId });
+    });
+
+    it('should not let a parent delete the conversation of their kid', async () => {
+      // Arrange
+      conversationModel.exists.mockResolvedValueOnce(null);
+
+      // Act & Assert
+      await expect(conversationService.deleteConversation('parentId', conversationId)).rejects.toThrow(
+        'Conversation not found!',
+      );
+      expect(conversationModel.exists).toHaveBeenCalledWith({ _id: conversationId, owner: 'parentId' });
+      expect(messageModel.deleteMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('renameConversation', () => {
+    it('should not let a parent rename the conversation of their kid', async () => {
+      // Arrange
+      conversationModel.exists.mockResolvedValueOnce(null);
+
+      // Act & Assert
+      await expect(conversationService.renameConversation('parentId', conversationId, 'Друго')).rejects.toThrow(
+        'Conversation not found!',
+      );
+      expect(conversationModel.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('replaceReply', () => {
+    it('should only replace the reply with the original text', async () => {
+      // Act
+      await conversationService.replaceReply(conversationId, 'Непроверен отговор', '***');
+
+      // Assert
+      expect(messageModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { conversation: conversationId, role: 'assistant', 'content.text': 'Непроверен отговор' },
+        { content: [{ type: 'text', text: '***' }] },
+        { sort: { _id: -1 } },
+      );
+    });
+  });
+
+  describe('assertOwnConversation', () => {
+    it('should reject a conversation that belongs to someone else', async () => {
+      // Arrange
+      conversationModel.exists.mockResolvedValueOnce(null);
+
+      // Act & Assert
+      await expect(conversationService.assertOwnConversation(kidId, conversationId)).rejects.toThrow(
+        'Conversation not found!',
+      );
+      expect(conversationModel.exists).toHaveBeenCalledWith({ _id: conversationId, owner: kidId });
+    });
+  });
+
+  describe('searchMessages', () => {
+    it('should search the conversations of the parent and their kids and return snippets', async () => {
+      // Arrange
+      const query = {
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        populate: jest.fn().mockReturnThis(),
+        lean: jest
+          .fn()
+          .mockResolvedValue([
+            { _id: 'm1', role: 'assistant', content: [{ type: 'text', text: 'Дроби с общ знаменател.' }] },
+          ]),
+      };
+      userModel.findById.mockReturnValueOnce({
+        lean: jest.fn().mockResolvedValue({ _id: 'parentId', role: 'parent', kids: [kidId] }),
+      });
+      conversationModel.find.mockReturnValueOnce({ lean: jest.fn().mockResolvedValue([{ _id: conversationId }]) });
+      messageModel.find.mockReturnValueOnce(query);
+      messageModel.countDocuments.mockResolvedValueOnce(1);
+
+      // Act
+      const result = await conversationService.searchMessages('parentId', {
+        query: 'дроби',
+        role: 'assistant',
+        to: '2025-03-31',
+      });
+
+      // Assert
+      expect(conversationModel.find).toHaveBeenCalledWith({ owner: { $in: ['parentId', kidId] } }, { _id: 1 });
+      expect(messageModel.countDocuments).toHaveBeenCalledWith({
+        $text: { $search: 'дроби' },
+        conversation: { $in: [conversationId] },
+        role: 'assistant',
+        created_at: { $lte: new Date('2025-03-31T23:59:59.999Z') },
+      });
+      expect(result).toEqual({
+        results: [
+          {
+            _id: 'm1',
+            role: 'assistant',
+            snippets: [{ text: 'Дроби с общ знаменател.', highlights: [{ start: 0, end: 5 }] }],
+          },
+        ],
+        page: 1,
+        limit: 20,
+        total: 1,
+        hasMore: false,
+      });
+    });
+
+    it('should reject an empty query', async () => {
+      // Act & Assert
+      await expect(conversationService.searchMessages(kidId, { query: '  ' })).rejects.toThrow('Invalid search query!');
+      expect(messageModel.find).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,199 @@
+import { Readable } from 'stream';
+import dataExportModel from '../../../models/dataExportModel.js';
+import userModel from '../../../models/userModel.js';
+import fileModel from '../../../models/fileModel.js';
+import conversationModel from '../../../models/conversationModel.js';
+import messageModel from '../../../models/messageModel.js';
+import * as dataExportService from '../../../services/dataExportService.js';
+import * as emailService from '../../../services/emailService.js';
+import * as storageService from '../../../services/storageService.js';
+
+// Mock dependencies
+jest.mock('../../../models/dataExportModel.js', () => ({
+  __esModule: true,
+  default: {
+    create: jest.fn(),
+    exists: jest.fn(),
+    findOne: jest.fn(),
+    findOneAndUpdate: jest.fn(),
+  },
+}));
+jest.mock('../../../models/userModel.js', () => ({
+  __esModule: true,
+  default: { findById: jest.fn(), find: jest.fn() },
+}));
+jest.mock('../../../models/fileModel.js', () => ({
+  __esModule: true,
+  default: { find: jest.fn() },
+}));
+jest.mock('../../../models/conversationModel.js', () => ({
+  __esModule: true,
+  default: { find: jest.fn() },
+}));
+jest.mock('../../../models/messageModel.js', () => ({
+  __esModule: true,
+  default: { find: jest.fn() },
+}));
+jest.mock('../../../services/emailService.js');
+jest.mock('../../../services/storageService.js');
+
+describe('Data Export Service', () => {
+  const exportId = '507f1f77bcf86cd799439015';
+
+  const mockLean = (result) => ({ lean: jest.fn().mockResolvedValue(result) });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('requestDataExport', () => {
+    it('should not start a second export while one is in progress', async () => {
+      // Arrange
+      userModel.findById.mockReturnValueOnce(mockLean({ _id: 'userId', role: 'parent' }));
+      dataExportModel.exists.mockResolvedValueOnce({ _id: exportId });
+
+      // Act & Assert
+      await expect(dataExportService.requestDataExport('userId')).rejects.toThrow(
+        'A data export is already in progress!',
+      );
+      expect(dataExportModel.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('processDataExport', () => {
+    it('should upload a ZIP with the user data and email the download link', async () => {
+      // Arrange
+      const mockExport = { _id: exportId, user: 'userId', status: 'processing', save: jest.fn() };
+      const uploadedChunks = [];
+      dataExportModel.findOneAndUpdate.mockResolvedValueOnce(mockExport);
+      userModel.findById.mockReturnValueOnce(mockLean({ _id: 'userId', role: 'kid', email: 'user@test.com' }));
+      fileModel.find.mockReturnValueOnce(mockLean([{ key: 'files/uuid_homework.txt', fileName: 'homework.txt' }]));
+      conversationModel.find.mockReturnValueOnce(mockLean([]));
+      messageModel.find.mockReturnValueOnce({ sort: () => mockLean([]) });
+      storageService.getFileStreamFromS3.mockResolvedValueOnce(Readable.from([Buffer.from('my homework')]));
+      storageService.uploadStreamToS3.mockImplementationOnce(async (stream) => {
+        for await (const chunk of stream) uploadedChunks.push(chunk);
+        return { Key: 'exports/uuid_lexi-magic-export.zip' };
+      });
+      storageService.getS3Url.mockResolvedValueOnce('https://download.url');
+
+      // Act
+      await dataExportService.processDataExport(exportId);
+
+      // Assert
+      const zip = Buffer.concat(uploadedChunks).toString('latin1');
+      expect(zip.startsWith('PK')).toBe(true);
+      expect(zip).toContain('profile.json');
+      expect(zip).toContain('files/uuid_homework.txt');
+      expect(zip).toContain('conversations.json');
+      expect(mockExport.status).toBe('completed');
+      expect(mockExport.key).toBe('exports/uuid_lexi-magic-export.zip');
+      expect(emailService.sendDataExportEmail).toHaveBeenCalledWith('user@test.com', {
+        downloadUrl: 'https://download.url',
+        expiresAt: mockExport.expiresAt,
+      });
+    });
+
+    it('should only open the next file download once the previous file is in the archive', async () => {
+      // Arrange
+      let openDownloads = 0;
+      let maxOpenDownloads = 0;
+      const mockExport = { _id: exportId, user: 'userId', status: 'processing', save: jest.fn() };
+      dataExportModel.findOneAndUpdate.mockResolvedValueOnce(mockExport);
+      userModel.findById.mockReturnValueOnce(mockLean({ _id: 'userId', role: 'kid', email: 'user@test.com' }));
+      fileModel.find.mockReturnValueOnce(mockLean([{ key: 'files/uuid_a.txt' }, { key: 'files/uuid_b.txt' }]));
+      conversationModel.find.mockReturnValueOnce(mockLean([]));
+      messageModel.find.mockReturnValueOnce({ sort: () => mockLean([]) });
+      storageService.getFileStreamFromS3.mockImplementation(async () => {
+        openDownloads += 1;
+        maxOpenDownloads = Math.max(maxOpenDownloads, openDownloads);
+        return Readable.from([Buffer.from('content')]).on('end', () => {
+          openDownloads -= 1;
+        });
+      });
+      storageService.uploadStreamToS3.mockImplementationOnce(async (stream) => {
+        await new Promise((resolve) => stream.on('end', resolve).resume());
+        return { Key: 'exports/uuid_lexi-magic-export.zip' };
+      });
+
+      // Act
+      await dataExportService.processDataExport(exportId);
+
+      // Assert
+      expect(storageService.getFileStreamFromS3).toHaveBeenCalledTimes(2);
+      expect(maxOpenDownloads).toBe(1);
+      expect(mockExport.status).toBe('completed');
+    });
+
+    it('should mark the export as failed when a file cannot be read', async () => {
+      // Arrange
+      const mockExport = { _id: exportId, user: 'userId', status: 'processing', save: jest.fn() };
+      dataExportModel.findOneAndUpdate.mockResolvedValueOnce(mockExport);
+      userModel.findById.mockReturnValueOnce(mockLean({ _id: 'userId', role: 'kid', email: 'user@test.com' }));
+      fileModel.find.mockReturnValueOnce(mockLean([{ key: 'files/uuid_homework.txt' }]));
+      storageService.getFileStreamFromS3.mockRejectedValueOnce(new Error('Cloud download error!'));
+      storageService.uploadStreamToS3.mockImplementationOnce(async (stream) => {
+        await new Promise((resolve) => stream.on('end', resolve).resume());
+        return { Key: 'exports/partial.zip' };
+      });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      // Act
+      await dataExportService.processDataExport(exportId);
+
+      // Assert
+      expect(mockExport.status).toBe('failed');
+      expect(storageService.deleteFileFromS3).toHaveBeenCalledWith('exports/partial.zip');
+      expect(emailService.sendDataExportEmail).not.toHaveBeenCalled();
+      console.error.mockRestore();
+    });
+
+    it('should delete the uploaded archive when the email cannot be sent', async () => {
+      // Arrange
+      const mockExport = { _id: exportId, user: 'userId', status: 'processing', save: jest.fn() };
+      dataExportModel.findOneAndUpdate.mockResolvedValueOnce(mockExport);
+      userModel.findById.mockReturnValueOnce(mockLean({ _id: 'userId', role: 'kid', email: 'user@test.com' }));
+      fileModel.find.mockReturnValueOnce(mockLean([]));
+      conversationModel.find.mockReturnValueOnce(mockLean([]));
+      messageModel.find.mockReturnValueOnce({ sort: () => mockLean([]) });
+      storageService.uploadStreamToS3.mockImplementationOnce(async (stream) => {
+        await new Promise((resolve) => stream.on('end', resolve).resume());
+        return { Key: 'exports/uuid_lexi-magic-export.zip' };
+      });
+      emailService.sendDataExportEmail.mockRejectedValueOnce(new Error('SMTP error'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      // Act
+      await dataExportService.processDataExport(exportId);
+
+      // Assert
+      expect(mockExport.status).toBe('failed');
+      expect(storageService.deleteFileFromS3).toHaveBeenCalledWith('exports/uuid_lexi-magic-export.zip');
+      expect(mockExport.key).toBeUndefined();
+      console.error.mockRestore();
+    });
+  });
+
+  describe('getDataExportStatus', () => {
+    it('should return a fresh download link for a completed export', async () => {
+      // Arrange
+      dataExportModel.findOne.mockReturnValueOnce(
+        mockLean({
+          _id: exportId,
+          status: 'completed',
+          key: 'exports/archive.zip',
+          expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+        }),
+      );
+      storageService.getS3Url.mockResolvedValueOnce('https://download.url');
+
+      // Act
+      const result = await dataExportService.getDataExportStatus('userId', exportId);
+
+      // Assert
+      expect(dataExportModel.findOne).toHaveBeenCalledWith({ _id: exportId, user: 'userId' }, { user: 0, __v: 0 });
+      expect(result.downloadUrl).toBe('https://download.url');
+      expect(result.key).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,177 @@
+import activityModel from '../../../models/activityModel.js';
+import usageModel from '../../../models/usageModel.js';
+import userModel from '../../../models/userModel.js';
+import * as emailService from '../../../services/emailService.js';
+import * as digestService from '../../../services/digestService.js';
+
+// Mock dependencies
+jest.mock('../../../models/activityModel.js', () => ({
+  __esModule: true,
+  default: {
+    find: jest.fn(),
+  },
+}));
+jest.mock('../../../models/usageModel.js', () => ({
+  __esModule: true,
+  default: {
+    find: jest.fn(),
+  },
+}));
+jest.mock('../../../models/userModel.js', () => ({
+  __esModule: true,
+  default: {
+    find: jest.fn(),
+    updateOne: jest.fn(),
+  },
+}));
+jest.mock('../../../services/emailService.js', () => ({
+  sendWeeklyDigestEmail: jest.fn(),
+}));
+
+describe('Digest Service', () => {
+  const parent = {
+    _id: 'parentId',
+    email: 'parent@example.com',
+    fullName: 'Test Parent',
+    kids: ['kidId'],
+    timezoneOffset: -120,
+  };
+  const kid = {
+    _id: 'kidId',
+    fullName: 'Test Kid',
+    dailyTarget: 1,
+    weeklyTarget: 4,
+    parentalControls: { timezoneOffset: -120 },
+  };
+
+  const mockQuery = (model, result) => {
+    model.find.mockReturnValueOnce({
+      select: () => ({ lean: jest.fn().mockResolvedValue(result) }),
+      lean: jest.fn().mockResolvedValue(result),
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    console.error.mockRestore();
+  });
+
+  describe('sendWeeklyDigests', () => {
+    it('should not send anything when it is not Monday for the parent', async () => {
+      // Arrange - Sunday 23:00 in UTC, but not yet Monday for a parent in UTC-5
+      jest.useFakeTimers({ now: new Date('2025-03-16T23:00:00.000Z') });
+      mockQuery(userModel, [{ ...parent, timezoneOffset: 300 }]);
+
+      // Act
+      const sent = await digestService.sendWeeklyDigests();
+
+      // Assert
+      expect(sent).toBe(0);
+      expect(userModel.updateOne).not.toHaveBeenCalled();
+      expect(emailService.sendWeeklyDigestEmail).not.toHaveBeenCalled();
+    });
+
+    it('should email the previous week summary of every kid on Monday', async () => {
+      // Arrange - Monday 08:00 in UTC+2
+      jest.useFakeTimers({ now: new Date('2025-03-17T06:00:00.000Z') });
+      mockQuery(userModel, [parent]);
+      userModel.updateOne.mockResolvedValueOnce({ modifiedCount: 1 });
+      mockQuery(userModel, [kid]);
+      mockQuery(activityModel, [
+        { type: 'homework', created_at: new Date('2025-03-10T08:00:00.000Z') },
+        { type: 'homework', created_at: new Date('2025-03-10T09:00:00.000Z') },
+        { type: 'reading', created_at: new Date('2025-03-12T15:00:00.000Z') },
+      ]);
+      mockQuery(usageModel, [{ minutes: 20 }, { minutes: 15.4 }]);
+
+      // Act
+      const sent = await digestService.sendWeeklyDigests();
+
+      // Assert
+      expect(sent).toBe(1);
+      expect(activityModel.find).toHaveBeenCalledWith({
+        user: 'kidId',
+        created_at: { $gte: new Date('2025-03-09T22:00:00.000Z'), $lt: new Date('2025-03-16T22:00:00.000Z') },
+      });
+      expect(usageModel.find).toHaveBeenCalledWith({ user: 'kidId', date: { $gte: '2025-03-10', $lt: '2025-03-17' } });
+      expect(emailService.sendWeeklyDigestEmail).toHaveBeenCalledWith('parent@example.com', {
+        parentName: 'Test Parent',
+        weekStart: '2025-03-10',
+        weekEnd: '2025-03-16',
+        kids: [
+          {
+            fullName: 'Test Kid',
+            filesProcessed: 3,
+            modes: { homework: 2, lesson: 0, summary: 0, reading: 1 },
+            minutesActive: 35,
+            dailyTarget: 1,
+            daysTargetMet: 2,
+            weeklyTarget: 4,
+            weeklyPercent: 75,
+          },
+        ],
+      });
+    });
+
+    it('should take the week in the timezone the usage of the kid is recorded in', async () => {
+      // Arrange - the parent is in UTC+2, the kid's parental controls use UTC
+      jest.useFakeTimers({ now: new Date('2025-03-17T06:00:00.000Z') });
+      mockQuery(userModel, [parent]);
+      userModel.updateOne.mockResolvedValueOnce({ modifiedCount: 1 });
+      mockQuery(userModel, [{ ...kid, parentalControls: { timezoneOffset: 0 } }]);
+      mockQuery(activityModel, [
+        { type: 'homework', created_at: new Date('2025-03-10T23:30:00.000Z') },
+        { type: 'homework', created_at: new Date('2025-03-11T00:30:00.000Z') },
+      ]);
+      mockQuery(usageModel, []);
+
+      // Act
+      await digestService.sendWeeklyDigests();
+
+      // Assert
+      expect(activityModel.find).toHaveBeenCalledWith({
+        user: 'kidId',
+        created_at: { $gte: new Date('2025-03-10T00:00:00.000Z'), $lt: new Date('2025-03-17T00:00:00.000Z') },
+      });
+      expect(usageModel.find).toHaveBeenCalledWith({ user: 'kidId', date: { $gte: '2025-03-10', $lt: '2025-03-17' } });
+      expect(emailService.sendWeeklyDigestEmail.mock.calls[0][1].kids[0].daysTargetMet).toBe(2);
+    });
+
+    it('should not send the digest again when it was already sent this week', async () => {
+      // Arrange
+      jest.useFakeTimers({ now: new Date('2025-03-17T06:00:00.000Z') });
+      mockQuery(userModel, [parent]);
+      userModel.updateOne.mockResolvedValueOnce({ modifiedCount: 0 });
+
+      // Act
+      const sent = await digestService.sendWeeklyDigests();
+
+      // Assert
+      expect(sent).toBe(0);
+      expect(emailService.sendWeeklyDigestEmail).not.toHaveBeenCalled();
+    });
+
+    it('should release the claim when the email fails so the next run retries', async () => {
+      // Arrange
+      jest.useFakeTimers({ now: new Date('2025-03-17T06:00:00.000Z') });
+      mockQuery(userModel, [parent]);
+      userModel.updateOne.mockResolvedValue({ modifiedCount: 1 });
+      mockQuery(userModel, [kid]);
+      mockQuery(activityModel, []);
+      mockQuery(usageModel, []);
+      emailService.sendWeeklyDigestEmail.mockRejectedValueOnce(new Error('SMTP down'));
+
+      // Act
+      const sent = await digestService.sendWeeklyDigests();
+
+      // Assert
+      expect(sent).toBe(0);
+      expect(userModel.updateOne).toHaveBeenLastCalledWith({ _id: 'parentId' }, { $unset: { lastDigestSentAt: 1 } });
+    });
+  });
+});
@@ -0,0 +1,131 @@
+import userModel from '../../../models/userModel.js';
+import guardianInvitationModel from '../../../models/guardianInvitationModel.js';
+import * as guardianService from '../../../services/guardianService.js';
+import * as emailService from '../../../services/emailService.js';
+import { hashToken } from '../../../utils/tokenHash.js';
+
+// Mock dependencies
+jest.mock('../../../models/userModel.js', () => ({
+  __esModule: true,
+  default: {
+    findById: jest.fn(),
+    findByIdAndUpdate: jest.fn(),
+    exists: jest.fn(),
+  },
+}));
+jest.mock('../../../models/guardianInvitationModel.js', () => ({
+  __esModule: true,
+  default: {
+    create: jest.fn(),
+    findOne: jest.fn(),
+    updateMany: jest.fn(),
+    deleteOne: jest.fn(),
+  },
+}));
+jest.mock('../../../services/emailService.js');
+
+describe('Guardian Service', () => {
+  const kidId = '507f1f77bcf86cd799439013';
+  const matchesId = (expectedId) => ({ equals: (id) => String(id) === expectedId });
+
+  const createMockKid = () => ({
+    _id: kidId,
+    role: 'kid',
+    fullName: 'Ivan',
+    parent: matchesId('ownerId'),
+    guardians: [matchesId('guardianId')],
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('inviteGuardian', () => {
+    it('should store the token hashed and email the invitation', async () => {
+      // Arrange
+      userModel.findById
+        .mockResolvedValueOnce(createMockKid())
+        .mockResolvedValueOnce({ _id: 'ownerId', fullName: 'Maria', email: 'maria@test.com' });
+      userModel.exists.mockResolvedValue(null);
+      guardianInvitationModel.create.mockImplementation((data) => Promise.resolve({ _id: 'invitationId', ...data }));
+
+      // Act
+      const result = await guardianService.inviteGuardian('ownerId', kidId, ' Grandma@Test.com ');
+
+      // Assert
+      const [email, { token }] = emailService.sendGuardianInvitationEmail.mock.calls[0];
+      expect(email).toBe('grandma@test.com');
+      expect(guardianInvitationModel.create).toHaveBeenCalledWith(
+        expect.objectContaining({ kid: kidId, email: 'grandma@test.com', tokenHash: hashToken(token) }),
+      );
+      expect(result).not.toHaveProperty('tokenHash');
+    });
+
+    it('should delete the invitation when the email cannot be sent', async () => {
+      // Arrange
+      userModel.findById
+        .mockResolvedValueOnce(createMockKid())
+        .mockResolvedValueOnce({ _id: 'ownerId', fullName: 'Maria', email: 'maria@test.com' });
+      userModel.exists.mockResolvedValue(null);
+      guardianInvitationModel.create.mockResolvedValueOnce({ _id: 'invitationId' });
+      emailService.sendGuardianInvitationEmail.mockRejectedValueOnce(new Error('SMTP error'));
+
+      // Act & Assert
+      await expect(guardianService.inviteGuardian('ownerId', kidId, 'grandma@test.com')).rejects.toThrow('SMTP error');
+      expect(guardianInvitationModel.deleteOne).toHaveBeenCalledWith({ _id: 'invitationId' });
+    });
+
+    it('should only allow the owner to invite', async () => {
+      // Arrange
+      userModel.findById.mockResolvedValue(createMockKid());
+
+      // Act & Assert
+      await expect(guardianService.inviteGuardian('guardianId', kidId, 'grandma@test.com')).rejects.toThrow(
+        'Access denied! Only the owner of the kid account can manage guardians.',
+      );
+      expect(guardianInvitationModel.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('acceptInvitation', () => {
+    const createMockInvitation = () => ({
+      kid: kidId,
+      email: 'grandma@test.com',
+      status: 'pending',
+      save: jest.fn(),
+    });
+
+    it('should add the kid to the guardian and the guardian to the kid', async () => {
+      // Arrange
+      const invitation = createMockInvitation();
+      guardianInvitationModel.findOne.mockResolvedValue(invitation);
+      userModel.findById
+        .mockResolvedValueOnce({ _id: 'grandmaId', role: 'parent', email: 'grandma@test.com' })
+        .mockResolvedValueOnce(createMockKid());
+
+      // Act
+      await guardianService.acceptInvitation('grandmaId', 'token');
+
+      // Assert
+      expect(guardianInvitationModel.findOne).toHaveBeenCalledWith(
+        expect.objectContaining({ tokenHash: hashToken('token'), status: 'pending' }),
+      );
+      expect(userModel.findByIdAndUpdate).toHaveBeenCalledWith(kidId, { $addToSet: { guardians: 'grandmaId' } });
+      expect(userModel.findByIdAndUpdate).toHaveBeenCalledWith('grandmaId', { $addToSet: { kids: kidId } });
+      expect(invitation.status).toBe('accepted');
+      expect(invitation.save).toHaveBeenCalled();
+    });
+
+    it('should reject an account with a different email', async () => {
+      // Arrange
+      guardianInvitationModel.findOne.mockResolvedValue(createMockInvitation());
+      userModel.findById.mockResolvedValueOnce({ _id: 'otherId', role: 'parent', email: 'other@test.com' });
+
+      // Act & Assert
+      await expect(guardianService.acceptInvitation('otherId', 'token')).rejects.toThrow(
+        'This invitation was sent to another email address!',
+      );
+      expect(userModel.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+});
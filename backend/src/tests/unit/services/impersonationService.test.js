@@ -0,0 +1,104 @@
+import userModel from '../../../models/userModel.js';
+import * as impersonationService from '../../../services/impersonationService.js';
+import { generateImpersonationToken, getTokenExpiry } from '../../../utils/jwt.js';
+
+// Mock dependencies
+jest.mock('../../../models/userModel.js', () => ({
+  __esModule: true,
+  default: {
+    findById: jest.fn(),
+  },
+}));
+jest.mock('../../../models/impersonationAuditModel.js', () => ({
+  __esModule: true,
+  default: {
+    create: jest.fn(),
+  },
+}));
+jest.mock('../../../utils/jwt.js');
+
+describe('Impersonation Service', () => {
+  const kidId = '507f1f77bcf86cd799439013';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('startImpersonation', () => {
+    it('should issue a token for the kid carrying the acting parent', async () => {
+      // Arrange
+      const expiresAt = new Date('2030-01-01T00:00:00.000Z');
+      userModel.findById
+        .mockResolvedValueOnce({ _id: 'parentId', isParentOf: jest.fn().mockReturnValue(true) })
+        .mockReturnValueOnce({ lean: jest.fn().mockResolvedValue({ _id: kidId, role: 'kid', tokenVersion: 3 }) });
+      generateImpersonationToken.mockReturnValue('impersonationToken');
+      getTokenExpiry.mockReturnValue(expiresAt);
+
+      // Act
+      const result = await impersonationService.startImpersonation('parentId', kidId);
+
+      // Assert
+      expect(generateImpersonationToken).toHaveBeenCalledWith(kidId, {
+        actingParentId: 'parentId',
+        tokenVersion: 3,
+        parentTokenVersion: 0,
+      });
+      expect(result).toEqual({ accessToken: 'impersonationToken', expiresAt });
+    });
+
+    it('should throw an error when the kid belongs to another parent', async () => {
+      // Arrange
+      userModel.findById.mockResolvedValue({ _id: 'parentId', isParentOf: jest.fn().mockReturnValue(false) });
+
+      // Act & Assert
+      await expect(impersonationService.startImpersonation('parentId', kidId)).rejects.toThrow(
+        'Access denied! You can only manage your own kids.',
+      );
+      expect(generateImpersonationToken).not.toHaveBeenCalled();
+    });
+
+    it('should throw an error when the kid is scheduled for deletion', async () => {
+      // Arrange
+      userModel.findById
+        .mockResolvedValueOnce({ _id: 'parentId', isParentOf: jest.fn().mockReturnValue(true) })
+        .mockReturnValueOnce({
+          lean: jest.fn().mockResolvedValue({ _id: kidId, role: 'kid', deletedAt: new Date() }),
+        });
+
+      // Act & Assert
+      await expect(impersonationService.startImpersonation('parentId', kidId)).rejects.toThrow('Kid not found!');
+      expect(generateImpersonationToken).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('assertImpersonationActive', () => {
+    const decoded = { userId: kidId, actingParentId: 'parentId', parentVer: 2 };
+
+    it('should accept a parent that still manages the kid', async () => {
+      // Arrange
+      userModel.findById.mockResolvedValueOnce({ tokenVersion: 2, isParentOf: jest.fn().mockReturnValue(true) });
+
+      // Act & Assert
+      await expect(impersonationService.assertImpersonationActive(decoded)).resolves.toBeUndefined();
+    });
+
+    it('should reject a parent that no longer manages the kid', async () => {
+      // Arrange
+      userModel.findById.mockResolvedValueOnce({ tokenVersion: 2, isParentOf: jest.fn().mockReturnValue(false) });
+
+      // Act & Assert
+      await expect(impersonationService.assertImpersonationActive(decoded)).rejects.toMatchObject({
+        status: 401,
+        details: 'Impersonation is no longer valid.',
+      });
+    });
+
+    it('should reject a parent whose tokens were invalidated', async () => {
+      // Arrange
+      userModel.findById.mockResolvedValueOnce({ tokenVersion: 3, isParentOf: jest.fn().mockReturnValue(true) });
+
+      // Act & Assert
+      await expect(impersonationService.assertImpersonationActive(decoded)).rejects.toMatchObject({ status: 401 });
+    });
+  });
+});
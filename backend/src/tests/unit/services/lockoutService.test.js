@@ -0,0 +1,171 @@
+import userModel from '../../../models/userModel.js';
+import * as lockoutService from '../../../services/lockoutService.js';
+import * as emailService from '../../../services/emailService.js';
+
+// Mock dependencies
+jest.mock('../../../models/userModel.js', () => ({
+  __esModule: true,
+  default: { updateOne: jest.fn(), findOneAndUpdate: jest.fn() },
+}));
+jest.mock('../../../services/emailService.js');
+
+describe('Lockout Service', () => {
+  const createMockUser = (loginAttempts) => ({
+    _id: 'userId',
+    email: 'parent@test.com',
+    loginAttempts,
+    generateAccountUnlockToken: jest.fn().mockReturnValue('unlockToken'),
+    save: jest.fn(),
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    emailService.sendAccountUnlockEmail.mockResolvedValue();
+  });
+
+  // The counter after the atomic increment
+  const mockFailedCount = (count) =>
+    userModel.findOneAndUpdate.mockResolvedValueOnce({ loginAttempts: { count, lastFailedAt: new Date() } });
+
+  describe('assertLoginAllowed', () => {
+    it('should allow the first attempts without delay', () => {
+      // Arrange
+      const user = createMockUser({ count: 2, lastFailedAt: new Date() });
+
+      // Act & Assert
+      expect(() => lockoutService.assertLoginAllowed(user)).not.toThrow();
+    });
+
+    it('should ask the user to wait after repeated failures', () => {
+      // Arrange
+      const user = createMockUser({ count: 5, lastFailedAt: new Date() });
+
+      // Act & Assert
+      expect(() => lockoutService.assertLoginAllowed(user)).toThrow(
+        expect.objectContaining({ status: 429, details: { retryAfter: 4 } }),
+      );
+    });
+
+    it('should allow a new attempt once the back-off delay has passed', () => {
+      // Arrange
+      const user = createMockUser({ count: 5, lastFailedAt: new Date(Date.now() - 5000) });
+
+      // Act & Assert
+      expect(() => lockoutService.assertLoginAllowed(user)).not.toThrow();
+    });
+
+    it('should reject a locked account with 423', () => {
+      // Arrange
+      const lockedUntil = new Date(Date.now() + 10 * 60 * 1000);
+      const user = createMockUser({ count: 10, lastFailedAt: new Date(), lockedUntil });
+
+      // Act & Assert
+      expect(() => lockoutService.assertLoginAllowed(user)).toThrow(
+        expect.objectContaining({ status: 423, message: 'Account is temporarily locked!' }),
+      );
+    });
+  });
+
+  describe('recordFailedLogin', () => {
+    it('should increase the failed attempts counter atomically', async () => {
+      // Arrange
+      const user = createMockUser({ count: 1 });
+      mockFailedCount(2);
+
+      // Act
+      await lockoutService.recordFailedLogin(user);
+
+      // Assert
+      expect(userModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'userId' },
+        { $inc: { 'loginAttempts.count': 1 }, $set: { 'loginAttempts.lastFailedAt': expect.any(Number) } },
+        { new: true, projection: { loginAttempts: 1 } },
+      );
+      expect(emailService.sendAccountUnlockEmail).not.toHaveBeenCalled();
+    });
+
+    it('should lock the account and send an unlock email on the last allowed attempt', async () => {
+      // Arrange
+      const user = createMockUser({ count: 9, lastFailedAt: new Date() });
+      mockFailedCount(10);
+
+      // Act & Assert
+      await expect(lockoutService.recordFailedLogin(user)).rejects.toMatchObject({ status: 423 });
+      expect(userModel.updateOne).toHaveBeenCalledWith(
+        { _id: 'userId' },
+        { $set: expect.objectContaining({ 'loginAttempts.lockedUntil': expect.any(Date) }) },
+      );
+      expect(emailService.sendAccountUnlockEmail).toHaveBeenCalledWith('parent@test.com', 'unlockToken');
+    });
+
+    it('should still report the lock when the unlock email cannot be sent', async () => {
+      // Arrange
+      const user = createMockUser({ count: 9, lastFailedAt: new Date() });
+      mockFailedCount(10);
+      emailService.sendAccountUnlockEmail.mockRejectedValueOnce(new Error('SMTP error'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      // Act & Assert
+      await expect(lockoutService.recordFailedLogin(user)).rejects.toMatchObject({ status: 423 });
+      await new Promise(setImmediate);
+      console.error.mockRestore();
+    });
+
+    it('should give kids more attempts and no unlock email', async () => {
+      // Arrange
+      const kid = { ...createMockUser({ count: 9, lastFailedAt: new Date() }), role: 'kid' };
+      mockFailedCount(10);
+
+      // Act
+      await lockoutService.recordFailedLogin(kid);
+
+      // Arrange
+      mockFailedCount(15);
+
+      // Act & Assert
+      await expect(lockoutService.recordFailedLogin(kid)).rejects.toMatchObject({ status: 423 });
+      expect(kid.generateAccountUnlockToken).not.toHaveBeenCalled();
+      expect(emailService.sendAccountUnlockEmail).not.toHaveBeenCalled();
+    });
+
+    it('should start counting again after a lock has expired', async () => {
+      // Arrange
+      const user = createMockUser({ count: 10, lockedUntil: new Date(Date.now() - 1000) });
+      mockFailedCount(1);
+
+      // Act
+      await lockoutService.recordFailedLogin(user);
+
+      // Assert
+      expect(userModel.updateOne).toHaveBeenCalledWith(
+        { _id: 'userId', 'loginAttempts.lockedUntil': { $lte: expect.any(Date) } },
+        { $set: { 'loginAttempts.count': 0, 'loginAttempts.lockedUntil': null } },
+      );
+    });
+  });
+
+  describe('clearFailedLogins', () => {
+    it('should reset the counter after a successful login', async () => {
+      // Arrange
+      const user = createMockUser({ count: 4, lastFailedAt: new Date() });
+
+      // Act
+      await lockoutService.clearFailedLogins(user);
+
+      // Assert
+      expect(user.loginAttempts).toEqual({ count: 0, lastFailedAt: null, lockedUntil: null });
+      expect(user.save).toHaveBeenCalled();
+    });
+
+    it('should not save a user without failed attempts', async () => {
+      // Arrange
+      const user = createMockUser({ count: 0 });
+
+      // Act
+      await lockoutService.clearFailedLogins(user);
+
+      // Assert
+      expect(user.save).not.toHaveBeenCalled();
+    });
+  });
+});
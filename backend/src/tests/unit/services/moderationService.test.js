@@ -0,0 +1,165 @@
+import userModel from '../../../models/userModel.js';
+import moderationEventModel from '../../../models/moderationEventModel.js';
+import * as moderationService from '../../../services/moderationService.js';
+
+// Mock dependencies
+jest.mock('../../../models/userModel.js', () => ({
+  __esModule: true,
+  default: { findById: jest.fn(), findOneAndUpdate: jest.fn() },
+}));
+jest.mock('../../../models/moderationEventModel.js', () => ({
+  __esModule: true,
+  default: { create: jest.fn(), find: jest.fn() },
+}));
+
+describe('Moderation Service', () => {
+  const context = { kidId: 'kidId', strictness: 'standard', conversationId: 'conversationId', fileKey: 'files/a.txt' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.MODERATION_PROVIDER;
+  });
+
+  describe('screenInput', () => {
+    it('should pass safe school material unchanged without logging', async () => {
+      // Arrange
+      const text = 'Колко е 1250 + 3400? Опиши убийството на Цезар.';
+
+      // Act
+      const result = await moderationService.screenInput(text, context);
+
+      // Assert
+      expect(result).toBe(text);
+      expect(moderationEventModel.create).not.toHaveBeenCalled();
+    });
+
+    it('should pass biology homework at every strictness', async () => {
+      // Arrange
+      const text = 'Половите клетки (sex cells) участват в сексуалното размножаване.';
+
+      // Act
+      const result = await moderationService.screenInput(text, { ...context, strictness: 'strict' });
+
+      // Assert
+      expect(result).toBe(text);
+    });
+
+    it('should only block threats, not words that contain the same stem', async () => {
+      // Act
+      const result = await moderationService.screenInput('A shooting star over the bamboo shoots.', {
+        ...context,
+        strictness: 'strict',
+      });
+
+      // Assert
+      expect(result).toBe('A shooting star over the bamboo shoots.');
+      await expect(
+        moderationService.screenInput('I will shoot you tomorrow.', { ...context, strictness: 'strict' }),
+      ).rejects.toThrow('The file contains content that is not allowed!');
+    });
+
+    it('should redact personal data and log the event', async () => {
+      // Act
+      const result = await moderationService.screenInput('Пиши ми на maria@test.com или на 0888 123 456.', context);
+
+      // Assert
+      expect(result).toBe('Пиши ми на [скрито] или на [скрито].');
+      expect(moderationEventModel.create).toHaveBeenCalledWith({
+        kid: 'kidId',
+        conversation: 'conversationId',
+        fileKey: 'files/a.txt',
+        stage: 'input',
+        action: 'redacted',
+        categories: ['pii'],
+        strictness: 'standard',
+        provider: 'local',
+      });
+    });
+
+    it('should only redact personal numbers with a valid checksum', async () => {
+      // Act
+      const result = await moderationService.screenInput('ЕГН 7501020018, задача 7501020019', context);
+
+      // Assert
+      expect(result).toBe('ЕГН [скрито], задача 7501020019');
+    });
+
+    it('should reject unsafe content with its categories', async () => {
+      // Act & Assert
+      await expect(moderationService.screenInput('Къде да купя кокаин?', context)).rejects.toMatchObject({
+        status: 400,
+        details: { reason: 'unsafeContent', categories: ['drugs'] },
+      });
+      expect(moderationEventModel.create).toHaveBeenCalledWith(
+        expect.objectContaining({ stage: 'input', action: 'blocked', categories: ['drugs'] }),
+      );
+    });
+
+    it('should apply the strictness of the kid', async () => {
+      // Act
+      const relaxed = await moderationService.screenInput('Къде да купя кокаин?', {
+        ...context,
+        strictness: 'relaxed',
+      });
+
+      // Assert
+      expect(relaxed).toBe('Къде да купя кокаин?');
+      await expect(
+        moderationService.screenInput('Ще те застрелям!', { ...context, strictness: 'strict' }),
+      ).rejects.toThrow('The file contains content that is not allowed!');
+    });
+  });
+
+  describe('screenOutput', () => {
+    it('should replace a blocked reply with a safe one', async () => {
+      // Act
+      const result = await moderationService.screenOutput('Ето сайт с порно.', context);
+
+      // Assert
+      expect(result).toBe(moderationService.BLOCKED_REPLY);
+      expect(moderationEventModel.create).toHaveBeenCalledWith(
+        expect.objectContaining({ stage: 'output', action: 'blocked', categories: ['sexual'] }),
+      );
+    });
+
+    it('should still filter the reply when the event cannot be logged', async () => {
+      // Arrange
+      moderationEventModel.create.mockRejectedValueOnce(new Error('DB error'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      // Act
+      const result = await moderationService.screenOutput('Ето сайт с порно.', context);
+
+      // Assert
+      expect(result).toBe(moderationService.BLOCKED_REPLY);
+      console.error.mockRestore();
+    });
+
+    it('should fall back to the local provider when the configured one fails', async () => {
+      // Arrange
+      const detect = jest.fn().mockRejectedValue(new Error('Service unavailable'));
+      moderationService.registerModerationProvider('remote', { detect });
+      process.env.MODERATION_PROVIDER = 'remote';
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      // Act
+      const result = await moderationService.screenOutput('Не казвай shit.', context);
+
+      // Assert
+      expect(detect).toHaveBeenCalled();
+      expect(result).toBe('Не казвай ***.');
+      expect(moderationEventModel.create).toHaveBeenCalledWith(expect.objectContaining({ provider: 'local' }));
+      console.error.mockRestore();
+    });
+  });
+
+  describe('setContentFilter', () => {
+    it('should reject an unknown strictness', async () => {
+      // Act & Assert
+      await expect(moderationService.setContentFilter('parentId', 'kidId', 'off')).rejects.toThrow(
+        'Invalid strictness!',
+      );
+      expect(userModel.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,162 @@
+import messageModel from '../../../models/messageModel.js';
+import messageFlagModel from '../../../models/messageFlagModel.js';
+import userModel from '../../../models/userModel.js';
+import * as oversightService from '../../../services/oversightService.js';
+import { findAccessibleConversation, listConversations, listMessages } from '../../../services/conversationService.js';
+
+// Mock dependencies
+jest.mock('../../../models/messageModel.js', () => ({
+  __esModule: true,
+  default: { findById: jest.fn() },
+}));
+jest.mock('../../../models/messageFlagModel.js', () => ({
+  __esModule: true,
+  default: { find: jest.fn(), findOne: jest.fn(), create: jest.fn(), findOneAndUpdate: jest.fn() },
+}));
+jest.mock('../../../models/userModel.js', () => ({
+  __esModule: true,
+  default: { findById: jest.fn() },
+}));
+jest.mock('../../../services/conversationService.js', () => ({
+  findAccessibleConversation: jest.fn(),
+  listConversations: jest.fn(),
+  listMessages: jest.fn(),
+}));
+
+describe('Oversight Service', () => {
+  const kidId = '507f1f77bcf86cd799439013';
+  const otherKidId = '507f1f77bcf86cd799439014';
+  const conversationId = '507f1f77bcf86cd799439020';
+  const messageId = '507f1f77bcf86cd799439030';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    findAccessibleConversation.mockResolvedValue({ _id: conversationId, owner: kidId });
+    userModel.findById.mockResolvedValue({ isParentOf: (id) => [kidId, otherKidId].includes(id) });
+  });
+
+  describe('listKidConversations', () => {
+    it('should not list the own conversations of the parent as a kid', async () => {
+      // Arrange
+      const parentId = '507f1f77bcf86cd799439011';
+
+      // Act & Assert
+      await expect(oversightService.listKidConversations(parentId, parentId)).rejects.toThrow('Kid not found!');
+      expect(listConversations).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('listKidMessages', () => {
+    it('should mark the messages the parent flagged', async () => {
+      // Arrange
+      listMessages.mockResolvedValueOnce({
+        messages: [
+          { _id: 'm1', role: 'user' },
+          { _id: 'm2', role: 'assistant' },
+        ],
+        nextCursor: null,
+      });
+      messageFlagModel.find.mockReturnValueOnce({
+        lean: jest.fn().mockResolvedValue([{ _id: 'f1', message: 'm2', status: 'open' }]),
+      });
+
+      // Act
+      const result = await oversightService.listKidMessages('parentId', kidId, conversationId);
+
+      // Assert
+      expect(messageFlagModel.find).toHaveBeenCalledWith(
+        { message: { $in: ['m1', 'm2'] }, flaggedBy: 'parentId' },
+        { message: 1, status: 1 },
+      );
+      expect(result.messages).toEqual([
+        { _id: 'm1', role: 'user', flag: null },
+        { _id: 'm2', role: 'assistant', flag: { _id: 'f1', status: 'open' } },
+      ]);
+    });
+
+    it('should hide conversations that belong to another kid', async () => {
+      // Act & Assert
+      await expect(oversightService.listKidMessages('parentId', otherKidId, conversationId)).rejects.toThrow(
+        'Conversation not found!',
+      );
+      expect(listMessages).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('flagMessage', () => {
+    it('should flag an assistant reply in the conversation of the kid', async () => {
+      // Arrange
+      messageModel.findById.mockReturnValueOnce({
+        lean: jest.fn().mockResolvedValue({ _id: messageId, role: 'assistant', conversation: conversationId }),
+      });
+      messageFlagModel.findOne.mockResolvedValueOnce(null);
+      messageFlagModel.create.mockResolvedValueOnce({ _id: 'flagId' });
+
+      // Act
+      const result = await oversightService.flagMessage('parentId', kidId, messageId, 'Грешен отговор');
+
+      // Assert
+      expect(findAccessibleConversation).toHaveBeenCalledWith('parentId', conversationId);
+      expect(messageFlagModel.create).toHaveBeenCalledWith({
+        message: messageId,
+        conversation: conversationId,
+        kid: kidId,
+        flaggedBy: 'parentId',
+        reason: 'Грешен отговор',
+      });
+      expect(result).toEqual({ _id: 'flagId' });
+    });
+
+    it('should not flag messages written by the kid', async () => {
+      // Arrange
+      messageModel.findById.mockReturnValueOnce({
+        lean: jest.fn().mockResolvedValue({ _id: messageId, role: 'user', conversation: conversationId }),
+      });
+
+      // Act & Assert
+      await expect(oversightService.flagMessage('parentId', kidId, messageId)).rejects.toThrow(
+        'Only assistant replies can be flagged!',
+      );
+      expect(messageFlagModel.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject a reply that is already flagged', async () => {
+      // Arrange
+      messageModel.findById.mockReturnValueOnce({
+        lean: jest.fn().mockResolvedValue({ _id: messageId, role: 'assistant', conversation: conversationId }),
+      });
+      messageFlagModel.findOne.mockResolvedValueOnce({ status: 'open' });
+
+      // Act & Assert
+      await expect(oversightService.flagMessage('parentId', kidId, messageId)).rejects.toThrow(
+        'This reply is already flagged!',
+      );
+    });
+  });
+
+  describe('listFlags', () => {
+    it('should reject an unknown status', async () => {
+      // Act & Assert
+      await expect(oversightService.listFlags('parentId', { status: 'deleted' })).rejects.toThrow(
+        'Invalid flag status!',
+      );
+      expect(messageFlagModel.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resolveFlag', () => {
+    it('should only resolve open flags of the parent', async () => {
+      // Arrange
+      const flagId = '507f1f77bcf86cd799439040';
+      messageFlagModel.findOneAndUpdate.mockResolvedValueOnce(null);
+
+      // Act & Assert
+      await expect(oversightService.resolveFlag('otherParentId', flagId)).rejects.toThrow('Flag not found!');
+      expect(messageFlagModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: flagId, flaggedBy: 'otherParentId', status: 'open' },
+        { status: 'resolved', resolvedAt: expect.any(Number) },
+        { new: true },
+      );
+    });
+  });
+});
@@ -0,0 +1,108 @@
+import usageModel from '../../../models/usageModel.js';
+import * as parentalControlService from '../../../services/parentalControlService.js';
+
+// Mock dependencies
+jest.mock('../../../models/usageModel.js', () => ({
+  __esModule: true,
+  default: {
+    findOne: jest.fn(),
+    updateOne: jest.fn(),
+  },
+}));
+jest.mock('../../../models/userModel.js', () => ({
+  __esModule: true,
+  default: {
+    findById: jest.fn(),
+  },
+}));
+
+describe('Parental Control Service', () => {
+  // Wednesday 2025-03-12 16:30 UTC, 18:30 in UTC+2
+  const now = new Date('2025-03-12T16:30:00.000Z');
+
+  const createMockKid = (parentalControls) => ({ _id: 'kidId', role: 'kid', parentalControls });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers({ now });
+    usageModel.findOne.mockReturnValue({ lean: jest.fn().mockResolvedValue(null) });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('enforceParentalControls', () => {
+    it('should allow requests inside a window in the kid timezone', async () => {
+      // Arrange
+      const kid = createMockKid({
+        enabled: true,
+        timezoneOffset: -120,
+        schedule: [{ weekday: 3, start: '18:00', end: '19:00' }],
+      });
+
+      // Act
+      await parentalControlService.enforceParentalControls(kid);
+
+      // Assert
+      expect(usageModel.updateOne).toHaveBeenCalledWith(
+        { user: 'kidId', date: '2025-03-12' },
+        { $inc: { minutes: 0 }, $set: { lastSeenAt: now.getTime() } },
+        { upsert: true },
+      );
+    });
+
+    it('should reject requests outside the schedule', async () => {
+      // Arrange
+      const kid = createMockKid({
+        enabled: true,
+        timezoneOffset: 0,
+        schedule: [{ weekday: 3, start: '17:00', end: '19:00' }],
+      });
+
+      // Act & Assert
+      await expect(parentalControlService.enforceParentalControls(kid)).rejects.toMatchObject({
+        status: 403,
+        details: expect.objectContaining({ reason: 'outsideSchedule' }),
+      });
+    });
+
+    it('should reject requests once the daily limit is used up', async () => {
+      // Arrange
+      const kid = createMockKid({ enabled: true, timezoneOffset: 0, dailyMinutes: 60, schedule: [] });
+      usageModel.findOne.mockReturnValue({ lean: jest.fn().mockResolvedValue({ minutes: 60 }) });
+
+      // Act & Assert
+      await expect(parentalControlService.enforceParentalControls(kid)).rejects.toMatchObject({
+        status: 403,
+        details: expect.objectContaining({ reason: 'dailyLimitReached' }),
+      });
+    });
+
+    it('should count the time since the previous request unless the kid was idle', async () => {
+      // Arrange
+      const kid = createMockKid({ enabled: true, timezoneOffset: 0, dailyMinutes: 60, schedule: [] });
+      const lastSeenAt = new Date(now.getTime() - 2 * 60 * 1000);
+      usageModel.findOne.mockReturnValue({ lean: jest.fn().mockResolvedValue({ minutes: 10, lastSeenAt }) });
+
+      // Act
+      await parentalControlService.enforceParentalControls(kid);
+
+      // Assert
+      expect(usageModel.updateOne).toHaveBeenCalledWith(
+        expect.any(Object),
+        expect.objectContaining({ $inc: { minutes: 2 } }),
+        expect.any(Object),
+      );
+    });
+
+    it('should only record usage for kids without enabled controls', async () => {
+      // Arrange
+      const kid = createMockKid({ enabled: false, schedule: [{ weekday: 1, start: '08:00', end: '09:00' }] });
+
+      // Act & Assert
+      await expect(parentalControlService.enforceParentalControls(kid)).resolves.toBeUndefined();
+      expect(usageModel.updateOne).toHaveBeenCalled();
+    });
+  });
+});
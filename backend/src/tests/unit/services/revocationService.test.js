@@ -0,0 +1,109 @@
+import userModel from '../../../models/userModel.js';
+import * as revocationService from '../../../services/revocationService.js';
+
+// Mock dependencies
+jest.mock('../../../models/userModel.js', () => ({
+  __esModule: true,
+  default: {
+    findById: jest.fn(),
+  },
+}));
+
+describe('Revocation Service', () => {
+  const inOneHour = () => new Date(Date.now() + 60 * 60 * 1000);
+
+  beforeAll(() => {
+    process.env.REVOCATION_STORE = 'memory';
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    userModel.findById.mockReturnValue({ lean: jest.fn().mockResolvedValue({ tokenVersion: 1 }) });
+  });
+
+  describe('assertAccessTokenActive', () => {
+    it('should accept a token with the current version', async () => {
+      // Act & Assert
+      await expect(
+        revocationService.assertAccessTokenActive({ userId: 'userId', jti: 'activeJti', ver: 1 }),
+      ).resolves.toBeUndefined();
+    });
+
+    it('should reject a token whose jti has been revoked', async () => {
+      // Arrange
+      await revocationService.revokeAccessToken('revokedJti', inOneHour());
+
+      // Act & Assert
+      await expect(
+        revocationService.assertAccessTokenActive({ userId: 'userId', jti: 'revokedJti', ver: 1 }),
+      ).rejects.toThrow('Invalid token!');
+    });
+
+    it('should reject a token issued for a revoked session', async () => {
+      // Arrange
+      await revocationService.revokeSessionTokens([{ _id: 'revokedSession', expiresAt: inOneHour() }]);
+
+      // Act & Assert
+      await expect(
+        revocationService.assertAccessTokenActive({ userId: 'userId', sessionId: 'revokedSession', ver: 1 }),
+      ).rejects.toThrow('Invalid token!');
+    });
+
+    it('should accept a token again once the revocation entry has expired', async () => {
+      // Arrange
+      await revocationService.revokeAccessToken('expiredJti', new Date(Date.now() - 1000));
+
+      // Act & Assert
+      await expect(
+        revocationService.assertAccessTokenActive({ userId: 'userId', jti: 'expiredJti', ver: 1 }),
+      ).resolves.toBeUndefined();
+    });
+
+    it('should reject a token issued before a password or role change', async () => {
+      // Act & Assert
+      await expect(
+        revocationService.assertAccessTokenActive({ userId: 'userId', jti: 'oldJti', ver: 0 }),
+      ).rejects.toThrow('Invalid token!');
+    });
+
+    it('should reject a token of a deleted user', async () => {
+      // Arrange
+      userModel.findById.mockReturnValue({ lean: jest.fn().mockResolvedValue(null) });
+
+      // Act & Assert
+      await expect(
+        revocationService.assertAccessTokenActive({ userId: 'deletedUserId', jti: 'jti', ver: 0 }),
+      ).rejects.toThrow('Invalid token!');
+    });
+  });
+
+  describe('consumeMfaToken', () => {
+    const exp = () => Math.floor(inOneHour().getTime() / 1000);
+
+    it('should accept an MFA token only once', async () => {
+      // Arrange
+      await revocationService.consumeMfaToken({ jti: 'mfaJti', exp: exp() });
+
+      // Act & Assert
+      await expect(revocationService.consumeMfaToken({ jti: 'mfaJti', exp: exp() })).rejects.toThrow(
+        'Invalid or expired MFA token!',
+      );
+    });
+
+    it('should accept only one of parallel uses of an MFA token', async () => {
+      // Act
+      const results = await Promise.allSettled([
+        revocationService.consumeMfaToken({ jti: 'parallelJti', exp: exp() }),
+        revocationService.consumeMfaToken({ jti: 'parallelJti', exp: exp() }),
+      ]);
+
+      // Assert
+      expect(results.map((result) => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    });
+
+    it('should reject an MFA token without an ID', async () => {
+      // Act & Assert
+      await expect(revocationService.consumeMfaToken({ exp: exp() })).rejects.toThrow('Invalid or expired MFA token!');
+    });
+  });
+});
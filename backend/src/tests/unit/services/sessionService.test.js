@@ -0,0 +1,235 @@
+import sessionModel from '../../../models/sessionModel.js';
+import userModel from '../../../models/userModel.js';
+import * as sessionService from '../../../services/sessionService.js';
+import * as revocationService from '../../../services/revocationService.js';
+import { generateTokens, getTokenExpiry, verifyRefreshToken } from '../../../utils/jwt.js';
+
+// Mock dependencies
+jest.mock('../../../models/sessionModel.js', () => {
+  const mockSessionModel = jest.fn().mockImplementation((data) => ({
+    ...data,
+    _id: '507f1f77bcf86cd799439011',
+    save: jest.fn(),
+  }));
+  mockSessionModel.findOneAndUpdate = jest.fn();
+  mockSessionModel.findById = jest.fn();
+  mockSessionModel.updateMany = jest.fn();
+  mockSessionModel.find = jest.fn();
+
+  return {
+    __esModule: true,
+    default: mockSessionModel,
+  };
+});
+jest.mock('../../../models/userModel.js', () => ({
+  __esModule: true,
+  default: {
+    findById: jest.fn(),
+  },
+}));
+jest.mock('../../../utils/jwt.js');
+jest.mock('../../../services/revocationService.js');
+
+describe('Session Service', () => {
+  const mockSessionId = '507f1f77bcf86cd799439011';
+  const mockTokens = {
+    accessToken: 'mockAccessToken',
+    refreshToken: 'mockRefreshToken',
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    generateTokens.mockReturnValue(mockTokens);
+    getTokenExpiry.mockReturnValue(new Date('2030-01-01T00:00:00.000Z'));
+    userModel.findById.mockReturnValue({ lean: jest.fn().mockResolvedValue({ tokenVersion: 2 }) });
+  });
+
+  const mockActiveSessions = (sessions) => {
+    sessionModel.find.mockReturnValue({ lean: jest.fn().mockResolvedValue(sessions) });
+  };
+
+  describe('startSession', () => {
+    it('should create a session and sign tokens bound to it', async () => {
+      // Arrange
+      const clientInfo = { userAgent: 'Mozilla/5.0', ip: '127.0.0.1', deviceLabel: 'Kid laptop' };
+
+      // Act
+      const result = await sessionService.startSession('userId', clientInfo);
+
+      // Assert
+      expect(sessionModel).toHaveBeenCalledWith(
+        expect.objectContaining({
+          user: 'userId',
+          deviceLabel: 'Kid laptop',
+          userAgent: 'Mozilla/5.0',
+          ip: '127.0.0.1',
+        }),
+      );
+      expect(generateTokens).toHaveBeenCalledWith('userId', {
+        sessionId: mockSessionId,
+        tokenId: result.session.tokenId,
+        tokenVersion: 2,
+      });
+      expect(result.session.save).toHaveBeenCalled();
+      expect(result.session.expiresAt).toEqual(new Date('2030-01-01T00:00:00.000Z'));
+      expect(result.accessToken).toBe(mockTokens.accessToken);
+      expect(result.refreshToken).toBe(mockTokens.refreshToken);
+    });
+  });
+
+  describe('rotateSession', () => {
+    it('should rotate the refresh token of an active session', async () => {
+      // Arrange
+      verifyRefreshToken.mockReturnValue({ userId: 'userId', sessionId: mockSessionId, tokenId: 'currentTokenId' });
+      sessionModel.findOneAndUpdate.mockResolvedValue({ _id: mockSessionId });
+
+      // Act
+      const result = await sessionService.rotateSession('validRefreshToken', {});
+
+      // Assert
+      expect(sessionModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: mockSessionId, user: 'userId', tokenId: 'currentTokenId', revokedAt: null },
+        expect.objectContaining({ tokenId: expect.any(String) }),
+        { new: true },
+      );
+      expect(result).toEqual(mockTokens);
+    });
+
+    it('should revoke the whole token family when a rotated token is reused', async () => {
+      // Arrange
+      verifyRefreshToken.mockReturnValue({ userId: 'userId', sessionId: mockSessionId, tokenId: 'oldTokenId' });
+      sessionModel.findOneAndUpdate.mockResolvedValue(null);
+      sessionModel.findById.mockResolvedValue({ _id: mockSessionId, family: 'familyId', tokenId: 'newTokenId' });
+      const familySessions = [{ _id: mockSessionId, expiresAt: new Date('2030-01-01T00:00:00.000Z') }];
+      mockActiveSessions(familySessions);
+
+      // Act & Assert
+      await expect(sessionService.rotateSession('reusedRefreshToken', {})).rejects.toThrow('Invalid refresh token!');
+      expect(sessionModel.find).toHaveBeenCalledWith({ family: 'familyId', revokedAt: null }, expect.any(Object));
+      expect(sessionModel.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: [mockSessionId] } },
+        expect.objectContaining({ revokedReason: 'reuse' }),
+      );
+      expect(revocationService.revokeSessionTokens).toHaveBeenCalledWith(familySessions);
+    });
+
+    it('should throw an error when the session has already ended', async () => {
+      // Arrange
+      verifyRefreshToken.mockReturnValue({ userId: 'userId', sessionId: mockSessionId, tokenId: 'tokenId' });
+      sessionModel.findOneAndUpdate.mockResolvedValue(null);
+      sessionModel.findById.mockResolvedValue({ _id: mockSessionId, revokedAt: new Date() });
+
+      // Act & Assert
+      await expect(sessionService.rotateSession('refreshToken', {})).rejects.toThrow('Invalid refresh token!');
+      expect(sessionModel.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should throw an error when the user no longer exists', async () => {
+      // Arrange
+      verifyRefreshToken.mockReturnValue({ userId: 'userId', sessionId: mockSessionId, tokenId: 'tokenId' });
+      userModel.findById.mockReturnValue({ lean: jest.fn().mockResolvedValue(null) });
+
+      // Act & Assert
+      await expect(sessionService.rotateSession('refreshToken', {})).rejects.toThrow('Invalid refresh token!');
+      expect(sessionModel.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should throw an error when the refresh token is invalid', async () => {
+      // Arrange
+      verifyRefreshToken.mockImplementation(() => {
+        throw new Error('jwt malformed');
+      });
+
+      // Act & Assert
+      await expect(sessionService.rotateSession('invalidToken', {})).rejects.toThrow('Invalid refresh token!');
+    });
+  });
+
+  describe('endSession', () => {
+    it('should revoke only the given session', async () => {
+      // Arrange
+      mockActiveSessions([{ _id: mockSessionId, expiresAt: new Date() }]);
+
+      // Act
+      await sessionService.endSession('userId', mockSessionId);
+
+      // Assert
+      expect(sessionModel.find).toHaveBeenCalledWith(
+        { _id: mockSessionId, user: 'userId', revokedAt: null },
+        expect.any(Object),
+      );
+      expect(sessionModel.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: [mockSessionId] } },
+        expect.objectContaining({ revokedReason: 'logout' }),
+      );
+    });
+  });
+
+  describe('listSessions', () => {
+    it('should return active sessions and mark the current one', async () => {
+      // Arrange
+      const otherSessionId = '507f1f77bcf86cd799439012';
+      const mockSessions = [
+        { _id: { toString: () => mockSessionId }, deviceLabel: 'Tablet', tokenId: 'secret' },
+        { _id: { toString: () => otherSessionId }, deviceLabel: 'Laptop', tokenId: 'secret' },
+      ];
+      sessionModel.find.mockReturnValue({
+        sort: () => ({ lean: jest.fn().mockResolvedValue(mockSessions) }),
+      });
+
+      // Act
+      const result = await sessionService.listSessions('userId', mockSessionId);
+
+      // Assert
+      expect(result).toHaveLength(2);
+      expect(result[0]).toEqual(expect.objectContaining({ deviceLabel: 'Tablet', isCurrent: true }));
+      expect(result[1]).toEqual(expect.objectContaining({ deviceLabel: 'Laptop', isCurrent: false }));
+      expect(result[0]).not.toHaveProperty('tokenId');
+    });
+  });
+
+  describe('revokeSession', () => {
+    it('should throw an error when the session is not found', async () => {
+      // Arrange
+      mockActiveSessions([]);
+
+      // Act & Assert
+      await expect(sessionService.revokeSession('userId', mockSessionId)).rejects.toThrow('Session not found!');
+    });
+
+    it('should throw an error when the session ID is invalid', async () => {
+      // Act & Assert
+      await expect(sessionService.revokeSession('userId', 'invalidId')).rejects.toThrow('Invalid ID format!');
+    });
+  });
+
+  describe('revokeOtherSessions', () => {
+    it('should revoke every session except the current one', async () => {
+      // Arrange
+      mockActiveSessions([{ _id: 'session1' }, { _id: 'session2' }, { _id: 'session3' }]);
+
+      // Act
+      const result = await sessionService.revokeOtherSessions('userId', mockSessionId);
+
+      // Assert
+      expect(sessionModel.find).toHaveBeenCalledWith(
+        expect.objectContaining({ user: 'userId', _id: { $ne: mockSessionId } }),
+        expect.any(Object),
+      );
+      expect(result).toEqual({ revokedCount: 3 });
+    });
+  });
+
+  describe('revokeKidSession', () => {
+    it('should throw an error when the user is not the parent of the kid', async () => {
+      // Arrange
+      userModel.findById.mockResolvedValue({ _id: 'parentId', isParentOf: jest.fn().mockReturnValue(false) });
+
+      // Act & Assert
+      await expect(
+        sessionService.revokeKidSession('parentId', '507f1f77bcf86cd799439013', mockSessionId),
+      ).rejects.toThrow('Access denied! You can only manage your own kids.');
+      expect(sessionModel.updateMany).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,60 @@
+import { assertPasswordPolicy, validatePassword } from '../../../utils/passwordPolicy.js';
+
+describe('Password Policy', () => {
+  const getRules = (failures) => failures.map((failure) => failure.rule);
+
+  describe('validatePassword', () => {
+    it('should accept a strong password', () => {
+      // Act
+      const failures = validatePassword('Blue-Train-42', { fullName: 'Maria Ivanova', email: 'maria@test.com' });
+
+      // Assert
+      expect(failures).toEqual([]);
+    });
+
+    it('should report every failed rule', () => {
+      // Act
+      const failures = validatePassword('abc');
+
+      // Assert
+      expect(getRules(failures)).toEqual(['minLength', 'uppercase', 'digit']);
+    });
+
+    it('should reject common passwords regardless of case', () => {
+      // Act
+      const failures = validatePassword('Password123', {});
+
+      // Assert
+      expect(getRules(failures)).toContain('common');
+    });
+
+    it('should reject passwords containing the name or email', () => {
+      // Act
+      const failures = validatePassword('Ivanova2024!', { fullName: 'Maria Ivanova', email: 'mimi@test.com' });
+
+      // Assert
+      expect(getRules(failures)).toEqual(['personalInfo']);
+    });
+
+    it('should apply the gentler kid policy', () => {
+      // Act
+      const failures = validatePassword('Kid123!', { role: 'kid', fullName: 'Ivan' });
+
+      // Assert
+      expect(failures).toEqual([]);
+    });
+  });
+
+  describe('assertPasswordPolicy', () => {
+    it('should throw an error with the failed rules as details', () => {
+      // Act & Assert
+      expect(() => assertPasswordPolicy('123456')).toThrow(
+        expect.objectContaining({
+          status: 400,
+          message: 'Password does not meet the requirements!',
+          details: expect.arrayContaining([expect.objectContaining({ rule: 'common' })]),
+        }),
+      );
+    });
+  });
+});
@@ -0,0 +1,47 @@
+import { buildSnippet, getSearchTerms } from '../../../utils/searchSnippet.js';
+
+describe('Search Snippet', () => {
+  describe('getSearchTerms', () => {
+    it('should return the lowercase words without excluded ones', () => {
+      // Act
+      const terms = getSearchTerms('"Обикновени дроби" -десетични Дроби');
+
+      // Assert
+      expect(terms).toEqual(['обикновени', 'дроби']);
+    });
+  });
+
+  describe('buildSnippet', () => {
+    it('should highlight whole word matches regardless of case', () => {
+      // Arrange
+      const text = 'Дробите се събират лесно, когато дроби имат общ знаменател.';
+
+      // Act
+      const snippet = buildSnippet(text, ['дроби']);
+
+      // Assert
+      expect(snippet.text).toBe(text);
+      expect(snippet.highlights).toEqual([{ start: 33, end: 38 }]);
+      expect(snippet.text.slice(33, 38)).toBe('дроби');
+    });
+
+    it('should cut long texts around the first match on word boundaries', () => {
+      // Arrange
+      const text = `${'начало '.repeat(20)}тук е думата fractions и ${'край '.repeat(20)}`.trim();
+
+      // Act
+      const snippet = buildSnippet(text, ['fractions'], 20);
+
+      // Assert
+      expect(snippet.text.startsWith('…')).toBe(true);
+      expect(snippet.text.endsWith('…')).toBe(true);
+      const [highlight] = snippet.highlights;
+      expect(snippet.text.slice(highlight.start, highlight.end)).toBe('fractions');
+    });
+
+    it('should return null when nothing matches', () => {
+      // Act & Assert
+      expect(buildSnippet('Няма съвпадение', ['дроби'])).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,59 @@
+import {
+  base32Decode,
+  base32Encode,
+  buildOtpauthUri,
+  generateTotp,
+  getCurrentStep,
+  verifyTotp,
+} from '../../../utils/totp.js';
+
+describe('TOTP utils', () => {
+  // Shared secret from the RFC 6238 test vectors
+  const rfcSecret = base32Encode(Buffer.from('12345678901234567890'));
+
+  it('should encode and decode base32 symmetrically', () => {
+    // Assert
+    expect(rfcSecret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(base32Decode(rfcSecret).toString()).toBe('12345678901234567890');
+  });
+
+  it('should generate the RFC 6238 reference codes', () => {
+    // Assert
+    expect(generateTotp(rfcSecret, getCurrentStep(59 * 1000))).toBe('287082');
+    expect(generateTotp(rfcSecret, getCurrentStep(1111111109 * 1000))).toBe('081804');
+    expect(generateTotp(rfcSecret, getCurrentStep(2000000000 * 1000))).toBe('279037');
+  });
+
+  it('should accept a code from the previous time step', () => {
+    // Arrange
+    const timestamp = 1111111109 * 1000;
+    const previousCode = generateTotp(rfcSecret, getCurrentStep(timestamp) - 1);
+
+    // Act
+    const step = verifyTotp(rfcSecret, previousCode, { timestamp });
+
+    // Assert
+    expect(step).toBe(getCurrentStep(timestamp) - 1);
+  });
+
+  it('should reject codes outside the allowed window', () => {
+    // Arrange
+    const timestamp = 1111111109 * 1000;
+    const oldCode = generateTotp(rfcSecret, getCurrentStep(timestamp) - 5);
+
+    // Act & Assert
+    expect(verifyTotp(rfcSecret, oldCode, { timestamp })).toBeNull();
+    expect(verifyTotp(rfcSecret, 'abcdef', { timestamp })).toBeNull();
+    expect(verifyTotp(rfcSecret, undefined, { timestamp })).toBeNull();
+  });
+
+  it('should build an otpauth URI for authenticator apps', () => {
+    // Act
+    const uri = buildOtpauthUri({ secret: rfcSecret, accountName: 'parent@test.com', issuer: 'Lexi Magic' });
+
+    // Assert
+    expect(uri).toMatch(/^otpauth:\/\/totp\/Lexi%20Magic%3Aparent%40test\.com\?/);
+    expect(uri).toContain(`secret=${rfcSecret}`);
+    expect(uri).toContain('issuer=Lexi+Magic');
+  });
+});
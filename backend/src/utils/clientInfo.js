@@ -0,0 +1,39 @@
+const platforms = [
+  [/iPad/i, 'iPad'],
+  [/iPhone/i, 'iPhone'],
+  [/Android/i, 'Android'],
+  [/Windows/i, 'Windows'],
+  [/Macintosh|Mac OS X/i, 'Mac'],
+  [/CrOS/i, 'Chromebook'],
+  [/Linux/i, 'Linux'],
+];
+
+// Order matters: Edge and Opera also report Chrome, Chrome also reports Safari
+const browsers = [
+  [/Edg\//i, 'Edge'],
+  [/OPR\//i, 'Opera'],
+  [/Firefox\//i, 'Firefox'],
+  [/Chrome\//i, 'Chrome'],
+  [/Safari\//i, 'Safari'],
+];
+
+const matchFirst = (list, userAgent) => list.find(([regex]) => regex.test(userAgent))?.[1];
+
+export const describeUserAgent = (userAgent = '') => {
+  const platform = matchFirst(platforms, userAgent);
+  const browser = matchFirst(browsers, userAgent);
+
+  if (platform && browser) return `${browser} on ${platform}`;
+  return platform || browser || 'Unknown device';
+};
+
+export const getClientInfo = (req) => {
+  const userAgent = (req.get('user-agent') || '').slice(0, 512);
+  const deviceLabel = typeof req.body?.deviceLabel === 'string' ? req.body.deviceLabel.trim().slice(0, 100) : '';
+
+  return {
+    userAgent,
+    ip: req.ip || '',
+    deviceLabel: deviceLabel || describeUserAgent(userAgent),
+  };
+};
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+import userModel from '../models/userModel.js';
+
+dotenv.config();
+
+// One-off migration: verification, reset and unlock tokens used to be stored in plaintext. Hashed and plaintext
+// tokens cannot be told apart, so run this once right after deploying hashed tokens. Affected users can request
+// a new email.
+const invalidatePlaintextTokens = async () => {
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(process.env.DB_URL);
+
+    console.log('Invalidating plaintext tokens...');
+    const result = await userModel.updateMany(
+      {
+        $or: [
+          { emailVerificationToken: { $exists: true } },
+          { passwordResetToken: { $exists: true } },
+          { accountUnlockToken: { $exists: true } },
+        ],
+      },
+      {
+        $unset: {
+          emailVerificationToken: 1,
+          emailVerificationExpires: 1,
+          passwordResetToken: 1,
+          passwordResetExpires: 1,
+          accountUnlockToken: 1,
+          accountUnlockExpires: 1,
+        },
+      },
+    );
+
+    console.log(`Invalidated tokens for ${result.modifiedCount} users!`);
+  } catch (error) {
+    console.error('Error invalidating tokens:', error);
+    process.exit(1);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+};
+
+invalidatePlaintextTokens();
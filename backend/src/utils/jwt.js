@@ -1,9 +1,13 @@
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
 
-export const generateTokens = (userId) => {
-  const accessToken = jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: process.env.ACCESS_TOKEN_EXPIRE });
+export const generateTokens = (userId, { sessionId, tokenId, tokenVersion = 0 } = {}) => {
+  const accessToken = jwt.sign({ userId, sessionId, ver: tokenVersion }, process.env.JWT_SECRET, {
+    expiresIn: process.env.ACCESS_TOKEN_EXPIRE,
+    jwtid: crypto.randomUUID(),
+  });
 
-  const refreshToken = jwt.sign({ userId }, process.env.JWT_REFRESH_SECRET, {
+  const refreshToken = jwt.sign({ userId, sessionId, tokenId }, process.env.JWT_REFRESH_SECRET, {
     expiresIn: process.env.REFRESH_TOKEN_EXPIRE,
   });
 
@@ -17,3 +21,35 @@ export const verifyAccessToken = (token) => {
 export const verifyRefreshToken = (token) => {
   return jwt.verify(token, process.env.JWT_REFRESH_SECRET);
 };
+
+export const getTokenExpiry = (token) => {
+  const { exp } = jwt.decode(token);
+  return new Date(exp * 1000);
+};
+
+// Short-lived token proving the password step of a two-factor login. Signed with its own key so it can never
+// be used as an access token.
+const mfaSecret = () => `${process.env.JWT_SECRET}:mfa`;
+
+export const generateMfaToken = (userId) => {
+  return jwt.sign({ userId }, mfaSecret(), {
+    expiresIn: process.env.MFA_TOKEN_EXPIRE || '5m',
+    jwtid: crypto.randomUUID(),
+  });
+};
+
+export const verifyMfaToken = (token) => {
+  return jwt.verify(token, mfaSecret());
+};
+
+// Lets a parent act as their kid. There is no session or refresh token, so it simply expires.
+export const generateImpersonationToken = (kidId, { actingParentId, tokenVersion = 0, parentTokenVersion = 0 }) => {
+  return jwt.sign(
+    { userId: kidId, actingParentId, ver: tokenVersion, parentVer: parentTokenVersion },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: process.env.IMPERSONATION_TOKEN_EXPIRE || '15m',
+      jwtid: crypto.randomUUID(),
+    },
+  );
+};
@@ -0,0 +1,84 @@
+import fs from 'fs';
+
+import HttpError from './httpError.js';
+import { getPasswordPolicy } from '../config/passwordPolicyConfig.js';
+
+// Resolved relative to this module, so it does not depend on where the process was started
+const getCommonPasswordsPath = () =>
+  process.env.COMMON_PASSWORDS_FILE || new URL('../data/commonPasswords.txt', import.meta.url);
+
+let commonPasswords = null;
+
+// Loaded on first use and kept in memory
+const getCommonPasswords = () => {
+  if (!commonPasswords) {
+    const lines = fs.readFileSync(getCommonPasswordsPath(), 'utf8').split(/\r?\n/);
+
+    commonPasswords = new Set(
+      lines.map((line) => line.trim().toLowerCase()).filter((line) => line && !line.startsWith('#')),
+    );
+  }
+
+  return commonPasswords;
+};
+
+// Name parts and the email's local part, e.g. "Maria Ivanova" + "mimi@abv.bg" -> ["maria", "ivanova", "mimi"]
+const getPersonalWords = ({ fullName, email }) => {
+  const nameParts = (fullName || '').toLowerCase().split(/\s+/);
+  const emailParts = (email || '')
+    .toLowerCase()
+    .split('@')[0]
+    .split(/[._+-]/);
+
+  return [...nameParts, ...emailParts].filter((part) => part.length >= 3);
+};
+
+// Returns every rule the password fails as { rule, message }. An empty array means the password is accepted.
+export const validatePassword = (password, { role, fullName, email } = {}) => {
+  const policy = getPasswordPolicy(role);
+  const value = String(password || '');
+  const lowerValue = value.toLowerCase();
+  const failures = [];
+
+  if (value.length < policy.minLength) {
+    failures.push({ rule: 'minLength', message: `Password must be at least ${policy.minLength} characters!` });
+  }
+
+  if (policy.requireLowercase && !/\p{Ll}/u.test(value)) {
+    failures.push({ rule: 'lowercase', message: 'Password must contain a lowercase letter!' });
+  }
+
+  if (policy.requireUppercase && !/\p{Lu}/u.test(value)) {
+    failures.push({ rule: 'uppercase', message: 'Password must contain an uppercase letter!' });
+  }
+
+  if (policy.requireDigit && !/\d/.test(value)) {
+    failures.push({ rule: 'digit', message: 'Password must contain a digit!' });
+  }
+
+  if (policy.requireSymbol && !/[^\p{L}\d]/u.test(value)) {
+    failures.push({ rule: 'symbol', message: 'Password must contain a symbol!' });
+  }
+
+  if (policy.denyCommon && getCommonPasswords().has(lowerValue)) {
+    failures.push({ rule: 'common', message: 'Password is too common!' });
+  }
+
+  if (policy.denyPersonalInfo && getPersonalWords({ fullName, email }).some((word) => lowerValue.includes(word))) {
+    failures.push({ rule: 'personalInfo', message: 'Password must not contain your name or email!' });
+  }
+
+  return failures;
+};
+
+export const assertPasswordPolicy = (password, context) => {
+  const failures = validatePassword(password, context);
+
+  if (failures.length > 0) {
+    throw new HttpError({
+      status: 400,
+      message: 'Password does not meet the requirements!',
+      details: failures,
+    });
+  }
+};
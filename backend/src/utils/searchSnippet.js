@@ -0,0 +1,56 @@
+// Helpers for showing where a full-text search matched. Highlights are returned as ranges instead of markup, so the
+// client decides how to render them and message text never has to be trusted as HTML.
+
+const SNIPPET_RADIUS = 60;
+const ELLIPSIS = '…';
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Words of the search query, without the ones excluded with a leading minus
+export const getSearchTerms = (query) => {
+  const words = String(query || '')
+    .split(/\s+/)
+    .filter((word) => word && !word.startsWith('-'))
+    .flatMap((word) => word.match(/[\p{L}\p{N}]+/gu) || [])
+    .map((word) => word.toLowerCase());
+
+  return [...new Set(words)];
+};
+
+// Mongo text search matches whole words, so the highlights do too
+const buildTermsPattern = (terms) =>
+  new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+
+export const buildSnippet = (text, terms, radius = SNIPPET_RADIUS) => {
+  if (!text || !terms.length) return null;
+
+  const matches = [...text.matchAll(buildTermsPattern(terms))];
+
+  if (!matches.length) return null;
+
+  // Start and end on word boundaries around the first match
+  let start = Math.max(matches[0].index - radius, 0);
+  let end = Math.min(matches[0].index + matches[0][0].length + radius, text.length);
+
+  if (start > 0) {
+    const nextSpace = text.indexOf(' ', start);
+    start = nextSpace !== -1 && nextSpace < matches[0].index ? nextSpace + 1 : start;
+  }
+
+  if (end < text.length) {
+    const previousSpace = text.lastIndexOf(' ', end);
+    end = previousSpace > matches[0].index ? previousSpace : end;
+  }
+
+  const prefix = start > 0 ? ELLIPSIS : '';
+  const suffix = end < text.length ? ELLIPSIS : '';
+
+  const highlights = matches
+    .filter((match) => match.index >= start && match.index + match[0].length <= end)
+    .map((match) => ({
+      start: match.index - start + prefix.length,
+      end: match.index - start + prefix.length + match[0].length,
+    }));
+
+  return { text: `${prefix}${text.slice(start, end)}${suffix}`, highlights };
+};
@@ -47,7 +47,13 @@ async function getDaysBeforeUTC(userTimezoneOffset, daysBefore) {
   return daysBeforeToday;
 }
 
+// Current time in the user's timezone. The offset follows Date.getTimezoneOffset(), e.g. -120 for UTC+2.
+function getLocalNow(userTimezoneOffset) {
+  return moment().utc().subtract(userTimezoneOffset, 'minutes');
+}
+
 export {
+  getLocalNow,
   getStartOfCurrentWeekUTC,
   getStartOfPreviousWeekUTC,
   getStartOfTodayUTC,
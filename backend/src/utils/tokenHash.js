@@ -0,0 +1,4 @@
+import crypto from 'crypto';
+
+// Random tokens have enough entropy that a fast, unsalted digest is safe and allows lookups by hash
+export const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');